@@ -8,19 +8,35 @@
 import { STATS_UPDATE_DELAY, CHARACTER_COUNT_DEBOUNCE_MS, INPUT_SECTION_HOVER_DELAY_MS } from './config.js';
 import { initDB, clearExpiredCache } from './database.js';
 import { showCharacterStats, showCorporationStats, showAllianceStats } from './zkill-card.js';
-import { clientValidate, validateEntityName } from './validation.js';
-import { mixedValidator } from './esi-api.js';
-import { initializeFilters, setResultsData, applyFiltersToTree } from './filters.js';
-import { startLoading, stopLoading, showError, updateStats, updatePerformanceStats, updateVersionDisplay, expandInputSection } from './ui.js';
+import { parseInput, attachInputDetails, INPUT_FORMATS } from './input-parser.js';
+import { mixedValidator, getEntitiesByIds } from './esi-api.js';
+import { initializeFilters, setResultsData, applyFiltersToTree, refreshFilters, getActiveFilterState, applyFilterState, getFilteredResults, clearAllFilters, focusFilterSearch } from './filters.js';
+import { startLoading, stopLoading, showError, showSuccess, showWarning, updateStats, updatePerformanceStats, updateVersionDisplay, expandInputSection, collapseInputSection, clearErrorMessage } from './ui.js';
 import { buildEntityMaps, getObserverManager, addScrollStateDetection } from './rendering.js';
 import { getZkillCardInstance } from './zkill-card.js';
 import { domCache } from './dom-cache.js';
-import { buildTreeStructure, renderTree } from './tree-navigation.js';
+import { buildTreeStructure, renderTree, renderDscanTree, updateThreatBadge, setSortByThreat, isSortingByThreat, expandAll, collapseAll } from './tree-navigation.js';
+import { showDscanDetail, clearDetailPanel, showGangSummaryDetail, isShowingGangSummary } from './detail-panel.js';
 import { initializeSettingsUI } from './settings-ui.js';
+import { initializeScanSessions, recordScanSession, resolveScanSystem } from './scan-sessions.js';
+import { applyWarStatus, refreshWars, onWarDataUpdated } from './war-tracker.js';
+import { applyStandings, compareByStanding, loadStandings, onStandingsUpdated } from './standings.js';
+import { loadThreatProfiles } from './threat-profiles.js';
+import { buildGangSummary } from './gang-summary.js';
+import { initializeExportMenu, downloadResults, copyResults } from './export.js';
+import { decodeScanLink, buildShareUrl } from './share-link.js';
+import { loadFilterPresets, getDefaultFilterPreset, initializeFilterPresetControls } from './filter-presets.js';
+import { scoreCharacters, cancelBatchScoring, getBatchProgress, onThreatScoresUpdated, applyThreatScores, compareByThreat } from './batch-scoring.js';
+import { initializeResultsTable, updateResultsTable, refreshResultsTable, setResultsView } from './results-table.js';
+import { registerCommand, configureCommandPalette } from './command-palette.js';
+import { initializeKeyboardNavigation, revealEntity } from './keyboard-navigation.js';
+import { initializeOfflineMode, isOfflineMode, formatCacheAge, getOldestCacheTime } from './offline-mode.js';
 
 
 let allResults = [];
 let allSummaryData = { alliance: [], corporation: [] };
+let filterPresetsReady = false;
+let defaultFilterPresetApplied = false;
 let completeResults = [];
 
 function setupCollapsedIndicatorClick() {
@@ -67,7 +83,7 @@ function summariseEntities(results) {
     const corpCounts = new Map();
     const allianceCounts = new Map();
 
-    const updateCounts = (map, id, name, type, war_eligible, isDirect) => {
+    const updateCounts = (map, id, name, type, war_eligible, isDirect, at_war = false) => {
         const existing = map.get(id);
         map.set(id, {
             id,
@@ -75,23 +91,25 @@ function summariseEntities(results) {
             count: (existing?.count || 0) + 1,
             type,
             war_eligible: existing?.war_eligible || war_eligible,
+            at_war: existing?.at_war || at_war,
             isDirect: existing?.isDirect || isDirect
         });
     };
 
     results.forEach(result => {
+        const atWar = result.war_status === 'at-war';
         if (result.corporation_name && !result.character_name) {
-            updateCounts(corpCounts, result.corporation_id, result.corporation_name, 'corporation', result.war_eligible, true);
+            updateCounts(corpCounts, result.corporation_id, result.corporation_name, 'corporation', result.war_eligible, true, atWar);
         }
         else if (result.alliance_name && !result.character_name) {
-            updateCounts(allianceCounts, result.alliance_id, result.alliance_name, 'alliance', result.war_eligible, true);
+            updateCounts(allianceCounts, result.alliance_id, result.alliance_name, 'alliance', result.war_eligible, true, atWar);
         }
         else if (result.character_name) {
             if (result.corporation_id) {
-                updateCounts(corpCounts, result.corporation_id, result.corporation_name, 'corporation', result.war_eligible, false);
+                updateCounts(corpCounts, result.corporation_id, result.corporation_name, 'corporation', result.war_eligible, false, atWar);
             }
             if (result.alliance_id) {
-                updateCounts(allianceCounts, result.alliance_id, result.alliance_name, 'alliance', result.war_eligible, false);
+                updateCounts(allianceCounts, result.alliance_id, result.alliance_name, 'alliance', result.war_eligible, false, atWar);
             }
         }
     });
@@ -123,25 +141,30 @@ function debouncedUpdateCharacterCount() {
 
 function updateCharacterCount() {
     const textarea = domCache.get('names');
-    const names = textarea.value.split('\n')
-        .map(n => n.trim())
-        .filter(n => n && (clientValidate(n) || validateEntityName(n)));
+    const parsed = parseInput(textarea.value);
+    const countElement = domCache.get('character-count');
+    const button = domCache.get('checkButton');
+    const buttonText = button.querySelector('.button-text');
 
+    if (parsed.format === INPUT_FORMATS.DSCAN) {
+        const { total, ships } = parsed.dscan;
+        countElement.textContent = `D-scan: ${total} object${total !== 1 ? 's' : ''}, ${ships} ship${ships !== 1 ? 's' : ''}`;
+        buttonText.textContent = 'Summarise D-Scan';
+        return;
+    }
 
-    const uniqueNames = [...new Set(names.map(n => n.toLowerCase()))];
-    const count = uniqueNames.length;
+    const count = parsed.names.length;
+    const formatLabel = parsed.format === INPUT_FORMATS.CHAT_LOG ? ' (chat log)' :
+        parsed.format === INPUT_FORMATS.FLEET ? ' (fleet)' : '';
 
-    const countElement = domCache.get('character-count');
     if (count === 0) {
         countElement.textContent = "0 entities entered";
     } else if (count === 1) {
-        countElement.textContent = "1 entity entered";
+        countElement.textContent = `1 entity entered${formatLabel}`;
     } else {
-        countElement.textContent = `${count} entities entered`;
+        countElement.textContent = `${count} entities entered${formatLabel}`;
     }
 
-    const button = domCache.get('checkButton');
-    const buttonText = button.querySelector('.button-text');
     if (count > 0) {
         buttonText.textContent = `Analyze ${count} Entit${count !== 1 ? 'ies' : 'y'}`;
     } else {
@@ -149,20 +172,220 @@ function updateCharacterCount() {
     }
 }
 
-export async function validateNames() {
-    const rawNames = domCache.get("names").value.split("\n")
-        .map(n => n.trim())
-        .filter(n => n && (clientValidate(n) || validateEntityName(n)));
-
-    const seenNames = new Set();
-    const names = rawNames.filter(name => {
-        const lowerName = name.toLowerCase();
-        if (seenNames.has(lowerName)) {
-            return false;
+function showSavedSession(results) {
+    clearErrorMessage();
+    collapseInputSection();
+    clearDetailPanel();
+    displayResults(results);
+    domCache.get('results-section')?.classList.add('show');
+}
+
+function showDscanSummary(summary) {
+    if (summary.total === 0) {
+        showError("No d-scan entries recognised in the pasted text.");
+        return;
+    }
+
+    clearErrorMessage();
+    collapseInputSection();
+    setResultsView('tree');
+    renderDscanTree(summary);
+    showDscanDetail(summary);
+    domCache.get('results-section')?.classList.add('show');
+}
+
+function sortResults(results) {
+    results.sort((a, b) => {
+        const nameA = a.character_name || a.corporation_name || a.alliance_name || '';
+        const nameB = b.character_name || b.corporation_name || b.alliance_name || '';
+        return (isSortingByThreat() ? compareByThreat(a, b) : 0) ||
+            compareByStanding(a, b) || nameA.localeCompare(nameB);
+    });
+}
+
+function displayResults(results) {
+    completeResults = results;
+    refreshWars();
+    applyWarStatus(results);
+    applyStandings(results);
+    applyThreatScores(results);
+    sortResults(results);
+    buildEntityMaps(results);
+
+    allResults = results;
+    setResultsData(results);
+    const { allCorps, allAlliances } = summariseEntities(results);
+    allSummaryData.alliance = allAlliances;
+    allSummaryData.corporation = allCorps;
+
+    const treeData = buildTreeStructure(results);
+    renderTree(treeData);
+    updateResultsTable(results);
+    applyDefaultFilterPreset();
+
+    try {
+        const zkillCard = getZkillCardInstance();
+        if (zkillCard) {
+            try {
+                zkillCard.updateEntityMaps();
+            } catch (e) {
+                console.error('zkillCard.updateEntityMaps failed:', e);
+            }
+            try {
+                zkillCard.setCompleteResults(results);
+            } catch (e) {
+                console.error('zkillCard.setCompleteResults failed:', e);
+            }
+        }
+    } catch (e) {
+        console.error('Failed interacting with zkillCard instance:', e);
+    }
+
+    const unifiedHeader = domCache.get('unified-header');
+    if (unifiedHeader) {
+        unifiedHeader.style.display = 'flex';
+    }
+
+    setTimeout(() => {
+        updateStats(allResults);
+        updatePerformanceStats();
+    }, STATS_UPDATE_DELAY);
+}
+
+function applyDefaultFilterPreset() {
+    if (!filterPresetsReady || defaultFilterPresetApplied || !allResults.length) return;
+    defaultFilterPresetApplied = true;
+
+    const preset = getDefaultFilterPreset();
+    if (preset) {
+        applyFilterState(preset);
+    }
+}
+
+function refreshResultAnnotations() {
+    if (!allResults.length) return;
+
+    applyWarStatus(allResults);
+    applyStandings(allResults);
+    applyThreatScores(allResults);
+    sortResults(allResults);
+    buildEntityMaps(allResults);
+    const { allCorps, allAlliances } = summariseEntities(allResults);
+    allSummaryData.alliance = allAlliances;
+    allSummaryData.corporation = allCorps;
+
+    renderTree(buildTreeStructure(allResults));
+    refreshFilters();
+    applyFiltersToTree();
+    updateResultsTable(allResults);
+}
+
+function updateScoreButton() {
+    const button = document.getElementById('score-all-btn');
+    if (!button) return;
+
+    const progress = getBatchProgress();
+    button.textContent = progress ? `Cancel (${progress.completed}/${progress.total})` : 'Score All';
+    button.classList.toggle('active', !!progress);
+}
+
+function showGangSummary() {
+    if (!allResults.length) return;
+    const characters = allResults.filter(result => result.character_id);
+    showGangSummaryDetail(buildGangSummary(characters, summariseEntities(allResults)));
+}
+
+function getPaletteEntities() {
+    const entities = new Map();
+    const add = (type, id, name, detail) => {
+        if (id && name && !entities.has(`${type}:${id}`)) {
+            entities.set(`${type}:${id}`, { type, id, name, detail });
+        }
+    };
+
+    allResults.forEach(result => {
+        if (result.character_id) add('character', result.character_id, result.character_name, result.corporation_name);
+        add('corporation', result.corporation_id, result.corporation_name, result.alliance_name);
+        add('alliance', result.alliance_id, result.alliance_name);
+    });
+
+    return Array.from(entities.values());
+}
+
+function runExport(action) {
+    if (getFilteredResults().length === 0) {
+        showError('No results to export');
+        return;
+    }
+    action();
+}
+
+function setupCommandPalette() {
+    [
+        { id: 'export-csv', label: 'Export CSV', run: () => runExport(() => downloadResults('csv')) },
+        { id: 'export-json', label: 'Export JSON', run: () => runExport(() => downloadResults('json')) },
+        { id: 'copy-markdown', label: 'Copy Discord Markdown', run: () => runExport(() => copyResults('markdown')) },
+        { id: 'share-link', label: 'Copy Share Link', run: shareScan },
+        { id: 'clear-filters', label: 'Clear Filters', run: clearAllFilters },
+        { id: 'search-filter', label: 'Search by Name', hint: '/', run: focusFilterSearch },
+        { id: 'expand-all', label: 'Expand All', run: () => { setResultsView('tree'); expandAll(); } },
+        { id: 'collapse-all', label: 'Collapse All', run: () => { setResultsView('tree'); collapseAll(); } },
+        { id: 'tree-view', label: 'Show Tree View', run: () => setResultsView('tree') },
+        { id: 'table-view', label: 'Show Table View', run: () => setResultsView('table') },
+        { id: 'gang-summary', label: 'Show Gang Summary', run: showGangSummary }
+    ].forEach(registerCommand);
+
+    configureCommandPalette({ getEntities: getPaletteEntities, onEntitySelected: revealEntity });
+    initializeKeyboardNavigation();
+}
+
+function setupBatchScoring() {
+    const scoreButton = document.getElementById('score-all-btn');
+    const killmailsToggle = document.getElementById('score-killmails-toggle');
+    const sortButton = document.getElementById('sort-threat-btn');
+
+    scoreButton?.addEventListener('click', () => {
+        if (getBatchProgress()) {
+            cancelBatchScoring();
+            return;
+        }
+        const characters = allResults.filter(result => result.character_id);
+        if (characters.length === 0) return;
+        scoreCharacters(characters, { includeKillmails: !!killmailsToggle?.checked });
+    });
+
+    document.getElementById('gang-summary-btn')?.addEventListener('click', showGangSummary);
+
+    sortButton?.addEventListener('click', () => {
+        setSortByThreat(!isSortingByThreat());
+        sortButton.classList.toggle('active', isSortingByThreat());
+        refreshResultAnnotations();
+    });
+
+    onThreatScoresUpdated(event => {
+        if (event.type === 'started') {
+            event.characterIds.forEach(updateThreatBadge);
+        } else if (event.type === 'progress') {
+            updateThreatBadge(event.characterId);
+        } else {
+            refreshResultAnnotations();
+            if (isShowingGangSummary()) {
+                showGangSummary();
+            }
         }
-        seenNames.add(lowerName);
-        return true;
+        updateScoreButton();
     });
+}
+
+export async function validateNames() {
+    const parsed = parseInput(domCache.get("names").value);
+
+    if (parsed.format === INPUT_FORMATS.DSCAN) {
+        showDscanSummary(parsed.dscan);
+        return;
+    }
+
+    const names = parsed.names;
 
     if (names.length === 0) {
         showError("No valid names entered. Please check the format of your entity names.");
@@ -172,83 +395,97 @@ export async function validateNames() {
     startLoading();
 
     try {
-        const results = await mixedValidator(names);
-        completeResults = results;
-        buildEntityMaps(results);
-
-        results.sort((a, b) => {
-            const nameA = a.character_name || a.corporation_name || a.alliance_name || '';
-            const nameB = b.character_name || b.corporation_name || b.alliance_name || '';
-            return nameA.localeCompare(nameB);
-        });
-
-        allResults = results;
-        setResultsData(results);
-        const { allCorps, allAlliances } = summariseEntities(results);
-        allSummaryData.alliance = allAlliances;
-        allSummaryData.corporation = allCorps;
-
-        const treeData = buildTreeStructure(results);
-        renderTree(treeData);
-
-        try {
-            const zkillCard = getZkillCardInstance();
-            if (zkillCard) {
-                try {
-                    zkillCard.updateEntityMaps();
-                } catch (e) {
-                    console.error('zkillCard.updateEntityMaps failed:', e);
-                }
-                try {
-                    zkillCard.setCompleteResults(results);
-                } catch (e) {
-                    console.error('zkillCard.setCompleteResults failed:', e);
-                }
-            }
-        } catch (e) {
-            console.error('Failed interacting with zkillCard instance:', e);
+        const offline = isOfflineMode();
+        const results = attachInputDetails(await mixedValidator(names, { offline }), parsed.details);
+        displayResults(results);
+
+        if (offline) {
+            const oldest = getOldestCacheTime(results);
+            const missing = names.length - results.length;
+            const missingText = missing > 0 ? ` ${missing} name${missing !== 1 ? 's were' : ' was'} not in the cache.` : '';
+            showWarning(oldest ?
+                `Offline mode: results come from the local cache and may be out of date (oldest entry ${formatCacheAge(oldest)} old).${missingText}` :
+                'Offline mode: none of these names are in the local cache.');
+            return;
         }
 
-        const unifiedHeader = domCache.get('unified-header');
-        if (unifiedHeader) {
-            unifiedHeader.style.display = 'flex';
-        }
+        recordScanSession(results, {
+            system: resolveScanSystem(parsed.details),
+            format: parsed.format
+        }).catch(e => console.warn('Failed to save scan session:', e));
+    } catch (err) {
+        showValidationError(err);
+    } finally {
+        finishValidation();
+    }
+}
 
-        setTimeout(() => {
-            updateStats(allResults);
-            updatePerformanceStats();
-        }, STATS_UPDATE_DELAY);
+async function loadSharedScan(scan) {
+    defaultFilterPresetApplied = true;
+    startLoading();
 
+    try {
+        const entities = await getEntitiesByIds(scan.ids);
+        const results = await mixedValidator([], { entities });
+        displayResults(results);
+        applyFilterState(scan.filters);
+        applyFiltersToTree();
     } catch (err) {
-        if (err.message.includes("504")) {
-            showError("The request timed out. EVE ESI servers may be busy. Please try again later.");
-            console.error("Timeout error:", err);
-        }
-        else if (err.message.includes("429")) {
-            showError("Rate limit exceeded. Please wait a moment before trying again.");
-            console.error("Rate limit error:", err);
-        }
-        else if (err.message.includes("400")) {
-            showError("Invalid request, probably too many characters simultaneously. Limit is 500.");
-            console.error("Invalid request error:", err);
-        }
-        else {
-            showError("Unexpected error contacting EVE ESI servers. Check console log for more details.");
-            console.error("Unhandled ESI error:", err);
-        }
+        showValidationError(err);
     } finally {
-        stopLoading();
+        finishValidation();
+    }
+}
 
-        setTimeout(() => {
-            const button = domCache.get("checkButton");
-            if (button && button.disabled) {
-                button.disabled = false;
-                button.removeAttribute('disabled');
-            }
-        }, 250);
+async function shareScan() {
+    if (!allResults.length) {
+        showError('Run a scan before sharing it');
+        return;
+    }
+
+    const url = buildShareUrl(allResults, getActiveFilterState());
+    history.replaceState(null, '', url);
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showSuccess('Scan link copied to clipboard');
+    } catch (error) {
+        console.error('Failed to copy scan link:', error);
+        showWarning('Could not copy automatically. The link is in the address bar.');
+    }
+}
+
+function showValidationError(err) {
+    if (err.message.includes("504")) {
+        showError("The request timed out. EVE ESI servers may be busy. Please try again later.");
+        console.error("Timeout error:", err);
+    }
+    else if (err.message.includes("429")) {
+        showError("Rate limit exceeded. Please wait a moment before trying again.");
+        console.error("Rate limit error:", err);
+    }
+    else if (err.message.includes("400")) {
+        showError("Invalid request, probably too many characters simultaneously. Limit is 500.");
+        console.error("Invalid request error:", err);
+    }
+    else {
+        showError("Unexpected error contacting EVE ESI servers. Check console log for more details.");
+        console.error("Unhandled ESI error:", err);
     }
 }
 
+function finishValidation() {
+    stopLoading();
+
+    setTimeout(() => {
+        const button = domCache.get("checkButton");
+        if (button && button.disabled) {
+            button.disabled = false;
+            button.removeAttribute('disabled');
+        }
+    }, 250);
+}
+
 function handleZkillStatsClick(element) {
     const clickableType = element.dataset.clickable;
     try {
@@ -297,7 +534,20 @@ function handleZkillCardLinkClick(element) {
 
 document.addEventListener('DOMContentLoaded', function () {
     initDB().then(() => {
-        clearExpiredCache();
+        if (navigator.onLine) {
+            clearExpiredCache();
+        }
+        loadStandings().then(refreshResultAnnotations);
+        loadThreatProfiles();
+        loadFilterPresets().then(() => {
+            filterPresetsReady = true;
+            applyDefaultFilterPreset();
+        });
+
+        const sharedScan = decodeScanLink(window.location.hash);
+        if (sharedScan) {
+            loadSharedScan(sharedScan);
+        }
     }).catch(err => {
         showError(`Failed to initialize IndexedDB: ${err}`);
         console.error('Failed to initialize IndexedDB:', err);
@@ -305,9 +555,26 @@ document.addEventListener('DOMContentLoaded', function () {
 
     initializeFilters(() => {
         applyFiltersToTree();
+        refreshResultsTable();
     });
 
     initializeSettingsUI();
+    initializeOfflineMode();
+    initializeExportMenu();
+    initializeResultsTable();
+    initializeFilterPresetControls();
+    document.getElementById('share-button')?.addEventListener('click', shareScan);
+    window.addEventListener('hashchange', () => {
+        const sharedScan = decodeScanLink(window.location.hash);
+        if (sharedScan) {
+            loadSharedScan(sharedScan);
+        }
+    });
+    initializeScanSessions(showSavedSession);
+    onWarDataUpdated(refreshResultAnnotations);
+    onStandingsUpdated(refreshResultAnnotations);
+    setupBatchScoring();
+    setupCommandPalette();
 
     const textarea = domCache.get('names');
     textarea.addEventListener('input', debouncedUpdateCharacterCount);
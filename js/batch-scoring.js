@@ -0,0 +1,160 @@
+/*
+    EVE Target Intel - Batch Threat Scoring
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { get_zkill_character_stats, get_cached_zkill_stats, prefetch_zkill_stats } from './zkillboard-api.js';
+import { precomputePoW } from './pow-pool.js';
+import { getPoWDifficulty } from './zkill-utils.js';
+import { assessEntityThreat } from './threat-assessment.js';
+import { onThreatModelChanged } from './threat-profiles.js';
+
+export const SCORE_STATUS = {
+    QUEUED: 'queued',
+    SCORING: 'scoring',
+    DONE: 'done',
+    ERROR: 'error'
+};
+
+const scores = new Map();
+const updateListeners = new Set();
+let activeRun = null;
+
+function notifyListeners(event) {
+    updateListeners.forEach(listener => listener(event));
+}
+
+export function onThreatScoresUpdated(listener) {
+    updateListeners.add(listener);
+}
+
+export function getThreatScore(characterId) {
+    return scores.get(parseInt(characterId)) || null;
+}
+
+export function getBatchProgress() {
+    return activeRun ? { total: activeRun.total, completed: activeRun.completed } : null;
+}
+
+function assess(entry) {
+    const assessment = assessEntityThreat(entry.stats, entry.stats.killmailData);
+    entry.totalScore = assessment.totalScore;
+    entry.riskLevel = assessment.riskLevel;
+    entry.riskBand = assessment.riskBand;
+    entry.tags = assessment.tags;
+    return entry;
+}
+
+function needsScoring(characterId, includeKillmails) {
+    const entry = scores.get(characterId);
+    if (!entry || entry.status === SCORE_STATUS.ERROR) return true;
+    return entry.status === SCORE_STATUS.DONE && includeKillmails && !entry.includeKillmails;
+}
+
+export async function scoreCharacters(characters, { includeKillmails = false } = {}) {
+    if (activeRun) return;
+
+    const queue = [...new Set(characters.map(c => parseInt(c.character_id)).filter(Boolean))]
+        .filter(id => needsScoring(id, includeKillmails));
+
+    const run = { total: queue.length, completed: 0, cancelled: false, controller: new AbortController() };
+    activeRun = run;
+
+    queue.forEach(id => {
+        const previous = scores.get(id);
+        scores.set(id, { ...previous, status: SCORE_STATUS.QUEUED });
+    });
+    notifyListeners({ type: 'started', characterIds: queue });
+
+    await prefetch_zkill_stats('characterID', queue, { signal: run.controller.signal });
+    precomputePoW(queue.filter(id => !get_cached_zkill_stats('characterID', id)), {
+        difficulty: getPoWDifficulty(),
+        signal: run.controller.signal
+    });
+
+    for (const characterId of queue) {
+        if (run.cancelled) break;
+
+        scores.set(characterId, { ...scores.get(characterId), status: SCORE_STATUS.SCORING });
+        notifyListeners({ type: 'progress', characterId });
+
+        try {
+            const stats = await get_zkill_character_stats(characterId, {
+                includeKillmails,
+                throwOnError: true,
+                signal: run.controller.signal
+            });
+            if (run.cancelled) {
+                // partial killmail data from a cancelled run is discarded
+                scores.set(characterId, { ...scores.get(characterId), status: SCORE_STATUS.QUEUED });
+                break;
+            }
+            scores.set(characterId, assess({ status: SCORE_STATUS.DONE, includeKillmails, stats }));
+        } catch (error) {
+            if (run.cancelled) {
+                scores.set(characterId, { ...scores.get(characterId), status: SCORE_STATUS.QUEUED });
+                break;
+            }
+            console.error(`Failed to score character ${characterId}:`, error);
+            scores.set(characterId, { status: SCORE_STATUS.ERROR });
+        }
+
+        run.completed++;
+        notifyListeners({ type: 'progress', characterId });
+    }
+
+    if (run.cancelled) {
+        queue.forEach(id => {
+            const entry = scores.get(id);
+            if (entry?.status === SCORE_STATUS.QUEUED) {
+                if (entry.stats) {
+                    scores.set(id, { ...entry, status: SCORE_STATUS.DONE });
+                } else {
+                    scores.delete(id);
+                }
+            }
+        });
+    }
+
+    run.controller.abort();
+    activeRun = null;
+    notifyListeners({ type: 'finished', characterIds: queue });
+}
+
+export function cancelBatchScoring() {
+    if (activeRun) {
+        activeRun.cancelled = true;
+        activeRun.controller.abort();
+    }
+}
+
+export function applyThreatScores(results) {
+    results.forEach(result => {
+        const entry = scores.get(result.character_id);
+        const scored = entry?.stats && entry.totalScore !== undefined;
+        result.threat_score = scored ? entry.totalScore : null;
+        result.threat_band = scored ? entry.riskBand : null;
+        result.threat_level = scored ? entry.riskLevel : null;
+        result.threat_tags = scored ? entry.tags : [];
+    });
+    return results;
+}
+
+export function compareByThreat(a, b) {
+    return (b.threat_score ?? -1) - (a.threat_score ?? -1);
+}
+
+onThreatModelChanged(() => {
+    const rescored = [];
+    scores.forEach((entry, characterId) => {
+        if (entry.stats) {
+            assess(entry);
+            rescored.push(characterId);
+        }
+    });
+    if (rescored.length > 0) {
+        notifyListeners({ type: 'finished', characterIds: rescored });
+    }
+});
@@ -0,0 +1,171 @@
+/*
+    EVE Target Intel - Command Palette
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { COMMAND_PALETTE_CONFIG } from './config.js';
+import { escapeHtml } from './xss-protection.js';
+
+const ENTITY_LABELS = {
+    character: 'Pilot',
+    corporation: 'Corporation',
+    alliance: 'Alliance'
+};
+
+const commands = new Map();
+let getEntities = () => [];
+let onEntitySelected = () => {};
+let palette = null;
+let items = [];
+let activeIndex = 0;
+let previousFocus = null;
+
+export function registerCommand(command) {
+    commands.set(command.id, command);
+}
+
+export function configureCommandPalette(options) {
+    if (options.getEntities) getEntities = options.getEntities;
+    if (options.onEntitySelected) onEntitySelected = options.onEntitySelected;
+}
+
+function matchScore(text, query) {
+    const value = text.toLowerCase();
+    if (value.startsWith(query)) return 0;
+    if (value.includes(` ${query}`)) return 1;
+    if (value.includes(query)) return 2;
+    return -1;
+}
+
+function buildItems(query) {
+    const text = query.trim().toLowerCase();
+    const candidates = [
+        ...Array.from(commands.values()).map(command => ({ kind: 'command', label: command.label, hint: command.hint || 'Action', command })),
+        ...getEntities().map(entity => ({
+            kind: 'entity',
+            label: entity.name,
+            hint: entity.detail ? `${ENTITY_LABELS[entity.type]} · ${entity.detail}` : ENTITY_LABELS[entity.type],
+            entity
+        }))
+    ];
+
+    if (!text) {
+        return candidates.slice(0, COMMAND_PALETTE_CONFIG.MAX_RESULTS);
+    }
+
+    return candidates
+        .map(item => ({ item, score: matchScore(item.label || '', text) }))
+        .filter(({ score }) => score !== -1)
+        .sort((a, b) => a.score - b.score || a.item.label.localeCompare(b.item.label))
+        .slice(0, COMMAND_PALETTE_CONFIG.MAX_RESULTS)
+        .map(({ item }) => item);
+}
+
+function createPalette() {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'command-palette-backdrop';
+    backdrop.innerHTML = `
+        <div class="command-palette" role="dialog" aria-label="Command palette">
+            <input type="text" class="command-palette-input" placeholder="Jump to a pilot, corporation or alliance, or run a command…" spellcheck="false" autocomplete="off">
+            <div class="command-palette-results" role="listbox"></div>
+            <div class="command-palette-footer">↑↓ navigate · Enter select · Esc close</div>
+        </div>
+    `;
+
+    const input = backdrop.querySelector('.command-palette-input');
+    const results = backdrop.querySelector('.command-palette-results');
+
+    input.addEventListener('input', () => renderItems(input.value));
+    input.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            setActiveIndex(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            runItem(items[activeIndex]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            closeCommandPalette();
+        }
+    });
+
+    results.addEventListener('click', event => {
+        const element = event.target.closest('.command-palette-item');
+        if (element) runItem(items[parseInt(element.dataset.index)]);
+    });
+
+    backdrop.addEventListener('click', event => {
+        if (event.target === backdrop) closeCommandPalette();
+    });
+
+    document.body.appendChild(backdrop);
+    return backdrop;
+}
+
+function renderItems(query) {
+    const results = palette.querySelector('.command-palette-results');
+    items = buildItems(query);
+    activeIndex = 0;
+
+    if (items.length === 0) {
+        results.innerHTML = '<div class="command-palette-empty">No matches</div>';
+        return;
+    }
+
+    results.innerHTML = items.map((item, index) => `
+        <div class="command-palette-item ${item.kind}${index === 0 ? ' active' : ''}" role="option" data-index="${index}">
+            <span class="command-palette-label">${escapeHtml(item.label)}</span>
+            <span class="command-palette-hint">${escapeHtml(item.hint)}</span>
+        </div>
+    `).join('');
+}
+
+function setActiveIndex(index) {
+    if (items.length === 0) return;
+
+    activeIndex = (index + items.length) % items.length;
+    palette.querySelectorAll('.command-palette-item').forEach(element => {
+        const isActive = parseInt(element.dataset.index) === activeIndex;
+        element.classList.toggle('active', isActive);
+        if (isActive) element.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+function runItem(item) {
+    if (!item) return;
+
+    closeCommandPalette();
+    if (item.kind === 'command') {
+        item.command.run();
+    } else {
+        onEntitySelected(item.entity);
+    }
+}
+
+export function isCommandPaletteOpen() {
+    return !!palette?.classList.contains('open');
+}
+
+export function openCommandPalette() {
+    if (!palette) palette = createPalette();
+
+    previousFocus = document.activeElement;
+    const input = palette.querySelector('.command-palette-input');
+    input.value = '';
+    renderItems('');
+    palette.classList.add('open');
+    input.focus();
+}
+
+export function closeCommandPalette() {
+    if (!isCommandPaletteOpen()) return;
+
+    palette.classList.remove('open');
+    if (previousFocus && document.contains(previousFocus)) {
+        previousFocus.focus();
+    }
+    previousFocus = null;
+}
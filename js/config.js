@@ -15,7 +15,7 @@ export const CHUNK_SIZE = 50;
 export const CHUNK_DELAY = 25;
 export const STATS_UPDATE_DELAY = 100;
 export const DB_NAME = 'EVETargetIntelDB';
-export const DB_VERSION = 3;
+export const DB_VERSION = 8;
 export const VERSION = "0.10.8";
 
 export const PROGRESS_UPDATE_THROTTLE_MS = 50;
@@ -54,6 +54,7 @@ export const PERFORMANCE_CONFIG = {
 };
 
 export const ESI_BASE = "https://esi.evetech.net/latest";
+export const SERVICE_WORKER_URL = 'sw.js';
 export const USER_AGENT = `EVETargetIntel/${VERSION} (+https://github.com/moregh/moregh.github.io/)`;
 export const ALLOWED_IMAGE_URLS = ['images.evetech.net', 'imageserver.eveonline.com'];
 export const ESI_HEADERS = {
@@ -81,12 +82,25 @@ export const ZKILL_PAGINATION_CONFIG = {
 export const ZKILL_CONFIG = {
     PROXY_BASE_URL: 'https://zkill2.zkillproxy.workers.dev/',
     POW_DIFFICULTY: 12,
+    POW_MAX_DIFFICULTY: 20,
+    POW_DIFFICULTY_REFRESH_MS: 5 * 60 * 1000,
     REQUEST_INTERVAL_MS: 500,
     CACHE_DURATION_MS: ZKILL_DATA_CACHE_DURATION_MS,
     REQUEST_TIMEOUT_MS: 15000,
     MAX_RETRIES: 3,
     MAX_CONCURRENT_REQUESTS: 1,
-    BATCH_DELAY_MS: 500
+    BATCH_DELAY_MS: 500,
+    BATCH_MAX_IDS: 25,
+    BATCH_TIMEOUT_MS: 60000
+};
+
+export const POW_CONFIG = {
+    MAX_WORKERS: 4,
+    // tries allowed per expected try (2^difficulty); gives up about once in 3000 solves
+    ITERATION_MARGIN: 8,
+    MAIN_THREAD_YIELD_EVERY: 2000,
+    MAX_PRECOMPUTED: 10,
+    PRECOMPUTE_TTL_MS: 240 * 1000
 };
 
 export const VIRTUAL_SCROLL_CONFIG = {
@@ -106,10 +120,83 @@ export const VIRTUAL_SCROLL_CONFIG = {
 
 export const VIEW_DIMENSIONS = {
     list: { height: 90, itemsPerRow: 1 },
-    grid: { height: 150, itemsPerRow: null }
+    grid: { height: 150, itemsPerRow: null },
+    table: { height: 36, itemsPerRow: 1 }
+};
+
+export const COMMAND_PALETTE_CONFIG = {
+    MAX_RESULTS: 50
+};
+
+export const RESULTS_TABLE_CONFIG = {
+    MIN_COLUMN_WIDTH: 60,
+    MAX_COLUMN_WIDTH: 600,
+    DEFAULT_COLUMNS: ['name', 'corporation', 'alliance', 'corp_size', 'alliance_size', 'war_eligible', 'kills', 'last_kill']
 };
 
 export const INPUT_SECTION_HOVER_DELAY_MS = 200;
+export const SCAN_SESSION_HISTORY_LIMIT = 50;
+
+export const CORP_HISTORY_CONFIG = {
+    RECENT_JOIN_DAYS: 7,
+    HOP_WINDOW_DAYS: 90,
+    HOP_THRESHOLD: 3,
+    MAX_ALLIANCE_LOOKUPS: 10,
+    NAME_BATCH_SIZE: 1000,
+    TIMELINE_DISPLAY_LIMIT: 15
+};
+
+export const WAR_CONFIG = {
+    ACTIVE_WAR_CACHE_HOURS: 24,
+    REFRESH_INTERVAL_MS: 60 * 60 * 1000,
+    FIRST_SCAN_MAX_AGE_DAYS: 365,
+    MAX_WAR_PAGES: 25,
+    FETCH_CONCURRENCY: 20,
+    FETCH_CHUNK_DELAY_MS: 100
+};
+
+export const STANDINGS_CONFIG = {
+    MIN: -10,
+    MAX: 10,
+    NAME_BATCH_SIZE: 1000
+};
+
+export const LOSS_ANALYSIS_CONFIG = {
+    MAX_LOSSMAILS: 200,
+    TOP_LIMIT: 8,
+    TIMELINE_WEEKS: 12,
+    FIT_HULL_LIMIT: 3,
+    FIT_MODULE_MIN_SHARE: 0.5,
+    FIT_MODULE_LIMIT: 12
+};
+
+export const FIT_INFERENCE_CONFIG = {
+    HULL_LIMIT: 3,
+    WEAPON_LIMIT: 4,
+    MODULE_MIN_SHARE: 0.4,
+    MODULE_LIMIT: 16,
+    CONFIDENCE_SAMPLES: 12,
+    LOSS_SAMPLE_WEIGHT: 3,
+    ROLE_TAGS: [
+        { label: 'Scram', match: ['Warp Scrambler'] },
+        { label: 'Point', match: ['Warp Disruptor'] },
+        { label: 'Web', match: ['Stasis Webifier'] },
+        { label: 'Grappler', match: ['Stasis Grappler'] },
+        { label: 'Neut', match: ['Energy Neutralizer'] },
+        { label: 'Cloak', match: ['Cloaking Device'] },
+        { label: 'Cyno', match: ['Cynosural Field'] },
+        { label: 'Bubble', match: ['Interdiction Sphere'] },
+        { label: 'Nullified', match: ['Interdiction Nullifier'] },
+        { label: 'ECM', match: ['ECM'] },
+        { label: 'Remote Rep', match: ['Remote Armor Repairer', 'Remote Shield Booster', 'Remote Hull Repairer'] },
+        { label: 'Probes', match: ['Scan Probe Launcher'] }
+    ]
+};
+
+export const ASSOCIATES_CONFIG = {
+    LIMIT: 10,
+    MIN_SHARED_KILLS: 2
+};
 
 export const FILTER_MIN_ENTITY_NAME_LENGTH = 3;
 export const FILTER_MAX_ENTITY_NAME_LENGTH = 50;
@@ -119,6 +206,8 @@ export const FILTER_DEFAULT_MIN_ALLIANCE_SIZE = 1;
 export const FILTER_DEFAULT_MAX_ALLIANCE_SIZE = 10000;
 export const FILTER_NAME_DEBOUNCE_MS = 300;
 export const FILTER_CACHE_SIZE_LIMIT = 20;
+export const FILTER_STATE_MAX_TEXT_LENGTH = 500;
+export const FILTER_PRESET_NAME_MAX_LENGTH = 40;
 
 export const IMAGE_OBSERVER_THRESHOLD = 0.2;
 export const IMAGE_OBSERVER_ROOT_MARGIN = '20px';
@@ -488,6 +577,92 @@ export const THREAT_ASSESSMENT = {
             ELEVATED_THRESHOLD: 65,
             MODERATE_THRESHOLD: 50,
             LOW_THRESHOLD: 25,
+        },
+
+        // icon and colour bands, separate from the labelled threat levels above
+        RISK_BANDS: {
+            HIGH_THRESHOLD: 70,
+            MODERATE_THRESHOLD: 50,
         }
     }
 };
+
+export const THREAT_EXPLANATION_CONFIG = {
+    KILLMAIL_LIMIT: 5,
+    BLOBBER_PENALTY: 15,
+    FLEET_FIGHTER_PENALTY: 10
+};
+
+export const GANG_SUMMARY_CONFIG = {
+    SHIP_CLASS_LIMIT: 5,
+    ORGANISATION_LIMIT: 3,
+    ACTIVE_HOUR_MIN_SHARE: 0.06,
+    OVERLAP_WINDOW_HOURS: 3,
+    FIGHT: {
+        CAPABLE_PILOT_WEIGHT: 8,
+        HIGH_THREAT_PILOT_WEIGHT: 5,
+        AVOID_THRESHOLD: 70,
+        CAUTION_THRESHOLD: 45
+    }
+};
+
+export const EXPORT_CONFIG = {
+    FILENAME_PREFIX: 'eve-target-intel',
+    DISCORD_MESSAGE_LIMIT: 2000
+};
+
+export const SHARE_LINK_CONFIG = {
+    HASH_PREFIX: 'scan=',
+    MAX_ENTITIES: 1000
+};
+
+export const THREAT_PROFILE_PRESETS = [
+    {
+        name: 'Default',
+        values: {}
+    },
+    {
+        name: 'Highsec Wardec',
+        values: {
+            'RISK_WEIGHTS.RECENCY': 0.35,
+            'RISK_WEIGHTS.FREQUENCY': 0.25,
+            'RISK_WEIGHTS.HVT_HUNTING': 0.05,
+            'RISK_WEIGHTS.SHIP_CAPABILITY': 0.05,
+            'RISK_WEIGHTS.SECURITY_PREFERENCE': 0.20,
+            'RISK_WEIGHTS.SOLO_RATIO': 0.10,
+            'SCORING.SECURITY.HIGHSEC_SCORE': 100,
+            'SCORING.SECURITY.LOWSEC_SCORE': 50,
+            'SCORING.SECURITY.NULLSEC_SCORE': 20,
+            'SCORING.SECURITY.WSPACE_SCORE': 20,
+            'SCORING.SECURITY.POCHVEN_SCORE': 20
+        }
+    },
+    {
+        name: 'Nullsec Ratting',
+        values: {
+            'RISK_WEIGHTS.RECENCY': 0.30,
+            'RISK_WEIGHTS.FREQUENCY': 0.15,
+            'RISK_WEIGHTS.HVT_HUNTING': 0.10,
+            'RISK_WEIGHTS.SHIP_CAPABILITY': 0.25,
+            'RISK_WEIGHTS.SECURITY_PREFERENCE': 0.10,
+            'RISK_WEIGHTS.SOLO_RATIO': 0.10,
+            'SCORING.SECURITY.NULLSEC_SCORE': 100,
+            'SCORING.SECURITY.HIGHSEC_SCORE': 10,
+            'TAGS.ACTIVE_RECENTLY_HOURS': 6
+        }
+    },
+    {
+        name: 'Wormhole',
+        values: {
+            'RISK_WEIGHTS.RECENCY': 0.30,
+            'RISK_WEIGHTS.FREQUENCY': 0.15,
+            'RISK_WEIGHTS.HVT_HUNTING': 0.05,
+            'RISK_WEIGHTS.SHIP_CAPABILITY': 0.10,
+            'RISK_WEIGHTS.SECURITY_PREFERENCE': 0.15,
+            'RISK_WEIGHTS.SOLO_RATIO': 0.25,
+            'SCORING.SECURITY.WSPACE_SCORE': 100,
+            'SCORING.SECURITY.HIGHSEC_SCORE': 10,
+            'TAGS.SMALL_GANG_MIN_PERCENT': 40
+        }
+    }
+];
@@ -0,0 +1,200 @@
+/*
+    EVE Target Intel - Character Employment History
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { CORP_HISTORY_CONFIG } from './config.js';
+import { esiClient } from './esi-client.js';
+import { getCachedCorporationHistory, setCachedCorporationHistory } from './database.js';
+import { getUserSetting, setUserSetting } from './user-settings.js';
+import { getNegativeStandingIds } from './standings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inflightHistory = new Map();
+
+function isNpcCorporation(corporationId) {
+    return corporationId >= 1000000 && corporationId < 2000000;
+}
+
+function findAlliancesDuring(allianceHistory, start, end) {
+    if (!Array.isArray(allianceHistory)) return [];
+
+    const sorted = [...allianceHistory].sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+    const alliances = [];
+
+    sorted.forEach((entry, index) => {
+        if (!entry.alliance_id) return;
+        const entryStart = new Date(entry.start_date).getTime();
+        const entryEnd = index + 1 < sorted.length ? new Date(sorted[index + 1].start_date).getTime() : Date.now();
+        if (entryStart < end && entryEnd > start && !alliances.includes(entry.alliance_id)) {
+            alliances.push(entry.alliance_id);
+        }
+    });
+
+    return alliances;
+}
+
+async function resolveNames(ids) {
+    const names = new Map();
+    const uniqueIds = [...new Set(ids)].filter(Boolean);
+
+    for (let i = 0; i < uniqueIds.length; i += CORP_HISTORY_CONFIG.NAME_BATCH_SIZE) {
+        const batch = uniqueIds.slice(i, i + CORP_HISTORY_CONFIG.NAME_BATCH_SIZE);
+        try {
+            const data = await esiClient.post('/universe/names/', batch);
+            (data || []).forEach(entry => names.set(entry.id, entry.name));
+        } catch (e) {
+            console.warn('Failed to resolve corporation history names:', e);
+        }
+    }
+
+    return names;
+}
+
+async function fetchCorporationHistory(characterId) {
+    const history = await esiClient.get(`/characters/${characterId}/corporationhistory/`);
+    if (!Array.isArray(history) || history.length === 0) return [];
+
+    const stints = [...history]
+        .sort((a, b) => new Date(b.start_date) - new Date(a.start_date))
+        .map((entry, index, sorted) => {
+            const start = new Date(entry.start_date).getTime();
+            const end = index > 0 ? new Date(sorted[index - 1].start_date).getTime() : null;
+            return {
+                corporation_id: entry.corporation_id,
+                start_date: entry.start_date,
+                end_date: end ? new Date(end).toISOString() : null,
+                days: Math.max(0, Math.floor(((end || Date.now()) - start) / DAY_MS)),
+                is_deleted: Boolean(entry.is_deleted),
+                alliance_ids: []
+            };
+        });
+
+    const lookupCorps = [...new Set(stints
+        .slice(0, CORP_HISTORY_CONFIG.MAX_ALLIANCE_LOOKUPS)
+        .map(s => s.corporation_id)
+        .filter(id => !isNpcCorporation(id)))];
+
+    const allianceHistories = new Map();
+    const responses = await esiClient.batchRequests(
+        lookupCorps.map(id => ({ endpoint: `/corporations/${id}/alliancehistory/` })),
+        { maxConcurrency: 5 }
+    );
+    lookupCorps.forEach((id, index) => allianceHistories.set(id, responses[index]));
+
+    stints.forEach(stint => {
+        const allianceHistory = allianceHistories.get(stint.corporation_id);
+        if (!allianceHistory) return;
+        const start = new Date(stint.start_date).getTime();
+        const end = stint.end_date ? new Date(stint.end_date).getTime() : Date.now();
+        stint.alliance_ids = findAlliancesDuring(allianceHistory, start, end);
+    });
+
+    const names = await resolveNames([
+        ...stints.map(s => s.corporation_id),
+        ...stints.flatMap(s => s.alliance_ids)
+    ]);
+
+    return stints.map(stint => ({
+        ...stint,
+        corporation_name: names.get(stint.corporation_id) || `Corporation ${stint.corporation_id}`,
+        alliances: stint.alliance_ids.map(id => ({ alliance_id: id, alliance_name: names.get(id) || `Alliance ${id}` }))
+    }));
+}
+
+export async function getCharacterCorporationHistory(characterId) {
+    const id = parseInt(characterId);
+    const cached = await getCachedCorporationHistory(id);
+    if (cached) return cached;
+
+    if (inflightHistory.has(id)) {
+        return inflightHistory.get(id);
+    }
+
+    const promise = fetchCorporationHistory(id)
+        .then(async history => {
+            await setCachedCorporationHistory(id, history);
+            return history;
+        })
+        .catch(e => {
+            console.warn(`Failed to fetch corporation history for ${id}:`, e);
+            return null;
+        })
+        .finally(() => inflightHistory.delete(id));
+
+    inflightHistory.set(id, promise);
+    return promise;
+}
+
+export function analyseCorporationHistory(history, hostileAllianceIds = [], now = Date.now()) {
+    const flags = [];
+    if (!Array.isArray(history) || history.length === 0) return flags;
+
+    const current = history[0];
+    const currentAge = Math.floor((now - new Date(current.start_date).getTime()) / DAY_MS);
+
+    if (currentAge < CORP_HISTORY_CONFIG.RECENT_JOIN_DAYS) {
+        flags.push({
+            type: 'recent-join',
+            severity: 'high',
+            text: `Joined ${current.corporation_name} ${currentAge === 0 ? 'today' : `${currentAge} day${currentAge !== 1 ? 's' : ''} ago`}`
+        });
+    }
+
+    const windowStart = now - CORP_HISTORY_CONFIG.HOP_WINDOW_DAYS * DAY_MS;
+    const recentCorps = new Set(history
+        .filter(s => new Date(s.start_date).getTime() >= windowStart)
+        .map(s => s.corporation_id));
+
+    if (recentCorps.size >= CORP_HISTORY_CONFIG.HOP_THRESHOLD) {
+        flags.push({
+            type: 'corp-hopper',
+            severity: 'medium',
+            text: `${recentCorps.size} corps in last ${CORP_HISTORY_CONFIG.HOP_WINDOW_DAYS} days`
+        });
+    }
+
+    const hostileIds = new Set(hostileAllianceIds.map(id => parseInt(id)));
+    const currentAllianceIds = new Set((current.alliances || []).map(a => a.alliance_id));
+    const reported = new Set();
+
+    history.slice(1).forEach(stint => {
+        (stint.alliances || []).forEach(alliance => {
+            if (!hostileIds.has(alliance.alliance_id) || currentAllianceIds.has(alliance.alliance_id) || reported.has(alliance.alliance_id)) return;
+            reported.add(alliance.alliance_id);
+            flags.push({
+                type: 'hostile-history',
+                severity: 'high',
+                text: `Previously in hostile alliance ${alliance.alliance_name}`
+            });
+        });
+    });
+
+    return flags;
+}
+
+export async function getHostileAllianceIds() {
+    const ids = await getUserSetting('HOSTILE_ALLIANCE_IDS');
+    return Array.isArray(ids) ? ids : [];
+}
+
+// alliances marked hostile here plus any with a negative standing
+export async function getHostileHistoryAllianceIds() {
+    const [markedIds, standingIds] = await Promise.all([getHostileAllianceIds(), getNegativeStandingIds('alliance')]);
+    return [...new Set([...markedIds, ...standingIds])];
+}
+
+export async function setAllianceHostile(allianceId, hostile) {
+    const id = parseInt(allianceId);
+    const ids = new Set(await getHostileAllianceIds());
+
+    if (hostile) {
+        ids.add(id);
+    } else {
+        ids.delete(id);
+    }
+
+    return setUserSetting('HOSTILE_ALLIANCE_IDS', Array.from(ids));
+}
@@ -5,7 +5,7 @@
     Licensed under AGPL License.
 */
 
-import { DB_NAME, DB_VERSION, CACHE_EXPIRY_HOURS, LONG_CACHE_EXPIRY_HOURS, ZKILL_KILLS_CACHE_HOURS, ESI_KILLMAILS_CACHE_HOURS } from './config.js';
+import { DB_NAME, DB_VERSION, CACHE_EXPIRY_HOURS, LONG_CACHE_EXPIRY_HOURS, ZKILL_KILLS_CACHE_HOURS, ESI_KILLMAILS_CACHE_HOURS, SCAN_SESSION_HISTORY_LIMIT } from './config.js';
 import { showError } from './ui.js';
 
 let dbInstance = null;
@@ -70,6 +70,31 @@ export async function initDB() {
             if (!db.objectStoreNames.contains('user_settings')) {
                 db.createObjectStore('user_settings', { keyPath: 'key' });
             }
+
+            if (!db.objectStoreNames.contains('corporation_history')) {
+                const historyStore = db.createObjectStore('corporation_history', { keyPath: 'character_id' });
+                historyStore.createIndex('timestamp', 'timestamp');
+            }
+
+            if (!db.objectStoreNames.contains('wars')) {
+                const warStore = db.createObjectStore('wars', { keyPath: 'war_id' });
+                warStore.createIndex('timestamp', 'timestamp');
+            }
+
+            if (!db.objectStoreNames.contains('war_index')) {
+                db.createObjectStore('war_index', { keyPath: 'war_id' });
+            }
+
+            if (!db.objectStoreNames.contains('standings')) {
+                const standingStore = db.createObjectStore('standings', { keyPath: 'entity_id' });
+                standingStore.createIndex('entity_type', 'entity_type');
+            }
+
+            if (!db.objectStoreNames.contains('scan_sessions')) {
+                const sessionStore = db.createObjectStore('scan_sessions', { keyPath: 'session_id', autoIncrement: true });
+                sessionStore.createIndex('timestamp', 'timestamp');
+                sessionStore.createIndex('system_lower', 'system_lower');
+            }
         };
     });
 }
@@ -80,7 +105,7 @@ export function isExpired(timestamp, expiryHours = CACHE_EXPIRY_HOURS) {
     return now > expiryTime;
 }
 
-async function getCachedData(storeName, key, processResult) {
+async function getCachedData(storeName, key, processResult, { allowExpired = false } = {}) {
     try {
         const db = await initDB();
         const transaction = db.transaction([storeName], 'readonly');
@@ -91,7 +116,7 @@ async function getCachedData(storeName, key, processResult) {
 
             request.onsuccess = () => {
                 const result = request.result;
-                if (!result || isExpired(result.timestamp)) {
+                if (!result || (!allowExpired && isExpired(result.timestamp))) {
                     resolve(null);
                     return;
                 }
@@ -131,13 +156,14 @@ export async function getCachedNameToId(name) {
     }
 }
 
-export async function getCachedAffiliation(characterId) {
+export async function getCachedAffiliation(characterId, options) {
     try {
         return await getCachedData('character_affiliations', characterId, result => ({
             character_id: result.character_id,
             corporation_id: result.corporation_id,
-            alliance_id: result.alliance_id
-        }));
+            alliance_id: result.alliance_id,
+            cachedAt: result.timestamp
+        }), options);
     } catch (e) {
         return null;
     }
@@ -159,12 +185,28 @@ export async function setCachedAffiliation(characterId, affiliationData) {
     });
 }
 
-export async function getCachedCorporationInfo(corporationId) {
+export async function getCachedCorporationHistory(characterId) {
+    try {
+        return await getCachedData('corporation_history', characterId, result => result.history);
+    } catch (e) {
+        return null;
+    }
+}
+
+export async function setCachedCorporationHistory(characterId, history) {
+    return setCachedData('corporation_history', {
+        character_id: characterId,
+        history
+    });
+}
+
+export async function getCachedCorporationInfo(corporationId, options) {
     try {
         return await getCachedData('corporations', corporationId, result => ({
             name: result.name,
-            war_eligible: result.war_eligible
-        }));
+            war_eligible: result.war_eligible,
+            cachedAt: result.timestamp
+        }), options);
     } catch (e) {
         return null;
     }
@@ -178,11 +220,12 @@ export async function setCachedCorporationInfo(corporationId, corporationData) {
     });
 }
 
-export async function getCachedAllianceInfo(allianceId) {
+export async function getCachedAllianceInfo(allianceId, options) {
     try {
         return await getCachedData('alliances', allianceId, result => ({
-            name: result.name
-        }));
+            name: result.name,
+            cachedAt: result.timestamp
+        }), options);
     } catch (e) {
         return null;
     }
@@ -195,13 +238,14 @@ export async function setCachedAllianceInfo(allianceId, allianceData) {
     });
 }
 
-export async function getCachedEntityName(name) {
+export async function getCachedEntityName(name, options) {
     try {
         return await getCachedData('entity_names', name.toLowerCase(), result => ({
             id: result.entity_id,
             name: result.entity_name,
-            type: result.entity_type
-        }));
+            type: result.entity_type,
+            cachedAt: result.timestamp
+        }), options);
     } catch (e) {
         return null;
     }
@@ -360,8 +404,12 @@ export async function clearExpiredCache() {
     }
 }
 
-export async function getCachedKills(entityType, entityId) {
-    const cacheKey = `${entityType}:${entityId}`;
+function killListCacheKey(entityType, entityId, killType) {
+    return killType === 'losses' ? `losses:${entityType}:${entityId}` : `${entityType}:${entityId}`;
+}
+
+export async function getCachedKills(entityType, entityId, killType = 'kills') {
+    const cacheKey = killListCacheKey(entityType, entityId, killType);
     try {
         return await getCachedData('zkill_kills', cacheKey, result => {
             if (isExpired(result.timestamp, ZKILL_KILLS_CACHE_HOURS)) {
@@ -377,12 +425,13 @@ export async function getCachedKills(entityType, entityId) {
     }
 }
 
-export async function setCachedKills(entityType, entityId, kills) {
-    const cacheKey = `${entityType}:${entityId}`;
+export async function setCachedKills(entityType, entityId, kills, killType = 'kills') {
+    const cacheKey = killListCacheKey(entityType, entityId, killType);
     return setCachedData('zkill_kills', {
         cache_key: cacheKey,
         entity_type: entityType,
         entity_id: parseInt(entityId),
+        kill_type: killType,
         kills: kills
     });
 }
@@ -494,6 +543,120 @@ export async function setCachedKillmailsBatch(killmails) {
     }
 }
 
+export async function getCachedWarsBatch(warIds, activeExpiryHours) {
+    if (!Array.isArray(warIds) || warIds.length === 0) {
+        return [];
+    }
+
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['wars'], 'readonly');
+        const store = transaction.objectStore('wars');
+        const now = Date.now();
+
+        const promises = warIds.map(warId => {
+            return new Promise((resolve) => {
+                const request = store.get(warId);
+
+                request.onsuccess = () => {
+                    const result = request.result;
+                    if (!result) {
+                        resolve(null);
+                        return;
+                    }
+
+                    const finished = result.war.finished && new Date(result.war.finished).getTime() <= now;
+                    const expiryHours = finished ? LONG_CACHE_EXPIRY_HOURS : activeExpiryHours;
+                    resolve(isExpired(result.timestamp, expiryHours) ? null : result.war);
+                };
+
+                request.onerror = () => {
+                    console.warn(`Error reading war ${warId}:`, request.error);
+                    resolve(null);
+                };
+            });
+        });
+
+        return await Promise.all(promises);
+    } catch (e) {
+        console.warn('Error batch reading wars:', e);
+        return warIds.map(() => null);
+    }
+}
+
+export async function setCachedWarsBatch(wars) {
+    if (!Array.isArray(wars) || wars.length === 0) {
+        return;
+    }
+
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['wars'], 'readwrite');
+        const store = transaction.objectStore('wars');
+        const timestamp = Date.now();
+
+        wars.forEach(war => {
+            if (war && war.id) {
+                store.put({ war_id: war.id, war, timestamp });
+            }
+        });
+
+        return new Promise((resolve) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Error batch writing wars:', transaction.error);
+                resolve();
+            };
+        });
+    } catch (e) {
+        console.warn('Error batch writing wars:', e);
+    }
+}
+
+export async function getWarIndex() {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['war_index'], 'readonly');
+        const store = transaction.objectStore('war_index');
+
+        return new Promise((resolve) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(new Map((request.result || []).map(record => [record.war_id, record])));
+            request.onerror = () => {
+                console.warn('Error reading war index:', request.error);
+                resolve(new Map());
+            };
+        });
+    } catch (e) {
+        console.warn('Error accessing war index:', e);
+        return new Map();
+    }
+}
+
+export async function setWarIndexBatch(records) {
+    if (!Array.isArray(records) || records.length === 0) {
+        return;
+    }
+
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['war_index'], 'readwrite');
+        const store = transaction.objectStore('war_index');
+
+        records.forEach(record => store.put(record));
+
+        return new Promise((resolve) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Error writing war index:', transaction.error);
+                resolve();
+            };
+        });
+    } catch (e) {
+        console.warn('Error writing war index:', e);
+    }
+}
+
 export async function getCachedUniverseName(typeId) {
     try {
         const db = await initDB();
@@ -603,4 +766,232 @@ export async function clearUserSettings() {
         console.warn('Error clearing user settings:', e);
         throw e;
     }
-}
\ No newline at end of file
+}
+
+export async function saveScanSession(session) {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['scan_sessions'], 'readwrite');
+        const store = transaction.objectStore('scan_sessions');
+
+        const record = {
+            ...session,
+            system_lower: session.system ? session.system.toLowerCase() : '',
+            timestamp: session.timestamp || Date.now()
+        };
+        const request = store.add(record);
+
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - SCAN_SESSION_HISTORY_LIMIT;
+            if (excess <= 0) return;
+
+            store.index('timestamp').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+        };
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve({ ...record, session_id: request.result });
+            transaction.onerror = () => {
+                console.warn('Error saving scan session:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    } catch (e) {
+        console.warn('Error saving scan session:', e);
+        return null;
+    }
+}
+
+export async function getScanSessions() {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['scan_sessions'], 'readonly');
+        const store = transaction.objectStore('scan_sessions');
+
+        return new Promise((resolve) => {
+            const sessions = [];
+            const request = store.index('timestamp').openCursor(null, 'prev');
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    sessions.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(sessions);
+                }
+            };
+
+            request.onerror = () => {
+                console.warn('Error reading scan sessions:', request.error);
+                resolve([]);
+            };
+        });
+    } catch (e) {
+        console.warn('Error accessing scan sessions:', e);
+        return [];
+    }
+}
+
+export async function getScanSession(sessionId) {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['scan_sessions'], 'readonly');
+        const store = transaction.objectStore('scan_sessions');
+
+        return new Promise((resolve) => {
+            const request = store.get(sessionId);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => {
+                console.warn(`Error reading scan session ${sessionId}:`, request.error);
+                resolve(null);
+            };
+        });
+    } catch (e) {
+        console.warn(`Error accessing scan session ${sessionId}:`, e);
+        return null;
+    }
+}
+
+export async function getPreviousScanSession(system, beforeTimestamp) {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['scan_sessions'], 'readonly');
+        const store = transaction.objectStore('scan_sessions');
+        const range = IDBKeyRange.only(system ? system.toLowerCase() : '');
+
+        return new Promise((resolve) => {
+            let previous = null;
+            const request = store.index('system_lower').openCursor(range);
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    const session = cursor.value;
+                    if (session.timestamp < beforeTimestamp && (!previous || session.timestamp > previous.timestamp)) {
+                        previous = session;
+                    }
+                    cursor.continue();
+                } else {
+                    resolve(previous);
+                }
+            };
+
+            request.onerror = () => {
+                console.warn('Error reading previous scan session:', request.error);
+                resolve(null);
+            };
+        });
+    } catch (e) {
+        console.warn('Error accessing previous scan session:', e);
+        return null;
+    }
+}
+
+export async function deleteScanSession(sessionId) {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['scan_sessions'], 'readwrite');
+        transaction.objectStore('scan_sessions').delete(sessionId);
+
+        return new Promise((resolve) => {
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => {
+                console.warn(`Error deleting scan session ${sessionId}:`, transaction.error);
+                resolve(false);
+            };
+        });
+    } catch (e) {
+        console.warn(`Error deleting scan session ${sessionId}:`, e);
+        return false;
+    }
+}
+
+export async function getAllStandings() {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['standings'], 'readonly');
+        const store = transaction.objectStore('standings');
+
+        return new Promise((resolve) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.warn('Error reading standings:', request.error);
+                resolve([]);
+            };
+        });
+    } catch (e) {
+        console.warn('Error accessing standings:', e);
+        return [];
+    }
+}
+
+export async function setStandingsBatch(entries) {
+    if (!entries || entries.length === 0) return;
+
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['standings'], 'readwrite');
+        const store = transaction.objectStore('standings');
+        const timestamp = Date.now();
+
+        entries.forEach(entry => store.put({ ...entry, timestamp }));
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Error writing standings:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    } catch (e) {
+        console.warn('Error writing standings:', e);
+        throw e;
+    }
+}
+
+export async function deleteStanding(entityId) {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['standings'], 'readwrite');
+        transaction.objectStore('standings').delete(entityId);
+
+        return new Promise((resolve) => {
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => {
+                console.warn(`Error deleting standing ${entityId}:`, transaction.error);
+                resolve(false);
+            };
+        });
+    } catch (e) {
+        console.warn(`Error deleting standing ${entityId}:`, e);
+        return false;
+    }
+}
+
+export async function clearStandings() {
+    try {
+        const db = await initDB();
+        const transaction = db.transaction(['standings'], 'readwrite');
+        transaction.objectStore('standings').clear();
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Error clearing standings:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    } catch (e) {
+        console.warn('Error clearing standings:', e);
+        throw e;
+    }
+}
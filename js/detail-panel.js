@@ -6,6 +6,7 @@
 */
 
 import { getZkillCardInstance } from './zkill-card.js';
+import { escapeHtml } from './xss-protection.js';
 
 let currentEntityType = null;
 let currentEntityId = null;
@@ -45,6 +46,147 @@ export async function showEntityDetail(type, id, name = null) {
     }
 }
 
+export function showDscanDetail(summary) {
+    const detailContent = document.getElementById('detail-content');
+    if (!detailContent) return;
+
+    currentEntityType = null;
+    currentEntityId = null;
+
+    const sizeCounts = new Map();
+    summary.categories.forEach(category => {
+        const size = category.size || 'Unknown';
+        sizeCounts.set(size, (sizeCounts.get(size) || 0) + category.count);
+    });
+
+    const sizeBadges = Array.from(sizeCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([size, count]) => `<span class="detail-badge">${escapeHtml(size)}: ${count}</span>`)
+        .join('');
+
+    const categoryRows = summary.categories.map(category => `
+        <div class="dscan-row">
+            <span class="dscan-row-label">${escapeHtml(category.category)}</span>
+            <span class="dscan-row-types">${category.types.map(t => `${escapeHtml(t.typeName)} ×${t.count}`).join(', ')}</span>
+            <span class="dscan-row-count">${category.count}</span>
+        </div>
+    `).join('');
+
+    detailContent.innerHTML = `
+        <div class="detail-header">
+            <div class="detail-info">
+                <h2 class="detail-name">D-Scan Summary</h2>
+                <div class="detail-meta">
+                    <span class="detail-badge">🚀 ${summary.ships} ship${summary.ships !== 1 ? 's' : ''}</span>
+                    <span class="detail-badge">📡 ${summary.total} object${summary.total !== 1 ? 's' : ''}</span>
+                    ${sizeBadges}
+                </div>
+            </div>
+        </div>
+        <div class="dscan-summary">
+            ${categoryRows || '<div class="empty-state-text">No ships on d-scan</div>'}
+        </div>
+    `;
+}
+
+export function showGangSummaryDetail(summary) {
+    const detailContent = document.getElementById('detail-content');
+    if (!detailContent) return;
+
+    currentEntityType = null;
+    currentEntityId = null;
+
+    const unscored = summary.pilotCount - summary.scoredCount;
+    const coverage = unscored > 0 ? `
+        <div class="gang-summary-note">
+            ${summary.scoredCount} of ${summary.pilotCount} pilots scored. Use <strong>Score All</strong> to include the rest.
+        </div>
+    ` : '';
+
+    if (!summary.fight) {
+        detailContent.innerHTML = `
+            <div class="empty-state gang-summary-empty">
+                <div class="empty-state-icon">⚔️</div>
+                <div class="empty-state-text">No pilots scored yet. Use Score All to build a gang summary.</div>
+            </div>
+        `;
+        return;
+    }
+
+    const { verdict, index, reasons } = summary.fight;
+    const { capabilities, activity } = summary;
+
+    const shipRows = summary.shipClasses.map(entry => `
+        <div class="dscan-row">
+            <span class="dscan-row-label">${escapeHtml(entry.shipClass)}</span>
+            <span class="dscan-row-types"><span class="gang-summary-bar" style="width: ${entry.percentage}%"></span></span>
+            <span class="dscan-row-count">${entry.percentage}%</span>
+        </div>
+    `).join('');
+
+    const overlap = activity.overlap ?
+        `${String(activity.overlap.startHour).padStart(2, '0')}:00–${String(activity.overlap.endHour).padStart(2, '0')}:00 EVE ` +
+        `(${activity.overlap.pilotCount}/${activity.overlap.pilotsWithData} pilots active)` :
+        'No activity data';
+    const timezones = activity.timezones.map(entry => `${escapeHtml(entry.timezone)} ×${entry.count}`).join(', ') || 'Unknown';
+
+    const threatRows = summary.topThreats.map(pilot => `
+        <div class="dscan-row">
+            <span class="dscan-row-label">${escapeHtml(pilot.name)}</span>
+            <span class="dscan-row-types">${pilot.tags.map(tag => escapeHtml(tag)).join(', ')}</span>
+            <span class="tree-threat-badge threat-${pilot.riskBand}">${pilot.score}</span>
+        </div>
+    `).join('');
+
+    const organisations = [...summary.alliances, ...summary.corporations]
+        .map(entity => `<span class="detail-badge">${entity.type === 'alliance' ? '🏛️' : '🏢'} ${escapeHtml(entity.name)} ×${entity.count}</span>`)
+        .join('');
+
+    detailContent.innerHTML = `
+        <div class="detail-header">
+            <div class="detail-info">
+                <h2 class="detail-name">Gang Summary</h2>
+                <div class="detail-meta">
+                    <span class="detail-badge">👥 ${summary.pilotCount} pilot${summary.pilotCount !== 1 ? 's' : ''}</span>
+                    <span class="detail-badge">💀 ${summary.recentKills} recent kills</span>
+                    <span class="detail-badge">📊 ${summary.totalKills} total kills</span>
+                    ${organisations}
+                </div>
+            </div>
+        </div>
+        ${coverage}
+        <div class="gang-summary-verdict ${verdict.key}" title="${escapeHtml(reasons.join(' · '))}">
+            <span class="gang-summary-verdict-icon">${verdict.icon}</span>
+            <span class="gang-summary-verdict-label">${verdict.label}</span>
+            <span class="gang-summary-verdict-index">Gang threat ${index}</span>
+            <div class="gang-summary-reasons">${reasons.map(reason => escapeHtml(reason)).join(' · ')}</div>
+        </div>
+        <div class="dscan-summary">
+            <div class="dscan-row">
+                <span class="dscan-row-label">Capabilities</span>
+                <span class="dscan-row-types">Capital ×${capabilities.capital}, Black Ops ×${capabilities.blops}, Cyno ×${capabilities.cyno}</span>
+                <span class="dscan-row-count">${summary.highThreatPilots} high threat</span>
+            </div>
+            <div class="dscan-row">
+                <span class="dscan-row-label">Timezone overlap</span>
+                <span class="dscan-row-types">${overlap} · ${timezones}</span>
+            </div>
+        </div>
+        <h3 class="gang-summary-heading">Dominant Ship Classes</h3>
+        <div class="dscan-summary">
+            ${shipRows || '<div class="empty-state-text">No ship usage data</div>'}
+        </div>
+        <h3 class="gang-summary-heading">Top Threats</h3>
+        <div class="dscan-summary">
+            ${threatRows}
+        </div>
+    `;
+}
+
+export function isShowingGangSummary() {
+    return !!document.querySelector('#detail-content .gang-summary-verdict, #detail-content .gang-summary-empty');
+}
+
 export function clearDetailPanel() {
     const detailContent = document.getElementById('detail-content');
     if (!detailContent) return;
@@ -21,6 +21,12 @@ const allianceInfoCache = new Map();
 const characterNameToIdCache = new Map();
 const characterAffiliationCache = new Map();
 
+const ENTITY_CATEGORY_KEYS = {
+    character: 'characters',
+    corporation: 'corporations',
+    alliance: 'alliances'
+};
+
 let localCacheHits = 0;
 
 function incrementLocalCacheHits() {
@@ -173,6 +179,29 @@ export async function getEntityIds(names) {
     };
 }
 
+export async function getEntitiesByIds(ids) {
+    const entities = { characters: [], corporations: [], alliances: [] };
+    const uniqueIds = [...new Set(ids.map(sanitizeId))].filter(Boolean);
+    const chunks = chunkArray(uniqueIds, MAX_ESI_CALL_SIZE);
+
+    for (let i = 0; i < chunks.length; i++) {
+        updateProgress(i * MAX_ESI_CALL_SIZE, uniqueIds.length,
+            `Resolving shared entities (batch ${i + 1}/${chunks.length})...`);
+
+        const data = await esiClient.post('/universe/names/', chunks[i]) || [];
+        for (const entry of data) {
+            const key = ENTITY_CATEGORY_KEYS[entry.category];
+            if (!key) continue;
+
+            entities[key].push({ id: entry.id, name: entry.name });
+            await setCachedEntityName(entry.name, { id: entry.id, name: entry.name, type: entry.category });
+        }
+    }
+
+    await updateLoadingDetails();
+    return entities;
+}
+
 export async function getCharacterAffiliations(characterIds) {
     const cachedAffiliations = [];
     const uncachedIds = [];
@@ -569,15 +598,90 @@ export async function buildCharacterResults(characters, affiliationMap, corpMap,
     return results;
 }
 
-export async function mixedValidator(names) {
+async function buildCachedResult(entity) {
+    const offline = { allowExpired: true };
+
+    if (entity.type === 'character') {
+        const affiliation = await getCachedAffiliation(entity.id, offline);
+        if (!affiliation) return null;
+
+        const corpInfo = await getCachedCorporationInfo(affiliation.corporation_id, offline);
+        const allianceInfo = affiliation.alliance_id ? await getCachedAllianceInfo(affiliation.alliance_id, offline) : null;
+
+        return {
+            character_name: entity.name,
+            character_id: sanitizeId(entity.id),
+            corporation_name: corpInfo?.name || 'Unknown Corporation',
+            corporation_id: sanitizeId(affiliation.corporation_id),
+            alliance_name: affiliation.alliance_id ? allianceInfo?.name || 'Unknown Alliance' : null,
+            alliance_id: affiliation.alliance_id ? sanitizeId(affiliation.alliance_id) : null,
+            war_eligible: Boolean(corpInfo?.war_eligible),
+            cached_at: Math.min(...[entity, affiliation, corpInfo, allianceInfo].filter(Boolean).map(entry => entry.cachedAt))
+        };
+    }
+
+    const isCorporation = entity.type === 'corporation';
+    const info = isCorporation ?
+        await getCachedCorporationInfo(entity.id, offline) :
+        await getCachedAllianceInfo(entity.id, offline);
+    if (!info) return null;
+
+    return {
+        entity_type: entity.type,
+        entity_name: entity.name,
+        entity_id: sanitizeId(entity.id),
+        corporation_name: isCorporation ? entity.name : null,
+        corporation_id: isCorporation ? sanitizeId(entity.id) : null,
+        alliance_name: isCorporation ? null : entity.name,
+        alliance_id: isCorporation ? null : sanitizeId(entity.id),
+        war_eligible: isCorporation ? Boolean(info.war_eligible) : true,
+        character_name: null,
+        character_id: null,
+        cached_at: Math.min(entity.cachedAt, info.cachedAt)
+    };
+}
+
+async function resolveFromLocalCache(names) {
+    const results = [];
+    const missingNames = [];
+
+    for (let i = 0; i < names.length; i++) {
+        updateProgress(i, names.length, `Reading local cache (${i}/${names.length})...`);
+
+        const entity = await getCachedEntityName(names[i], { allowExpired: true });
+        const result = entity ? await buildCachedResult(entity) : null;
+        if (result) {
+            incrementLocalCacheHits();
+            results.push({ ...result, stale: true });
+        } else {
+            missingNames.push(names[i]);
+        }
+    }
+
+    if (missingNames.length > 0) {
+        console.warn(`${missingNames.length} name(s) not in the local cache:`, missingNames);
+    }
+
+    await updateLoadingDetails();
+    return results;
+}
+
+export async function mixedValidator(names, { entities: resolvedEntities = null, offline = false } = {}) {
     esiClient.resetStats();
     resetLocalCacheHits();
 
+    if (offline) {
+        if (resolvedEntities) {
+            throw new Error('Shared scans cannot be opened in offline mode.');
+        }
+        return resolveFromLocalCache(names);
+    }
+
     try {
-        const entities = await getEntityIds(names);
+        const entities = resolvedEntities || await getEntityIds(names);
 
         const totalFound = entities.characters.length + entities.corporations.length + entities.alliances.length;
-        if (totalFound !== names.length) {
+        if (!resolvedEntities && totalFound !== names.length) {
             const foundNames = new Set([
                 ...entities.characters.map(c => c.name.toLowerCase()),
                 ...entities.corporations.map(c => c.name.toLowerCase()),
@@ -0,0 +1,171 @@
+/*
+    EVE Target Intel - Results Export
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { EXPORT_CONFIG } from './config.js';
+import { escapeCsvField, escapeMarkdown } from './xss-protection.js';
+import { getFilteredResults } from './filters.js';
+import { showSuccess, showError } from './ui.js';
+
+const CSV_COLUMNS = [
+    'type', 'name', 'character_id', 'corporation_name', 'corporation_id',
+    'alliance_name', 'alliance_id', 'war_eligible', 'threat_score'
+];
+
+const FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: buildCsv },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: buildJson },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: buildMarkdown }
+};
+
+function toExportRecord(result) {
+    const type = result.character_name ? 'character' :
+        result.corporation_name ? 'corporation' : 'alliance';
+
+    return {
+        type,
+        name: result.character_name || (type === 'alliance' ? result.alliance_name : result.corporation_name) || '',
+        character_id: result.character_id || null,
+        corporation_name: result.corporation_name || null,
+        corporation_id: result.corporation_id || null,
+        alliance_name: result.alliance_name || null,
+        alliance_id: result.alliance_id || null,
+        war_eligible: !!result.war_eligible,
+        threat_score: result.threat_score ?? null
+    };
+}
+
+function buildCsv(records) {
+    const rows = records.map(record => CSV_COLUMNS.map(column => escapeCsvField(record[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+function buildJson(records) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        count: records.length,
+        results: records
+    }, null, 2);
+}
+
+function formatMarkdownLine(record) {
+    const parts = [`**${escapeMarkdown(record.name)}**`];
+    if (record.type === 'character' && record.corporation_name) {
+        parts.push(`(${escapeMarkdown(record.corporation_name)})`);
+    }
+    if (record.war_eligible) parts.push('⚔️');
+    if (record.threat_score !== null) parts.push(`\`${record.threat_score}\``);
+    return `- ${parts.join(' ')}`;
+}
+
+function buildMarkdown(records) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = record.alliance_name || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+
+    const sortedGroups = Array.from(groups.entries()).sort(([a, aRecords], [b, bRecords]) => {
+        if (!a !== !b) return a ? -1 : 1;
+        return bRecords.length - aRecords.length || a.localeCompare(b);
+    });
+
+    const lines = [`**Scan: ${records.length} result${records.length !== 1 ? 's' : ''}**`];
+    const budget = EXPORT_CONFIG.DISCORD_MESSAGE_LIMIT - 40;
+    let length = lines[0].length;
+    let omitted = 0;
+
+    for (const [allianceName, groupRecords] of sortedGroups) {
+        const block = [
+            '',
+            `__${allianceName ? escapeMarkdown(allianceName) : 'No Alliance'}__ (${groupRecords.length})`,
+            ...groupRecords.map(formatMarkdownLine)
+        ];
+
+        for (const line of block) {
+            if (omitted > 0 || length + line.length + 1 > budget) {
+                if (line.startsWith('- ')) omitted++;
+                continue;
+            }
+            lines.push(line);
+            length += line.length + 1;
+        }
+    }
+
+    if (omitted > 0) {
+        lines.push(`…and ${omitted} more`);
+    }
+
+    return lines.join('\n');
+}
+
+export function exportResults(format) {
+    const exporter = FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    return exporter.build(getFilteredResults().map(toExportRecord));
+}
+
+export function downloadResults(format) {
+    const exporter = FORMATS[format];
+    const content = exportResults(format);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+    const url = URL.createObjectURL(new Blob([content], { type: exporter.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${EXPORT_CONFIG.FILENAME_PREFIX}-${timestamp}.${exporter.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+export async function copyResults(format) {
+    try {
+        await navigator.clipboard.writeText(exportResults(format));
+        showSuccess(`${FORMATS[format].label} copied to clipboard`);
+    } catch (error) {
+        console.error('Failed to copy export:', error);
+        showError('Could not copy to clipboard');
+    }
+}
+
+export function initializeExportMenu() {
+    const menu = document.getElementById('export-menu');
+    const button = document.getElementById('export-button');
+    if (!menu || !button) return;
+
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        menu.classList.toggle('open');
+    });
+
+    menu.addEventListener('click', event => {
+        const item = event.target.closest('[data-export-format]');
+        if (!item) return;
+
+        menu.classList.remove('open');
+        if (getFilteredResults().length === 0) {
+            showError('No results to export');
+            return;
+        }
+
+        if (item.dataset.exportAction === 'copy') {
+            copyResults(item.dataset.exportFormat);
+        } else {
+            downloadResults(item.dataset.exportFormat);
+        }
+    });
+
+    document.addEventListener('click', event => {
+        if (!menu.contains(event.target)) {
+            menu.classList.remove('open');
+        }
+    });
+}
@@ -0,0 +1,275 @@
+/*
+    EVE Target Intel - Saved Filter Presets
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { FILTER_PRESET_NAME_MAX_LENGTH } from './config.js';
+import { getUserSetting, setUserSetting } from './user-settings.js';
+import { normalizeFilterState, getActiveFilterState, applyFilterState } from './filters.js';
+
+let presets = [];
+let defaultPresetName = null;
+let loadPromise = null;
+const changeListeners = new Set();
+
+function findPreset(name) {
+    const key = (name || '').toLowerCase();
+    return presets.find(preset => preset.name.toLowerCase() === key) || null;
+}
+
+function notifyListeners() {
+    changeListeners.forEach(listener => listener());
+}
+
+function validateName(name) {
+    const presetName = (name || '').trim();
+    if (!presetName) {
+        return { error: 'Preset name is required' };
+    }
+    if (presetName.length > FILTER_PRESET_NAME_MAX_LENGTH) {
+        return { error: `Preset name must be ${FILTER_PRESET_NAME_MAX_LENGTH} characters or fewer` };
+    }
+    return { name: presetName };
+}
+
+async function storePresets(updated, updatedDefault = defaultPresetName) {
+    const result = await setUserSetting('FILTER_PRESETS', updated);
+    if (!result.success) return result;
+
+    if (updatedDefault !== defaultPresetName) {
+        const defaultResult = await setUserSetting('DEFAULT_FILTER_PRESET', updatedDefault);
+        if (!defaultResult.success) return defaultResult;
+    }
+
+    presets = updated;
+    defaultPresetName = updatedDefault;
+    notifyListeners();
+    return { success: true };
+}
+
+export function onFilterPresetsChanged(listener) {
+    changeListeners.add(listener);
+}
+
+export function loadFilterPresets() {
+    if (!loadPromise) {
+        loadPromise = Promise.all([
+            getUserSetting('FILTER_PRESETS'),
+            getUserSetting('DEFAULT_FILTER_PRESET')
+        ]).then(([storedPresets, storedDefault]) => {
+            presets = Array.isArray(storedPresets) ? storedPresets : [];
+            defaultPresetName = findPreset(storedDefault)?.name || null;
+            notifyListeners();
+        });
+    }
+    return loadPromise;
+}
+
+export function getFilterPresets() {
+    return presets.map(preset => ({ name: preset.name, isDefault: preset.name === defaultPresetName }));
+}
+
+export function getFilterPreset(name) {
+    const preset = findPreset(name);
+    return preset ? { ...preset.state } : null;
+}
+
+export function getDefaultFilterPreset() {
+    return defaultPresetName ? getFilterPreset(defaultPresetName) : null;
+}
+
+export async function saveFilterPreset(name, state) {
+    const validated = validateName(name);
+    if (validated.error) return { success: false, error: validated.error };
+
+    await loadFilterPresets();
+
+    const updated = presets.filter(preset => preset.name.toLowerCase() !== validated.name.toLowerCase());
+    updated.push({ name: validated.name, state: normalizeFilterState(state) });
+    updated.sort((a, b) => a.name.localeCompare(b.name));
+
+    const existingDefault = defaultPresetName?.toLowerCase() === validated.name.toLowerCase() ? validated.name : defaultPresetName;
+    return storePresets(updated, existingDefault);
+}
+
+export async function deleteFilterPreset(name) {
+    await loadFilterPresets();
+
+    const preset = findPreset(name);
+    if (!preset) return { success: false, error: `Unknown preset: ${name}` };
+
+    return storePresets(
+        presets.filter(entry => entry !== preset),
+        defaultPresetName === preset.name ? null : defaultPresetName
+    );
+}
+
+export async function setDefaultFilterPreset(name) {
+    await loadFilterPresets();
+
+    const preset = name ? findPreset(name) : null;
+    if (name && !preset) return { success: false, error: `Unknown preset: ${name}` };
+
+    const result = await setUserSetting('DEFAULT_FILTER_PRESET', preset?.name || null);
+    if (!result.success) return result;
+
+    defaultPresetName = preset?.name || null;
+    notifyListeners();
+    return { success: true };
+}
+
+export function exportFilterPresets() {
+    return JSON.stringify({
+        type: 'eve-target-intel-filter-presets',
+        version: 1,
+        defaultPreset: defaultPresetName,
+        presets
+    }, null, 2);
+}
+
+export async function importFilterPresets(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        return { success: false, error: 'File is not valid JSON' };
+    }
+
+    const imported = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(imported)) {
+        return { success: false, error: 'No presets found in file' };
+    }
+
+    await loadFilterPresets();
+
+    const merged = new Map(presets.map(preset => [preset.name.toLowerCase(), preset]));
+    let count = 0;
+
+    imported.forEach(entry => {
+        const validated = validateName(entry?.name);
+        if (validated.error || !entry.state || typeof entry.state !== 'object') return;
+        merged.set(validated.name.toLowerCase(), { name: validated.name, state: normalizeFilterState(entry.state) });
+        count++;
+    });
+
+    if (count === 0) {
+        return { success: false, error: 'No valid presets found in file' };
+    }
+
+    const updated = Array.from(merged.values()).sort((a, b) => a.name.localeCompare(b.name));
+    const importedDefault = !defaultPresetName && typeof data?.defaultPreset === 'string' ?
+        updated.find(preset => preset.name.toLowerCase() === data.defaultPreset.toLowerCase())?.name || null :
+        defaultPresetName;
+
+    const result = await storePresets(updated, importedDefault);
+    return result.success ? { success: true, count } : result;
+}
+
+function renderPresetOptions(select) {
+    const selected = select.value;
+    select.innerHTML = '<option value="">Saved presets…</option>';
+
+    getFilterPresets().forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.isDefault ? `★ ${preset.name}` : preset.name;
+        select.appendChild(option);
+    });
+
+    select.value = findPreset(selected)?.name || '';
+}
+
+export function initializeFilterPresetControls() {
+    const select = document.getElementById('filter-preset-select');
+    const nameInput = document.getElementById('filter-preset-name');
+    const status = document.getElementById('filter-preset-status');
+    const fileInput = document.getElementById('filter-preset-file');
+    if (!select || !nameInput) return;
+
+    const showStatus = (message, isError = false) => {
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    };
+
+    const updateButtons = () => {
+        const preset = findPreset(select.value);
+        document.getElementById('filter-preset-delete').disabled = !preset;
+        const defaultButton = document.getElementById('filter-preset-default');
+        defaultButton.disabled = !preset;
+        defaultButton.textContent = preset && preset.name === defaultPresetName ? '☆ Unset Default' : '★ Set Default';
+    };
+
+    onFilterPresetsChanged(() => {
+        renderPresetOptions(select);
+        updateButtons();
+    });
+
+    select.addEventListener('change', () => {
+        const state = getFilterPreset(select.value);
+        if (state) {
+            nameInput.value = select.value;
+            applyFilterState(state);
+            showStatus(`Applied "${select.value}"`);
+        }
+        updateButtons();
+    });
+
+    document.getElementById('filter-preset-save')?.addEventListener('click', async () => {
+        const result = await saveFilterPreset(nameInput.value, getActiveFilterState());
+        if (!result.success) {
+            showStatus(result.error, true);
+            return;
+        }
+        select.value = nameInput.value.trim();
+        renderPresetOptions(select);
+        updateButtons();
+        showStatus(`Saved "${nameInput.value.trim()}"`);
+    });
+
+    document.getElementById('filter-preset-delete')?.addEventListener('click', async () => {
+        const name = select.value;
+        if (!name || !confirm(`Delete filter preset "${name}"?`)) return;
+
+        const result = await deleteFilterPreset(name);
+        showStatus(result.success ? `Deleted "${name}"` : result.error, !result.success);
+    });
+
+    document.getElementById('filter-preset-default')?.addEventListener('click', async () => {
+        const name = select.value;
+        const unset = name === defaultPresetName;
+        const result = await setDefaultFilterPreset(unset ? null : name);
+        showStatus(result.success ? (unset ? 'Default preset cleared' : `"${name}" will apply on load`) : result.error, !result.success);
+    });
+
+    document.getElementById('filter-preset-export')?.addEventListener('click', () => {
+        if (presets.length === 0) {
+            showStatus('No presets to export', true);
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([exportFilterPresets()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'filter-presets.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    });
+
+    document.getElementById('filter-preset-import')?.addEventListener('click', () => fileInput?.click());
+
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        const result = await importFilterPresets(await file.text());
+        showStatus(result.success ? `Imported ${result.count} preset${result.count !== 1 ? 's' : ''}` : result.error, !result.success);
+    });
+
+    renderPresetOptions(select);
+    updateButtons();
+}
@@ -0,0 +1,285 @@
+/*
+    EVE Target Intel - Filter Query Language
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+export class FilterQueryError extends Error {
+    constructor(message, start, end) {
+        super(message);
+        this.name = 'FilterQueryError';
+        this.start = start;
+        this.end = end;
+    }
+}
+
+const STANDING_VALUES = {
+    hostile: value => value < 0,
+    neutral: value => value === 0,
+    friendly: value => value > 0
+};
+
+const FIELDS = {
+    name: { type: 'string', get: (r) => r.character_name },
+    corp: { type: 'string', get: (r) => r.corporation_name },
+    alliance: { type: 'string', get: (r) => r.alliance_name },
+    ship: { type: 'string', get: (r) => r.ship_type_name },
+    character_id: { type: 'number', get: (r) => r.character_id },
+    corp_id: { type: 'number', get: (r) => r.corporation_id },
+    alliance_id: { type: 'number', get: (r) => r.alliance_id },
+    corp_size: { type: 'number', get: (r, ctx) => ctx.corpSize(r) },
+    alliance_size: { type: 'number', get: (r, ctx) => r.alliance_id ? ctx.allianceSize(r) : null },
+    standing: { type: 'standing', get: (r) => r.standing ?? 0 },
+    threat: { type: 'number', get: (r) => r.threat_score },
+    war_eligible: { type: 'boolean', get: (r) => !!r.war_eligible },
+    at_war: { type: 'boolean', get: (r) => r.war_status === 'at-war' }
+};
+
+const FIELD_ALIASES = {
+    character: 'name',
+    corporation: 'corp',
+    corporation_id: 'corp_id',
+    corporation_size: 'corp_size',
+    war: 'war_eligible'
+};
+
+const OPERATORS = ['<=', '>=', '!=', ':', '=', '<', '>'];
+const KEYWORDS = new Set(['AND', 'OR', 'NOT']);
+const WORD_REGEX = /[^\s()"<>=!:]/;
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, start: i, end: i + 1 });
+            i++;
+        } else if (char === '"') {
+            const close = text.indexOf('"', i + 1);
+            if (close === -1) {
+                throw new FilterQueryError('Unterminated quoted string', i, text.length);
+            }
+            tokens.push({ type: 'string', value: text.slice(i + 1, close), start: i, end: close + 1 });
+            i = close + 1;
+        } else {
+            const operator = OPERATORS.find(op => text.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'op', value: operator, start: i, end: i + operator.length });
+                i += operator.length;
+                continue;
+            }
+
+            if (!WORD_REGEX.test(char)) {
+                throw new FilterQueryError(`Unexpected character "${char}"`, i, i + 1);
+            }
+
+            let end = i;
+            while (end < text.length && WORD_REGEX.test(text[end])) end++;
+            const word = text.slice(i, end);
+            const type = KEYWORDS.has(word.toUpperCase()) ? word.toUpperCase() : 'word';
+            tokens.push({ type, value: word, start: i, end });
+            i = end;
+        }
+    }
+
+    return tokens;
+}
+
+class Parser {
+    constructor(text) {
+        this.text = text;
+        this.tokens = tokenize(text);
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    fail(message, token = this.peek()) {
+        const start = token ? token.start : this.text.length;
+        const end = token ? token.end : this.text.length;
+        throw new FilterQueryError(message, start, end);
+    }
+
+    parse() {
+        if (this.tokens.length === 0) return null;
+        const node = this.parseOr();
+        if (this.peek()) {
+            this.fail(`Unexpected "${this.peek().value ?? this.peek().type}"`);
+        }
+        return node;
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.peek()?.type === 'OR') {
+            this.next();
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.peek() && this.peek().type !== 'OR' && this.peek().type !== ')') {
+            if (this.peek().type === 'AND') this.next();
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.peek()?.type === 'NOT') {
+            this.next();
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) this.fail('Expression expected');
+
+        if (token.type === '(') {
+            this.next();
+            const node = this.parseOr();
+            if (this.peek()?.type !== ')') this.fail('Missing closing ")"');
+            this.next();
+            return node;
+        }
+
+        if (token.type === 'string') {
+            this.next();
+            return { type: 'text', value: token.value.toLowerCase() };
+        }
+
+        if (token.type !== 'word') {
+            this.fail(`Unexpected "${token.value ?? token.type}"`);
+        }
+
+        this.next();
+        if (this.peek()?.type !== 'op') {
+            const fieldName = FIELD_ALIASES[token.value.toLowerCase()] || token.value.toLowerCase();
+            if (FIELDS[fieldName]?.type === 'boolean') {
+                return { type: 'compare', field: fieldName, operator: '=', value: true };
+            }
+            return { type: 'text', value: token.value.toLowerCase() };
+        }
+
+        return this.parseComparison(token);
+    }
+
+    parseComparison(fieldToken) {
+        const fieldName = FIELD_ALIASES[fieldToken.value.toLowerCase()] || fieldToken.value.toLowerCase();
+        const field = FIELDS[fieldName];
+        if (!field) this.fail(`Unknown field "${fieldToken.value}"`, fieldToken);
+
+        const operatorToken = this.next();
+        const valueToken = this.next();
+        if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+            this.fail(`Value expected after "${fieldToken.value}${operatorToken.value}"`, valueToken);
+        }
+
+        const operator = operatorToken.value;
+        const raw = valueToken.value;
+        const isOrdering = ['<', '<=', '>', '>='].includes(operator);
+
+        if (field.type === 'boolean') {
+            if (isOrdering || !['true', 'false', 'yes', 'no'].includes(raw.toLowerCase())) {
+                this.fail(`"${fieldToken.value}" expects true or false`, valueToken);
+            }
+            return { type: 'compare', field: fieldName, operator, value: ['true', 'yes'].includes(raw.toLowerCase()) };
+        }
+
+        if (field.type === 'string') {
+            if (isOrdering) this.fail(`"${fieldToken.value}" cannot use ${operator}`, operatorToken);
+            return { type: 'compare', field: fieldName, operator, value: raw.toLowerCase() };
+        }
+
+        if (field.type === 'standing' && STANDING_VALUES[raw.toLowerCase()]) {
+            if (operator !== ':' && operator !== '=') this.fail(`"${raw}" can only be matched with : or =`, operatorToken);
+            return { type: 'standing', test: STANDING_VALUES[raw.toLowerCase()] };
+        }
+
+        const value = Number(raw);
+        if (raw === '' || isNaN(value)) {
+            this.fail(`"${fieldToken.value}" expects a number`, valueToken);
+        }
+        return { type: 'compare', field: fieldName, operator: operator === ':' ? '=' : operator, value };
+    }
+}
+
+function compareValues(actual, operator, expected) {
+    if (typeof expected === 'string') {
+        const text = (actual || '').toLowerCase();
+        if (operator === ':') return text.includes(expected);
+        if (operator === '=') return text === expected;
+        return text !== expected;
+    }
+
+    if (actual === null || actual === undefined) return operator === '!=';
+
+    switch (operator) {
+        case '=': return actual === expected;
+        case '!=': return actual !== expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        default: return false;
+    }
+}
+
+function evaluate(node, result, context) {
+    switch (node.type) {
+        case 'and':
+            return evaluate(node.left, result, context) && evaluate(node.right, result, context);
+        case 'or':
+            return evaluate(node.left, result, context) || evaluate(node.right, result, context);
+        case 'not':
+            return !evaluate(node.operand, result, context);
+        case 'text':
+            return context.searchText(result).includes(node.value);
+        case 'standing':
+            return node.test(FIELDS.standing.get(result, context));
+        case 'compare': {
+            const actual = FIELDS[node.field].get(result, context);
+            if (typeof node.value === 'boolean') {
+                return node.operator === '!=' ? actual !== node.value : actual === node.value;
+            }
+            return compareValues(actual, node.operator, node.value);
+        }
+        default:
+            return true;
+    }
+}
+
+export function compileFilterQuery(text) {
+    try {
+        const ast = new Parser(text || '').parse();
+        return {
+            error: null,
+            predicate: ast ? (result, context) => evaluate(ast, result, context) : null
+        };
+    } catch (error) {
+        if (error instanceof FilterQueryError) {
+            return { error, predicate: null };
+        }
+        throw error;
+    }
+}
+
+export function getFilterQueryFields() {
+    return Object.keys(FIELDS);
+}
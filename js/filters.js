@@ -12,51 +12,130 @@ import {
     FILTER_DEFAULT_MIN_ALLIANCE_SIZE,
     FILTER_DEFAULT_MAX_ALLIANCE_SIZE,
     FILTER_NAME_DEBOUNCE_MS,
-    FILTER_CACHE_SIZE_LIMIT
+    FILTER_CACHE_SIZE_LIMIT,
+    FILTER_STATE_MAX_TEXT_LENGTH
 } from './config.js';
+import { compileFilterQuery } from './filter-query.js';
+import { escapeHtml } from './xss-protection.js';
 
 let filterState = {
     warEligibleOnly: false,
+    atWarOnly: false,
+    standing: '',
     nameSearch: '',
     minCorpSize: FILTER_DEFAULT_MIN_CORP_SIZE,
     maxCorpSize: FILTER_DEFAULT_MAX_CORP_SIZE,
     minAllianceSize: FILTER_DEFAULT_MIN_ALLIANCE_SIZE,
     maxAllianceSize: FILTER_DEFAULT_MAX_ALLIANCE_SIZE,
-    selectedCorporation: '',
-    selectedAlliance: '',
+    includeCorporations: [],
+    excludeCorporations: [],
+    includeAlliances: [],
+    excludeAlliances: [],
+    query: '',
     isCollapsed: true
 };
 
+const FILTER_STATE_TYPES = {
+    warEligibleOnly: 'boolean',
+    atWarOnly: 'boolean',
+    standing: 'string',
+    nameSearch: 'string',
+    minCorpSize: 'number',
+    maxCorpSize: 'number',
+    minAllianceSize: 'number',
+    maxAllianceSize: 'number',
+    includeCorporations: 'list',
+    excludeCorporations: 'list',
+    includeAlliances: 'list',
+    excludeAlliances: 'list',
+    query: 'string'
+};
+
+const LEGACY_FILTER_STATE_KEYS = {
+    selectedCorporation: 'includeCorporations',
+    selectedAlliance: 'includeAlliances'
+};
+
+const SELECTION_KINDS = {
+    corporation: { include: 'includeCorporations', exclude: 'excludeCorporations', field: 'corporation_id', icon: '🏢' },
+    alliance: { include: 'includeAlliances', exclude: 'excludeAlliances', field: 'alliance_id', icon: '🏛️' }
+};
+
 let filterElements = null;
 let allResults = [];
 let filteredResults = [];
 let onFiltersChangeCallback = null;
 let corpSizeCache = new Map();
 let allianceSizeCache = new Map();
+let corpInfoCache = new Map();
+let allianceNameCache = new Map();
 let characterSearchCache = new Map();
 let lastFilterHash = '';
 let filteredResultsCache = new Map();
+let compiledQuery = { text: '', error: null, predicate: null };
 
 function createFilterHash(state) {
     return JSON.stringify({
         warEligibleOnly: state.warEligibleOnly,
+        atWarOnly: state.atWarOnly,
+        standing: state.standing,
         nameSearch: state.nameSearch,
         minCorpSize: state.minCorpSize,
         maxCorpSize: state.maxCorpSize,
         minAllianceSize: state.minAllianceSize,
         maxAllianceSize: state.maxAllianceSize,
-        selectedCorporation: state.selectedCorporation,
-        selectedAlliance: state.selectedAlliance
+        includeCorporations: state.includeCorporations,
+        excludeCorporations: state.excludeCorporations,
+        includeAlliances: state.includeAlliances,
+        excludeAlliances: state.excludeAlliances,
+        query: state.query
     });
 }
 
+function getCompiledQuery() {
+    if (compiledQuery.text !== filterState.query) {
+        compiledQuery = { text: filterState.query, ...compileFilterQuery(filterState.query) };
+    }
+    return compiledQuery;
+}
+
+function renderQueryError() {
+    if (!filterElements?.queryInput) return;
+
+    const { text, error } = getCompiledQuery();
+    filterElements.queryInput.classList.toggle('filter-input-error', !!error);
+    filterElements.queryInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+
+    if (!filterElements.queryError) return;
+    if (!error) {
+        filterElements.queryError.innerHTML = '';
+        filterElements.queryError.style.display = 'none';
+        return;
+    }
+
+    const highlightEnd = Math.max(error.end, error.start + 1);
+    filterElements.queryError.innerHTML = `
+        <div class="filter-query-message">${escapeHtml(error.message)}</div>
+        <code class="filter-query-source">${escapeHtml(text.slice(0, error.start))}<mark>${escapeHtml(text.slice(error.start, highlightEnd)) || '&nbsp;'}</mark>${escapeHtml(text.slice(highlightEnd))}</code>
+    `;
+    filterElements.queryError.style.display = 'block';
+}
+
 function buildSizeCaches() {
     corpSizeCache.clear();
     allianceSizeCache.clear();
+    corpInfoCache.clear();
+    allianceNameCache.clear();
 
     allResults.forEach(character => {
         const corpId = character.corporation_id;
         corpSizeCache.set(corpId, (corpSizeCache.get(corpId) || 0) + 1);
+        if (corpId && character.corporation_name) {
+            corpInfoCache.set(corpId, { name: character.corporation_name, allianceId: character.alliance_id || null });
+        }
+        if (character.alliance_id && character.alliance_name) {
+            allianceNameCache.set(character.alliance_id, character.alliance_name);
+        }
     });
 
     allResults.forEach(character => {
@@ -96,6 +175,8 @@ function cacheFilterElements() {
         toggleIcon: domCache.query('#filter-toggle .toggle-icon'),
         clearBtn: domCache.get('filter-clear'),
         warEligibleOnly: domCache.get('filter-war-eligible-only'),
+        atWarOnly: domCache.get('filter-at-war-only'),
+        standingSelect: domCache.get('filter-standing'),
         nameSearch: domCache.get('filter-name'),
         minCorpSize: domCache.get('filter-min-corp-size'),
         maxCorpSize: domCache.get('filter-max-corp-size'),
@@ -103,6 +184,11 @@ function cacheFilterElements() {
         maxAllianceSize: domCache.get('filter-max-alliance-size'),
         corporationSelect: domCache.get('filter-corporation'),
         allianceSelect: domCache.get('filter-alliance'),
+        queryInput: domCache.get('filter-query'),
+        queryError: domCache.get('filter-query-error'),
+        corporationMode: domCache.get('filter-corporation-mode'),
+        allianceMode: domCache.get('filter-alliance-mode'),
+        selectionChips: domCache.get('filter-selection-chips'),
         minCorpSizeValue: domCache.get('min-corp-size-value'),
         maxCorpSizeValue: domCache.get('max-corp-size-value'),
         minAllianceSizeValue: domCache.get('min-alliance-size-value'),
@@ -117,7 +203,9 @@ function setupEventListeners() {
     filterElements.toggleBtn?.addEventListener('click', toggleFilters);
     filterElements.clearBtn?.addEventListener('click', clearAllFilters);
     filterElements.warEligibleOnly?.addEventListener('change', handleFilterChange);
+    filterElements.atWarOnly?.addEventListener('change', handleFilterChange);
     filterElements.nameSearch?.addEventListener('input', debounce(handleFilterChange, FILTER_NAME_DEBOUNCE_MS));
+    filterElements.queryInput?.addEventListener('input', debounce(handleFilterChange, FILTER_NAME_DEBOUNCE_MS));
 
     if (filterElements.minCorpSize) {
         filterElements.minCorpSize.addEventListener('input', handleMinCorpSizeChange);
@@ -132,8 +220,10 @@ function setupEventListeners() {
         filterElements.maxAllianceSize.addEventListener('input', handleMaxAllianceSizeChange);
     }
 
-    filterElements.corporationSelect?.addEventListener('change', handleFilterChange);
-    filterElements.allianceSelect?.addEventListener('change', handleAllianceChange);
+    filterElements.corporationSelect?.addEventListener('change', () => handleSelectionAdd('corporation'));
+    filterElements.allianceSelect?.addEventListener('change', () => handleSelectionAdd('alliance'));
+    filterElements.selectionChips?.addEventListener('click', handleSelectionChipClick);
+    filterElements.standingSelect?.addEventListener('change', handleFilterChange);
 }
 
 function handleFilterChange() {
@@ -202,40 +292,94 @@ function handleMaxAllianceSizeChange() {
     handleRangeSizeChange('Alliance', false);
 }
 
-function handleAllianceChange() {
-    const currentCorpSelection = filterElements.corporationSelect.value;
+function handleSelectionAdd(kind) {
+    const select = kind === 'alliance' ? filterElements.allianceSelect : filterElements.corporationSelect;
+    const modeSelect = kind === 'alliance' ? filterElements.allianceMode : filterElements.corporationMode;
+    const id = select?.value;
+    if (!id) return;
 
-    populateCorporationDropdown();
+    const { include, exclude } = SELECTION_KINDS[kind];
+    const mode = modeSelect?.value === 'exclude' ? exclude : include;
 
-    const corpOptions = Array.from(filterElements.corporationSelect.options);
-    const isCurrentCorpStillAvailable = corpOptions.some(option => option.value === currentCorpSelection);
+    filterState[include] = filterState[include].filter(entry => entry !== id);
+    filterState[exclude] = filterState[exclude].filter(entry => entry !== id);
+    filterState[mode] = [...filterState[mode], id];
+    select.value = '';
 
-    if (isCurrentCorpStillAvailable) {
-        filterElements.corporationSelect.value = currentCorpSelection;
-    } else {
-        filterElements.corporationSelect.value = '';
+    if (kind === 'alliance') {
+        populateCorporationDropdown();
     }
+    handleFilterChange();
+}
+
+function handleSelectionChipClick(event) {
+    const chip = event.target.closest('.filter-chip');
+    if (!chip || !event.target.closest('.filter-chip-remove')) return;
+
+    const list = SELECTION_KINDS[chip.dataset.kind]?.[chip.dataset.mode];
+    if (!list) return;
 
+    filterState[list] = filterState[list].filter(entry => entry !== chip.dataset.id);
+    if (chip.dataset.kind === 'alliance') {
+        populateCorporationDropdown();
+    }
     handleFilterChange();
 }
 
+function renderSelectionChips() {
+    const container = filterElements?.selectionChips;
+    if (!container) return;
+
+    const chips = [];
+    Object.entries(SELECTION_KINDS).forEach(([kind, config]) => {
+        ['include', 'exclude'].forEach(mode => {
+            filterState[config[mode]].forEach(id => {
+                const numericId = parseInt(id);
+                const name = kind === 'alliance' ? allianceNameCache.get(numericId) : corpInfoCache.get(numericId)?.name;
+                const count = (kind === 'alliance' ? allianceSizeCache : corpSizeCache).get(numericId) || 0;
+                chips.push(`
+                    <span class="filter-chip ${mode}" data-kind="${kind}" data-mode="${mode}" data-id="${escapeHtml(id)}">
+                        <span class="filter-chip-mode">${mode === 'include' ? '+' : '−'}</span>
+                        ${config.icon} ${escapeHtml(name || `#${id}`)}
+                        <span class="filter-chip-count">${count}</span>
+                        <button class="filter-chip-remove" title="Remove">×</button>
+                    </span>
+                `);
+            });
+        });
+    });
+
+    container.innerHTML = chips.join('');
+    container.style.display = chips.length > 0 ? 'flex' : 'none';
+}
+
+function matchesSelections(character) {
+    const corpId = character.corporation_id?.toString();
+    const allianceId = character.alliance_id?.toString();
+
+    if (corpId && filterState.excludeCorporations.includes(corpId)) return false;
+    if (allianceId && filterState.excludeAlliances.includes(allianceId)) return false;
+
+    if (filterState.includeCorporations.length === 0 && filterState.includeAlliances.length === 0) return true;
+
+    return (corpId && filterState.includeCorporations.includes(corpId)) ||
+        (allianceId && filterState.includeAlliances.includes(allianceId));
+}
+
 function populateCorporationDropdown() {
     if (!filterElements.corporationSelect || !allResults.length) return;
 
     const corpSelect = filterElements.corporationSelect;
-    const selectedAllianceId = filterElements.allianceSelect?.value;
-    corpSelect.innerHTML = '<option value="">All Corporations</option>';
+    const includedAlliances = filterState.includeAlliances;
+    corpSelect.innerHTML = '<option value="">Add corporation…</option>';
     const corporations = new Map();
 
     allResults.forEach(character => {
         if (character.corporation_id && character.corporation_name) {
-            if (selectedAllianceId) {
-                if (character.alliance_id && character.alliance_id.toString() === selectedAllianceId) {
-                    corporations.set(character.corporation_id, character.corporation_name);
-                }
-            } else {
-                corporations.set(character.corporation_id, character.corporation_name);
+            if (includedAlliances.length > 0 && !includedAlliances.includes(character.alliance_id?.toString())) {
+                return;
             }
+            corporations.set(character.corporation_id, character.corporation_name);
         }
     });
 
@@ -253,15 +397,23 @@ function updateFilterState() {
 
     filterState = {
         warEligibleOnly: filterElements.warEligibleOnly?.checked ?? false,
+        atWarOnly: filterElements.atWarOnly?.checked ?? false,
+        standing: filterElements.standingSelect?.value ?? '',
         nameSearch: filterElements.nameSearch?.value.toLowerCase().trim() ?? '',
         minCorpSize: parseInt(filterElements.minCorpSize?.value) ?? FILTER_DEFAULT_MIN_CORP_SIZE,
         maxCorpSize: parseInt(filterElements.maxCorpSize?.value) ?? FILTER_DEFAULT_MAX_CORP_SIZE,
         minAllianceSize: parseInt(filterElements.minAllianceSize?.value) ?? FILTER_DEFAULT_MIN_ALLIANCE_SIZE,
         maxAllianceSize: parseInt(filterElements.maxAllianceSize?.value) ?? FILTER_DEFAULT_MAX_ALLIANCE_SIZE,
-        selectedCorporation: filterElements.corporationSelect?.value ?? '',
-        selectedAlliance: filterElements.allianceSelect?.value ?? '',
+        includeCorporations: filterState.includeCorporations,
+        excludeCorporations: filterState.excludeCorporations,
+        includeAlliances: filterState.includeAlliances,
+        excludeAlliances: filterState.excludeAlliances,
+        query: filterElements.queryInput?.value.trim() ?? '',
         isCollapsed: filterState.isCollapsed
     };
+
+    renderQueryError();
+    renderSelectionChips();
 }
 
 function applyFilters() {
@@ -278,22 +430,20 @@ function applyFilters() {
 
     const hasNameSearch = !!filterState.nameSearch;
     const searchTerm = filterState.nameSearch;
-    const hasCorpFilter = !!filterState.selectedCorporation;
-    const corpFilterId = filterState.selectedCorporation;
-    const hasAllianceFilter = !!filterState.selectedAlliance;
-    const allianceFilterId = filterState.selectedAlliance;
+    const queryPredicate = getCompiledQuery().predicate;
+    const queryContext = {
+        corpSize: result => corpSizeCache.get(result.corporation_id) || 0,
+        allianceSize: result => allianceSizeCache.get(result.alliance_id) || 0,
+        searchText: result => characterSearchCache.get(result.character_id) || ''
+    };
     const characterResults = allResults.filter(result => result.character_name);
 
     filteredResults = characterResults.filter(character => {
         if (filterState.warEligibleOnly && !character.war_eligible) return false;
+        if (filterState.atWarOnly && character.war_status !== 'at-war') return false;
+        if (filterState.standing && !matchesStanding(character.standing, filterState.standing)) return false;
 
-        if (hasCorpFilter && character.corporation_id.toString() !== corpFilterId) {
-            return false;
-        }
-
-        if (hasAllianceFilter && character.alliance_id?.toString() !== allianceFilterId) {
-            return false;
-        }
+        if (!matchesSelections(character)) return false;
 
         const corpSize = corpSizeCache.get(character.corporation_id) || 0;
         if (corpSize < filterState.minCorpSize || corpSize > filterState.maxCorpSize) return false;
@@ -308,6 +458,8 @@ function applyFilters() {
             if (!searchableText.includes(searchTerm)) return false;
         }
 
+        if (queryPredicate && !queryPredicate(character, queryContext)) return false;
+
         return true;
     });
 
@@ -320,6 +472,14 @@ function applyFilters() {
     }
 }
 
+function matchesStanding(standing, filter) {
+    const value = standing ?? 0;
+    if (filter === 'hostile') return value < 0;
+    if (filter === 'friendly') return value > 0;
+    if (filter === 'neutral') return value === 0;
+    return true;
+}
+
 function updateRangeValues() {
     if (!filterElements) return;
 
@@ -385,10 +545,12 @@ function expandFilters() {
     }
 }
 
-function clearAllFilters() {
+export function clearAllFilters() {
     if (!filterElements) return;
 
     filterElements.warEligibleOnly.checked = false;
+    if (filterElements.atWarOnly) filterElements.atWarOnly.checked = false;
+    if (filterElements.standingSelect) filterElements.standingSelect.value = '';
     filterElements.nameSearch.value = '';
     filterElements.minCorpSize.value = FILTER_DEFAULT_MIN_CORP_SIZE;
     filterElements.maxCorpSize.value = filterElements.maxCorpSize.max;
@@ -396,6 +558,11 @@ function clearAllFilters() {
     filterElements.maxAllianceSize.value = filterElements.maxAllianceSize.max;
     filterElements.allianceSelect.value = '';
     filterElements.corporationSelect.value = '';
+    if (filterElements.queryInput) filterElements.queryInput.value = '';
+    Object.values(SELECTION_KINDS).forEach(({ include, exclude }) => {
+        filterState[include] = [];
+        filterState[exclude] = [];
+    });
 
     populateCorporationDropdown();
     updateRangeValues();
@@ -411,6 +578,7 @@ export function setResultsData(results) {
     buildSearchCache();
     updateSliderMaximums(results);
     populateDropdowns(results);
+    renderSelectionChips();
     applyFilters();
     updateResultsDisplay();
 }
@@ -477,7 +645,7 @@ function populateDropdowns(results) {
 
     if (filterElements.allianceSelect) {
         const allianceSelect = filterElements.allianceSelect;
-        allianceSelect.innerHTML = '<option value="">All Alliances</option>';
+        allianceSelect.innerHTML = '<option value="">Add alliance…</option>';
         const sortedAlliances = Array.from(alliances.entries()).sort((a, b) => a[1].localeCompare(b[1]));
 
         sortedAlliances.forEach(([id, name]) => {
@@ -489,6 +657,13 @@ function populateDropdowns(results) {
     }
 }
 
+export function refreshFilters() {
+    filteredResultsCache.clear();
+    lastFilterHash = '';
+    applyFilters();
+    updateResultsDisplay();
+}
+
 export function getFilteredResults() {
     return filteredResults;
 }
@@ -498,6 +673,7 @@ export function getFilteredAlliances(allAlliances) {
 
     return allAlliances.filter(alliance => {
         if (filterState.warEligibleOnly && !alliance.war_eligible) return false;
+        if (filterState.atWarOnly && !alliance.at_war) return false;
 
         if (filterState.nameSearch) {
             const searchLower = filterState.nameSearch;
@@ -507,22 +683,7 @@ export function getFilteredAlliances(allAlliances) {
 
         if (alliance.count < filterState.minAllianceSize || alliance.count > filterState.maxAllianceSize) return false;
 
-        if (filterState.selectedAlliance && alliance.id.toString() !== filterState.selectedAlliance) {
-            return false;
-        }
-
-        if (filterState.selectedCorporation) {
-            const corpMembers = allResults.filter(char => char.corporation_id.toString() === filterState.selectedCorporation);
-            const corpAllianceId = corpMembers.length > 0 ? corpMembers[0].alliance_id : null;
-
-            if (!corpAllianceId) return false;
-
-            if (alliance.id.toString() !== corpAllianceId.toString()) {
-                return false;
-            }
-        }
-
-        return true;
+        return allResults.some(char => char.alliance_id === alliance.id && char.character_name && matchesSelections(char));
     });
 }
 
@@ -531,6 +692,7 @@ export function getFilteredCorporations(allCorporations) {
 
     return allCorporations.filter(corporation => {
         if (filterState.warEligibleOnly && !corporation.war_eligible) return false;
+        if (filterState.atWarOnly && !corporation.at_war) return false;
 
         if (filterState.nameSearch) {
             const searchLower = filterState.nameSearch;
@@ -540,29 +702,103 @@ export function getFilteredCorporations(allCorporations) {
 
         if (corporation.count < filterState.minCorpSize || corporation.count > filterState.maxCorpSize) return false;
 
-        if (filterState.selectedCorporation && corporation.id.toString() !== filterState.selectedCorporation) {
-            return false;
-        }
-
-        if (filterState.selectedAlliance) {
-            const corpMembers = allResults.filter(char => char.corporation_id === corporation.id);
-            const corpAllianceId = corpMembers.length > 0 ? corpMembers[0].alliance_id : null;
-            if (corpAllianceId?.toString() !== filterState.selectedAlliance) {
-                return false;
-            }
-        }
-
-        return true;
+        return matchesSelections({
+            corporation_id: corporation.id,
+            alliance_id: corpInfoCache.get(corporation.id)?.allianceId
+        });
     });
 }
 
 export function hasActiveFilters() {
     return filterState.nameSearch ||
         filterState.warEligibleOnly ||
+        filterState.atWarOnly ||
+        filterState.standing ||
         filterState.minCorpSize > FILTER_DEFAULT_MIN_CORP_SIZE ||
         filterState.minAllianceSize > FILTER_DEFAULT_MIN_ALLIANCE_SIZE ||
-        filterState.selectedCorporation ||
-        filterState.selectedAlliance;
+        Object.values(SELECTION_KINDS).some(({ include, exclude }) =>
+            filterState[include].length > 0 || filterState[exclude].length > 0) ||
+        !!getCompiledQuery().predicate;
+}
+
+export function getActiveFilterState() {
+    const state = {};
+    if (filterState.warEligibleOnly) state.warEligibleOnly = true;
+    if (filterState.atWarOnly) state.atWarOnly = true;
+    if (filterState.standing) state.standing = filterState.standing;
+    if (filterState.nameSearch) state.nameSearch = filterState.nameSearch;
+    if (filterState.minCorpSize > FILTER_DEFAULT_MIN_CORP_SIZE) state.minCorpSize = filterState.minCorpSize;
+    if (filterState.minAllianceSize > FILTER_DEFAULT_MIN_ALLIANCE_SIZE) state.minAllianceSize = filterState.minAllianceSize;
+    if (filterElements && filterState.maxCorpSize < parseInt(filterElements.maxCorpSize?.max)) state.maxCorpSize = filterState.maxCorpSize;
+    if (filterElements && filterState.maxAllianceSize < parseInt(filterElements.maxAllianceSize?.max)) state.maxAllianceSize = filterState.maxAllianceSize;
+    Object.values(SELECTION_KINDS).forEach(({ include, exclude }) => {
+        if (filterState[include].length > 0) state[include] = [...filterState[include]];
+        if (filterState[exclude].length > 0) state[exclude] = [...filterState[exclude]];
+    });
+    if (filterState.query) state.query = filterState.query;
+    return state;
+}
+
+export function normalizeFilterState(state) {
+    const normalized = {};
+
+    Object.entries(FILTER_STATE_TYPES).forEach(([name, type]) => {
+        const legacyKey = Object.keys(LEGACY_FILTER_STATE_KEYS).find(key => LEGACY_FILTER_STATE_KEYS[key] === name);
+        const value = state?.[name] ?? state?.[legacyKey];
+        if (type === 'list') {
+            const ids = (Array.isArray(value) ? value : [value])
+                .map(id => String(id ?? ''))
+                .filter(id => /^\d{1,10}$/.test(id));
+            if (ids.length > 0) normalized[name] = [...new Set(ids)];
+        } else if (type === 'boolean' && value === true) {
+            normalized[name] = true;
+        } else if (type === 'number' && Number.isInteger(value) && value >= 0) {
+            normalized[name] = value;
+        } else if (type === 'string' && typeof value === 'string' && value && value.length <= FILTER_STATE_MAX_TEXT_LENGTH) {
+            normalized[name] = value;
+        }
+    });
+
+    return normalized;
+}
+
+export function applyFilterState(state = {}) {
+    if (!filterElements) return;
+
+    filterElements.warEligibleOnly.checked = !!state.warEligibleOnly;
+    if (filterElements.atWarOnly) filterElements.atWarOnly.checked = !!state.atWarOnly;
+    if (filterElements.standingSelect) filterElements.standingSelect.value = state.standing || '';
+    filterElements.nameSearch.value = state.nameSearch || '';
+    filterElements.minCorpSize.value = state.minCorpSize ?? FILTER_DEFAULT_MIN_CORP_SIZE;
+    filterElements.maxCorpSize.value = state.maxCorpSize ?? filterElements.maxCorpSize.max;
+    filterElements.minAllianceSize.value = state.minAllianceSize ?? FILTER_DEFAULT_MIN_ALLIANCE_SIZE;
+    filterElements.maxAllianceSize.value = state.maxAllianceSize ?? filterElements.maxAllianceSize.max;
+    if (filterElements.queryInput) filterElements.queryInput.value = state.query || '';
+
+    const normalized = normalizeFilterState(state);
+    Object.values(SELECTION_KINDS).forEach(({ include, exclude }) => {
+        filterState[include] = normalized[include] || [];
+        filterState[exclude] = normalized[exclude] || [];
+    });
+
+    populateCorporationDropdown();
+
+    updateRangeValues();
+    handleFilterChange();
+
+    if (hasActiveFilters()) {
+        filterState.isCollapsed = false;
+        expandFilters();
+    }
+}
+
+export function focusFilterSearch() {
+    if (!filterElements?.nameSearch) return;
+
+    filterState.isCollapsed = false;
+    expandFilters();
+    filterElements.nameSearch.focus();
+    filterElements.nameSearch.select();
 }
 
 export function applyFiltersToTree() {
@@ -579,33 +815,24 @@ export function applyFiltersToTree() {
         return;
     }
 
-    const filteredCharacterIds = new Set(filteredResults.map(char => char.character_id));
+    const visibleIds = {
+        character: new Set(),
+        corporation: new Set(),
+        alliance: new Set()
+    };
+    filteredResults.forEach(result => {
+        if (result.character_id) visibleIds.character.add(result.character_id);
+        if (result.corporation_id) visibleIds.corporation.add(result.corporation_id);
+        if (result.alliance_id) visibleIds.alliance.add(result.alliance_id);
+    });
 
     allTreeNodes.forEach(node => {
         const treeItem = node.querySelector('.tree-item');
         if (!treeItem) return;
 
-        const entityType = treeItem.dataset.entityType;
-        const entityId = parseInt(treeItem.dataset.entityId);
-
-        if (entityType === 'character') {
-            if (!filteredCharacterIds.has(entityId)) {
-                node.style.display = 'none';
-            }
-        } else if (entityType === 'corporation') {
-            const corpCharacters = allResults.filter(char => char.corporation_id === entityId);
-            const hasVisibleCharacters = corpCharacters.some(char => filteredCharacterIds.has(char.character_id));
-
-            if (!hasVisibleCharacters) {
-                node.style.display = 'none';
-            }
-        } else if (entityType === 'alliance') {
-            const allianceCharacters = allResults.filter(char => char.alliance_id === entityId);
-            const hasVisibleCharacters = allianceCharacters.some(char => filteredCharacterIds.has(char.character_id));
-
-            if (!hasVisibleCharacters) {
-                node.style.display = 'none';
-            }
+        const visible = visibleIds[treeItem.dataset.entityType];
+        if (visible && !visible.has(parseInt(treeItem.dataset.entityId))) {
+            node.style.display = 'none';
         }
     });
 }
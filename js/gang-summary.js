@@ -0,0 +1,179 @@
+/*
+    EVE Target Intel - Gang Threat Summary
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { GANG_SUMMARY_CONFIG, THREAT_ASSESSMENT } from './config.js';
+import { SHIP_TYPE_TO_GROUP } from './eve-ship-data.js';
+import { assessEntityThreat } from './threat-assessment.js';
+import { getThreatScore } from './batch-scoring.js';
+
+export const FIGHT_VERDICTS = {
+    ENGAGE: { key: 'engage', label: 'Take the fight', icon: '🟢' },
+    CAUTION: { key: 'caution', label: 'Proceed with caution', icon: '🟡' },
+    AVOID: { key: 'avoid', label: 'Avoid this fight', icon: '🔴' }
+};
+
+function detectCapabilities(stats) {
+    const analysis = stats.killmailData?.analysis || {};
+    const capabilities = {
+        capital: !!analysis.capitalAnalysis?.isCapitalPilot,
+        blops: !!analysis.blopsAnalysis?.isBlopsUser,
+        cyno: !!analysis.cynoAnalysis?.isCynoPilot
+    };
+
+    (stats.topShips || []).forEach(ship => {
+        if (!ship.kills) return;
+        const shipId = ship.shipTypeID;
+        const groupId = ship.groupID || SHIP_TYPE_TO_GROUP[shipId];
+
+        if (THREAT_ASSESSMENT.CAPITAL.GROUP_IDS.includes(groupId)) capabilities.capital = true;
+        if (THREAT_ASSESSMENT.BLOPS.SHIP_IDS.includes(shipId) || groupId === THREAT_ASSESSMENT.BLOPS.GROUP_ID) capabilities.blops = true;
+        if (THREAT_ASSESSMENT.CYNO.SHIP_IDS.includes(shipId) || groupId === THREAT_ASSESSMENT.CYNO.FORCE_RECON_GROUP_ID) capabilities.cyno = true;
+    });
+
+    return capabilities;
+}
+
+function summariseShipClasses(pilots) {
+    const shares = new Map();
+    let contributingPilots = 0;
+
+    pilots.forEach(({ stats }) => {
+        const ships = (stats.topShips || []).filter(ship => ship.kills > 0);
+        const total = ships.reduce((sum, ship) => sum + ship.kills, 0);
+        if (total === 0) return;
+
+        contributingPilots++;
+        ships.forEach(ship => {
+            const shipClass = ship.classification?.category || 'Unknown Ship';
+            shares.set(shipClass, (shares.get(shipClass) || 0) + ship.kills / total);
+        });
+    });
+
+    return Array.from(shares.entries())
+        .map(([shipClass, share]) => ({
+            shipClass,
+            percentage: Math.round(share / contributingPilots * 100)
+        }))
+        .sort((a, b) => b.percentage - a.percentage)
+        .slice(0, GANG_SUMMARY_CONFIG.SHIP_CLASS_LIMIT);
+}
+
+function summariseTimezones(pilots) {
+    const timezones = new Map();
+    const activeHours = [];
+
+    pilots.forEach(({ stats }) => {
+        const timezone = stats.activityInsights?.timezone;
+        if (timezone && timezone !== 'Unknown') {
+            timezones.set(timezone, (timezones.get(timezone) || 0) + 1);
+        }
+
+        const hourly = stats.activityData?.hasData ? stats.activityData.hourlyData : [];
+        const total = hourly.reduce((sum, hour) => sum + hour.value, 0);
+        if (total === 0) return;
+
+        activeHours.push(new Set(hourly
+            .filter(hour => hour.value / total >= GANG_SUMMARY_CONFIG.ACTIVE_HOUR_MIN_SHARE)
+            .map(hour => hour.hour)));
+    });
+
+    let overlap = null;
+    if (activeHours.length > 0) {
+        const windowHours = GANG_SUMMARY_CONFIG.OVERLAP_WINDOW_HOURS;
+        for (let start = 0; start < 24; start++) {
+            const hours = Array.from({ length: windowHours }, (_, i) => (start + i) % 24);
+            const pilotCount = activeHours.filter(active => hours.some(hour => active.has(hour))).length;
+            if (!overlap || pilotCount > overlap.pilotCount) {
+                overlap = { startHour: start, endHour: (start + windowHours) % 24, pilotCount };
+            }
+        }
+        overlap.pilotsWithData = activeHours.length;
+    }
+
+    return {
+        timezones: Array.from(timezones.entries())
+            .map(([timezone, count]) => ({ timezone, count }))
+            .sort((a, b) => b.count - a.count),
+        overlap
+    };
+}
+
+function assessFight(pilots, capablePilots, highThreatPilots) {
+    const cfg = GANG_SUMMARY_CONFIG.FIGHT;
+    const averageScore = pilots.length > 0 ?
+        Math.round(pilots.reduce((sum, pilot) => sum + pilot.threat.totalScore, 0) / pilots.length) : 0;
+
+    const index = Math.min(100, Math.round(
+        averageScore +
+        capablePilots * cfg.CAPABLE_PILOT_WEIGHT +
+        highThreatPilots * cfg.HIGH_THREAT_PILOT_WEIGHT
+    ));
+
+    const reasons = [`Average pilot threat ${averageScore}`];
+    if (highThreatPilots > 0) reasons.push(`${highThreatPilots} high-threat pilot${highThreatPilots !== 1 ? 's' : ''}`);
+    if (capablePilots > 0) reasons.push(`${capablePilots} capital/Black Ops/cyno-capable pilot${capablePilots !== 1 ? 's' : ''}`);
+
+    let verdict = FIGHT_VERDICTS.ENGAGE;
+    if (index >= cfg.AVOID_THRESHOLD) verdict = FIGHT_VERDICTS.AVOID;
+    else if (index >= cfg.CAUTION_THRESHOLD) verdict = FIGHT_VERDICTS.CAUTION;
+
+    return { verdict, index, averageScore, reasons };
+}
+
+export function buildGangSummary(characters, entitySummary = {}) {
+    const pilots = [];
+    characters.forEach(character => {
+        const stats = getThreatScore(character.character_id)?.stats;
+        if (stats) {
+            pilots.push({ character, stats, threat: assessEntityThreat(stats, stats.killmailData) });
+        }
+    });
+
+    const capabilities = { capital: 0, blops: 0, cyno: 0 };
+    let capablePilots = 0;
+    let highThreatPilots = 0;
+    let recentKills = 0;
+    let totalKills = 0;
+
+    pilots.forEach(pilot => {
+        const detected = detectCapabilities(pilot.stats);
+        Object.keys(capabilities).forEach(key => {
+            if (detected[key]) capabilities[key]++;
+        });
+        if (detected.capital || detected.blops || detected.cyno) capablePilots++;
+        if (pilot.threat.riskBand === 'high') highThreatPilots++;
+
+        recentKills += pilot.stats.recentActivity?.activePvPData?.totalKills || 0;
+        totalKills += pilot.stats.totalKills || 0;
+    });
+
+    const limit = GANG_SUMMARY_CONFIG.ORGANISATION_LIMIT;
+
+    return {
+        pilotCount: characters.length,
+        scoredCount: pilots.length,
+        recentKills,
+        totalKills,
+        capabilities,
+        highThreatPilots,
+        shipClasses: summariseShipClasses(pilots),
+        activity: summariseTimezones(pilots),
+        fight: pilots.length > 0 ? assessFight(pilots, capablePilots, highThreatPilots) : null,
+        topThreats: pilots
+            .sort((a, b) => b.threat.totalScore - a.threat.totalScore)
+            .slice(0, limit)
+            .map(pilot => ({
+                id: pilot.character.character_id,
+                name: pilot.character.character_name,
+                score: pilot.threat.totalScore,
+                riskBand: pilot.threat.riskBand,
+                tags: pilot.threat.tags
+            })),
+        alliances: (entitySummary.allAlliances || []).slice(0, limit),
+        corporations: (entitySummary.allCorps || []).slice(0, limit)
+    };
+}
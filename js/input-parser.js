@@ -0,0 +1,191 @@
+/*
+    EVE Target Intel - Pasted Input Parser
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { clientValidate, validateEntityName } from './validation.js';
+import { SHIP_TYPE_TO_GROUP, getShipClassification } from './eve-ship-data.js';
+
+export const INPUT_FORMATS = {
+    NAMES: 'names',
+    CHAT_LOG: 'chat',
+    FLEET: 'fleet',
+    DSCAN: 'dscan'
+};
+
+const CHAT_LINE_PATTERN = /^\[\s*\d{4}\.\d{2}\.\d{2}\s+\d{2}:\d{2}:\d{2}\s*\]\s*(.+?)\s*>/;
+const DSCAN_DISTANCE_PATTERN = /^(-|[\d.,\s]+\s*(m|km|AU))$/i;
+const FLEET_POSITION_PATTERN = /(commander|member|boss)/i;
+const CHAT_SYSTEM_SPEAKERS = new Set(['eve system']);
+
+function isValidName(name) {
+    return name && (clientValidate(name) || validateEntityName(name));
+}
+
+function splitColumns(line) {
+    return line.split('\t').map(col => col.trim());
+}
+
+function isDscanLine(line) {
+    const cols = splitColumns(line);
+    return cols.length >= 4 && /^\d+$/.test(cols[0]) && DSCAN_DISTANCE_PATTERN.test(cols[cols.length - 1]);
+}
+
+function isFleetLine(line) {
+    const cols = splitColumns(line);
+    return cols.length >= 3 && !/^\d+$/.test(cols[0]);
+}
+
+export function detectInputFormat(lines) {
+    const counts = { dscan: 0, chat: 0, fleet: 0 };
+
+    lines.forEach(line => {
+        if (isDscanLine(line)) counts.dscan++;
+        else if (CHAT_LINE_PATTERN.test(line)) counts.chat++;
+        else if (isFleetLine(line)) counts.fleet++;
+    });
+
+    const half = lines.length / 2;
+    if (counts.dscan > 0 && counts.dscan >= half) return INPUT_FORMATS.DSCAN;
+    if (counts.chat > 0 && counts.chat >= half) return INPUT_FORMATS.CHAT_LOG;
+    if (counts.fleet > 0 && counts.fleet >= half) return INPUT_FORMATS.FLEET;
+    return INPUT_FORMATS.NAMES;
+}
+
+function parseChatLog(lines) {
+    const names = [];
+    lines.forEach(line => {
+        const match = line.match(CHAT_LINE_PATTERN);
+        if (!match) return;
+        const speaker = match[1].trim();
+        if (CHAT_SYSTEM_SPEAKERS.has(speaker.toLowerCase())) return;
+        names.push(speaker);
+    });
+    return { names, details: new Map() };
+}
+
+function parseFleetComposition(lines) {
+    const names = [];
+    const details = new Map();
+
+    lines.forEach(line => {
+        const cols = splitColumns(line);
+        if (cols.length < 3) return;
+
+        const name = cols[0];
+        if (name.toLowerCase() === 'name') return;
+
+        const positionCol = cols.slice(3).find(col => FLEET_POSITION_PATTERN.test(col));
+        const fleetRole = positionCol || (cols.length === 4 ? cols[3] : null);
+
+        names.push(name);
+        details.set(name.toLowerCase(), {
+            system: cols[1] || null,
+            ship: cols[2] || null,
+            fleetRole: fleetRole || null
+        });
+    });
+
+    return { names, details };
+}
+
+export function summariseDscan(lines) {
+    const types = new Map();
+    let total = 0;
+    let ships = 0;
+
+    lines.forEach(line => {
+        if (!isDscanLine(line)) return;
+
+        const cols = splitColumns(line);
+        const typeId = parseInt(cols[0], 10);
+        const typeName = cols[2] || cols[1];
+        const groupId = SHIP_TYPE_TO_GROUP[typeId];
+        total++;
+
+        if (!types.has(typeId)) {
+            const classification = groupId ? getShipClassification(groupId) : null;
+            types.set(typeId, {
+                typeId,
+                typeName,
+                isShip: !!groupId,
+                category: classification ? classification.category : 'Other',
+                size: classification ? classification.size : null,
+                count: 0
+            });
+        }
+
+        types.get(typeId).count++;
+        if (groupId) ships++;
+    });
+
+    const sortedTypes = Array.from(types.values())
+        .sort((a, b) => b.count - a.count || a.typeName.localeCompare(b.typeName));
+
+    const categoryCounts = new Map();
+    sortedTypes.filter(t => t.isShip).forEach(t => {
+        const existing = categoryCounts.get(t.category) || { category: t.category, size: t.size, count: 0, types: [] };
+        existing.count += t.count;
+        existing.types.push(t);
+        categoryCounts.set(t.category, existing);
+    });
+
+    return {
+        total,
+        ships,
+        others: total - ships,
+        shipTypes: sortedTypes.filter(t => t.isShip),
+        otherTypes: sortedTypes.filter(t => !t.isShip),
+        categories: Array.from(categoryCounts.values()).sort((a, b) => b.count - a.count)
+    };
+}
+
+export function parseInput(text) {
+    const lines = text.split('\n')
+        .map(line => line.replace(/\r$/, ''))
+        .filter(line => line.trim());
+
+    const format = detectInputFormat(lines);
+
+    if (format === INPUT_FORMATS.DSCAN) {
+        return { format, names: [], details: new Map(), dscan: summariseDscan(lines) };
+    }
+
+    let parsed;
+    if (format === INPUT_FORMATS.CHAT_LOG) {
+        parsed = parseChatLog(lines);
+    } else if (format === INPUT_FORMATS.FLEET) {
+        parsed = parseFleetComposition(lines);
+    } else {
+        parsed = { names: lines.map(line => line.trim()), details: new Map() };
+    }
+
+    const seenNames = new Set();
+    const names = parsed.names.filter(name => {
+        const lowerName = name.toLowerCase();
+        if (!isValidName(name) || seenNames.has(lowerName)) {
+            return false;
+        }
+        seenNames.add(lowerName);
+        return true;
+    });
+
+    return { format, names, details: parsed.details, dscan: null };
+}
+
+export function attachInputDetails(results, details) {
+    if (!details || details.size === 0) return results;
+
+    results.forEach(result => {
+        if (!result.character_name) return;
+        const info = details.get(result.character_name.toLowerCase());
+        if (!info) return;
+        result.ship_type_name = info.ship;
+        result.system_name = info.system;
+        result.fleet_role = info.fleetRole;
+    });
+
+    return results;
+}
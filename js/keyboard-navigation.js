@@ -0,0 +1,160 @@
+/*
+    EVE Target Intel - Keyboard Navigation
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { focusFilterSearch } from './filters.js';
+import { moveTreeSelection, setSelectedNodeExpanded, revealTreeItem, getSelectedEntity } from './tree-navigation.js';
+import { getResultsView, moveTableSelection, revealTableRow, getSelectedTableEntity } from './results-table.js';
+import { getZkillCardInstance, showCharacterStats, showCorporationStats, showAllianceStats } from './zkill-card.js';
+import { showEntityDetail } from './detail-panel.js';
+import { openCommandPalette, closeCommandPalette, isCommandPaletteOpen } from './command-palette.js';
+
+const ZKILL_CARD_OPENERS = {
+    character: showCharacterStats,
+    corporation: showCorporationStats,
+    alliance: showAllianceStats
+};
+
+function isTypingTarget(target) {
+    return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+function isModalOpen() {
+    return !!document.querySelector('.settings-modal.active');
+}
+
+function getSelection() {
+    if (getResultsView() === 'table') {
+        return getSelectedTableEntity();
+    }
+    const selected = getSelectedEntity();
+    return selected.type ? selected : null;
+}
+
+function moveSelection(delta) {
+    return getResultsView() === 'table' ? moveTableSelection(delta) : moveTreeSelection(delta);
+}
+
+function getVisibleCards() {
+    return [...document.querySelectorAll('.result-item[data-clickable]')].filter(card => card.offsetParent !== null);
+}
+
+function getCardColumns(card) {
+    const siblings = [...card.parentElement.children];
+    return Math.max(1, siblings.filter(other => other.offsetTop === siblings[0].offsetTop).length);
+}
+
+function moveCardSelection(cards, key) {
+    const current = cards.findIndex(card => card.classList.contains('selected'));
+    let next = 0;
+    if (current !== -1) {
+        const step = key === 'ArrowLeft' || key === 'ArrowRight' ? 1 : getCardColumns(cards[current]);
+        next = current + (key === 'ArrowRight' || key === 'ArrowDown' ? step : -step);
+        if (next < 0 || next >= cards.length) return false;
+        cards[current].classList.remove('selected');
+    }
+
+    cards[next].classList.add('selected');
+    cards[next].scrollIntoView({ block: 'nearest' });
+    return true;
+}
+
+function openSelectedCard(cards) {
+    const selected = cards.find(card => card.classList.contains('selected'));
+    if (!selected) return false;
+
+    selected.click();
+    return true;
+}
+
+function openSelectedZkillCard() {
+    const selected = getSelection();
+    const open = selected && ZKILL_CARD_OPENERS[selected.type];
+    if (!open) return false;
+
+    open(selected.id, selected.name);
+    return true;
+}
+
+function closeMenus() {
+    document.querySelectorAll('.export-menu.open, .results-table-columns.open').forEach(menu => {
+        menu.classList.remove('open');
+    });
+}
+
+export function revealEntity({ type, id, name }) {
+    const revealed = getResultsView() === 'table' ? revealTableRow(type, id) : revealTreeItem(type, id);
+    if (!revealed) {
+        showEntityDetail(type, id, name);
+    }
+}
+
+function handleKeydown(event) {
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        if (isCommandPaletteOpen()) {
+            closeCommandPalette();
+        } else {
+            openCommandPalette();
+        }
+        return;
+    }
+
+    if (isCommandPaletteOpen() || isModalOpen()) return;
+
+    if (event.key === 'Escape') {
+        closeMenus();
+        if (isTypingTarget(event.target)) event.target.blur();
+        return;
+    }
+
+    if (isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const zkillCard = getZkillCardInstance();
+    if (zkillCard?.isVisible) {
+        if (event.key === 'Backspace') {
+            event.preventDefault();
+            zkillCard.goBack();
+        }
+        return;
+    }
+
+    // the card grid takes the arrow keys and Enter whenever it is on screen
+    const cards = getVisibleCards();
+    let handled = false;
+    switch (event.key) {
+        case '/':
+            focusFilterSearch();
+            handled = true;
+            break;
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (cards.length) {
+                handled = moveCardSelection(cards, event.key);
+            } else {
+                handled = moveSelection(event.key === 'ArrowDown' ? 1 : -1);
+            }
+            break;
+        case 'ArrowRight':
+        case 'ArrowLeft':
+            if (cards.length) {
+                handled = moveCardSelection(cards, event.key);
+            } else {
+                handled = getResultsView() === 'tree' && setSelectedNodeExpanded(event.key === 'ArrowRight');
+            }
+            break;
+        case 'Enter':
+            if (event.target.closest?.('button, a')) break;
+            handled = cards.length ? openSelectedCard(cards) : openSelectedZkillCard();
+            break;
+    }
+
+    if (handled) event.preventDefault();
+}
+
+export function initializeKeyboardNavigation() {
+    document.addEventListener('keydown', handleKeydown);
+}
@@ -6,7 +6,7 @@
 */
 
 import { SHIP_TYPE_TO_GROUP } from './eve-ship-data.js';
-import { THREAT_ASSESSMENT } from './config.js';
+import { THREAT_ASSESSMENT, LOSS_ANALYSIS_CONFIG, ASSOCIATES_CONFIG, FIT_INFERENCE_CONFIG } from './config.js';
 
 
 function distributePercentages(items, total, getCount) {
@@ -59,12 +59,273 @@ export function analyzeKillmails(killmails, entityType = null, entityId = null)
         engagementPatterns: analyzeEngagementPatterns(killmails),
         blopsAnalysis: analyzeBlackOpsActivity(killmails, entityType, entityId),
         cynoAnalysis: analyzeCynoActivity(killmails, entityType, entityId),
-        capitalAnalysis: analyzeCapitalActivity(killmails, entityType, entityId)
+        capitalAnalysis: analyzeCapitalActivity(killmails, entityType, entityId),
+        associates: analyzeAssociates(killmails, entityType, entityId)
     };
 
     return analysis;
 }
 
+const SUBJECT_ATTACKER_FIELDS = {
+    characterID: 'character_id',
+    corporationID: 'corporation_id',
+    allianceID: 'alliance_id'
+};
+
+export function analyzeAssociates(killmails, entityType, entityId) {
+    const subjectField = SUBJECT_ATTACKER_FIELDS[entityType];
+    const subjectId = parseInt(entityId);
+    const empty = { characters: [], corporations: [], alliances: [], sharedKills: 0 };
+
+    if (!Array.isArray(killmails) || killmails.length === 0 || !subjectField || !subjectId) {
+        return empty;
+    }
+
+    const counters = { characters: new Map(), corporations: new Map(), alliances: new Map() };
+    let sharedKills = 0;
+
+    const record = (map, id, time) => {
+        const entry = map.get(id) || { id, count: 0, lastSeen: null };
+        entry.count++;
+        if (time && (!entry.lastSeen || time > entry.lastSeen)) {
+            entry.lastSeen = time;
+        }
+        map.set(id, entry);
+    };
+
+    killmails.forEach(km => {
+        const attackers = km.killmail?.attackers || [];
+        if (!attackers.some(a => a[subjectField] === subjectId)) return;
+
+        const others = attackers.filter(a => a.character_id && a[subjectField] !== subjectId);
+        if (others.length === 0) return;
+        sharedKills++;
+
+        const time = km.killmail?.killmail_time || null;
+        new Set(others.map(a => a.character_id)).forEach(id => record(counters.characters, id, time));
+        new Set(others.map(a => a.corporation_id).filter(id => id && id !== subjectId)).forEach(id => record(counters.corporations, id, time));
+        new Set(others.map(a => a.alliance_id).filter(id => id && id !== subjectId)).forEach(id => record(counters.alliances, id, time));
+    });
+
+    const topEntries = (map) => Array.from(map.values())
+        .filter(entry => entry.count >= ASSOCIATES_CONFIG.MIN_SHARED_KILLS)
+        .sort((a, b) => b.count - a.count || (b.lastSeen || '').localeCompare(a.lastSeen || ''))
+        .slice(0, ASSOCIATES_CONFIG.LIMIT);
+
+    return {
+        characters: topEntries(counters.characters),
+        corporations: topEntries(counters.corporations),
+        alliances: topEntries(counters.alliances),
+        sharedKills
+    };
+}
+
+const FITTED_SLOT_RANGES = [
+    { slot: 'high', min: 27, max: 34 },
+    { slot: 'mid', min: 19, max: 26 },
+    { slot: 'low', min: 11, max: 18 },
+    { slot: 'rig', min: 92, max: 99 },
+    { slot: 'subsystem', min: 125, max: 132 }
+];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function analyzeLosses(lossmails) {
+    if (!Array.isArray(lossmails) || lossmails.length === 0) {
+        return null;
+    }
+
+    const totalIskLost = lossmails.reduce((sum, km) => sum + (km.zkbData?.totalValue || 0), 0);
+
+    return {
+        totalLosses: lossmails.length,
+        totalIskLost,
+        avgValue: Math.round(totalIskLost / lossmails.length),
+        shipsLost: analyzeShipsLost(lossmails),
+        iskOverTime: analyzeIskLostOverTime(lossmails),
+        typicalFits: analyzeTypicalFits(lossmails),
+        deathLocations: analyzeDeathLocations(lossmails)
+    };
+}
+
+function analyzeShipsLost(lossmails) {
+    const ships = new Map();
+
+    lossmails.forEach(km => {
+        const shipTypeId = km.killmail?.victim?.ship_type_id;
+        if (!shipTypeId) return;
+        const entry = ships.get(shipTypeId) || { shipTypeId, count: 0, iskLost: 0 };
+        entry.count++;
+        entry.iskLost += km.zkbData?.totalValue || 0;
+        ships.set(shipTypeId, entry);
+    });
+
+    return Array.from(ships.values())
+        .sort((a, b) => b.count - a.count || b.iskLost - a.iskLost)
+        .slice(0, LOSS_ANALYSIS_CONFIG.TOP_LIMIT);
+}
+
+function startOfUtcWeek(time) {
+    const date = new Date(time);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+function analyzeIskLostOverTime(lossmails) {
+    const times = lossmails
+        .map(km => km.killmail?.killmail_time)
+        .filter(Boolean)
+        .map(time => new Date(time).getTime());
+
+    if (times.length === 0) return [];
+
+    const latestWeek = startOfUtcWeek(Math.max(...times));
+    const weeks = [];
+    for (let i = LOSS_ANALYSIS_CONFIG.TIMELINE_WEEKS - 1; i >= 0; i--) {
+        weeks.push({ weekStart: new Date(latestWeek - i * WEEK_MS).toISOString().slice(0, 10), count: 0, iskLost: 0 });
+    }
+
+    const firstWeek = latestWeek - (LOSS_ANALYSIS_CONFIG.TIMELINE_WEEKS - 1) * WEEK_MS;
+    lossmails.forEach(km => {
+        const time = km.killmail?.killmail_time;
+        if (!time) return;
+        const index = Math.round((startOfUtcWeek(time) - firstWeek) / WEEK_MS);
+        if (index < 0 || index >= weeks.length) return;
+        weeks[index].count++;
+        weeks[index].iskLost += km.zkbData?.totalValue || 0;
+    });
+
+    return weeks;
+}
+
+function getFittedSlot(flag) {
+    const range = FITTED_SLOT_RANGES.find(r => flag >= r.min && flag <= r.max);
+    return range ? range.slot : null;
+}
+
+function collectFittedModules(lossmails) {
+    const hulls = new Map();
+
+    lossmails.forEach(km => {
+        const victim = km.killmail?.victim;
+        if (!victim?.ship_type_id || !Array.isArray(victim.items)) return;
+
+        const modules = new Map();
+        victim.items.forEach(item => {
+            const slot = getFittedSlot(item.flag);
+            if (!slot || !item.item_type_id) return;
+            const key = `${slot}:${item.item_type_id}`;
+            if (!modules.has(key)) {
+                modules.set(key, { typeId: item.item_type_id, slot });
+            }
+        });
+
+        if (modules.size === 0) return;
+
+        const hull = hulls.get(victim.ship_type_id) || { shipTypeId: victim.ship_type_id, losses: 0, modules: new Map() };
+        hull.losses++;
+        modules.forEach((module, key) => {
+            const entry = hull.modules.get(key) || { ...module, count: 0 };
+            entry.count++;
+            hull.modules.set(key, entry);
+        });
+        hulls.set(victim.ship_type_id, hull);
+    });
+
+    return hulls;
+}
+
+function commonModules(hull, minShare, limit) {
+    const slotOrder = FITTED_SLOT_RANGES.map(r => r.slot);
+
+    return Array.from(hull.modules.values())
+        .filter(module => module.count / hull.losses >= minShare)
+        .sort((a, b) => slotOrder.indexOf(a.slot) - slotOrder.indexOf(b.slot) || b.count - a.count)
+        .slice(0, limit)
+        .map(module => ({ ...module, share: Math.round((module.count / hull.losses) * 100) }));
+}
+
+function analyzeTypicalFits(lossmails) {
+    return Array.from(collectFittedModules(lossmails).values())
+        .sort((a, b) => b.losses - a.losses)
+        .slice(0, LOSS_ANALYSIS_CONFIG.FIT_HULL_LIMIT)
+        .map(hull => ({
+            shipTypeId: hull.shipTypeId,
+            losses: hull.losses,
+            modules: commonModules(hull, LOSS_ANALYSIS_CONFIG.FIT_MODULE_MIN_SHARE, LOSS_ANALYSIS_CONFIG.FIT_MODULE_LIMIT)
+        }));
+}
+
+export function inferFits(killmails, lossmails, entityType, entityId) {
+    const subjectField = SUBJECT_ATTACKER_FIELDS[entityType];
+    const subjectId = parseInt(entityId);
+    if (!subjectField || !subjectId) return [];
+
+    const hulls = new Map();
+    const getHull = (shipTypeId) => {
+        if (!hulls.has(shipTypeId)) {
+            hulls.set(shipTypeId, { shipTypeId, killsFlown: 0, weapons: new Map() });
+        }
+        return hulls.get(shipTypeId);
+    };
+
+    (killmails || []).forEach(km => {
+        const attackers = km.killmail?.attackers || [];
+        attackers
+            .filter(a => a[subjectField] === subjectId && a.ship_type_id)
+            .forEach(attacker => {
+                const hull = getHull(attacker.ship_type_id);
+                hull.killsFlown++;
+                const weaponId = attacker.weapon_type_id;
+                if (weaponId && weaponId !== attacker.ship_type_id) {
+                    hull.weapons.set(weaponId, (hull.weapons.get(weaponId) || 0) + 1);
+                }
+            });
+    });
+
+    const fitted = collectFittedModules(lossmails || []);
+    fitted.forEach((_, shipTypeId) => getHull(shipTypeId));
+
+    return Array.from(hulls.values())
+        .map(hull => {
+            const losses = fitted.get(hull.shipTypeId);
+            const lossSamples = losses ? losses.losses : 0;
+            const samples = hull.killsFlown + lossSamples * FIT_INFERENCE_CONFIG.LOSS_SAMPLE_WEIGHT;
+
+            return {
+                shipTypeId: hull.shipTypeId,
+                killsFlown: hull.killsFlown,
+                losses: lossSamples,
+                weapons: Array.from(hull.weapons.entries())
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, FIT_INFERENCE_CONFIG.WEAPON_LIMIT)
+                    .map(([typeId, count]) => ({ typeId, count, share: Math.round((count / hull.killsFlown) * 100) })),
+                modules: losses ? commonModules(losses, FIT_INFERENCE_CONFIG.MODULE_MIN_SHARE, FIT_INFERENCE_CONFIG.MODULE_LIMIT) : [],
+                confidence: Math.min(100, Math.round((samples / FIT_INFERENCE_CONFIG.CONFIDENCE_SAMPLES) * 100))
+            };
+        })
+        .sort((a, b) => (b.killsFlown + b.losses) - (a.killsFlown + a.losses))
+        .slice(0, FIT_INFERENCE_CONFIG.HULL_LIMIT);
+}
+
+function analyzeDeathLocations(lossmails) {
+    const systems = new Map();
+
+    lossmails.forEach(km => {
+        const systemId = km.killmail?.solar_system_id;
+        if (!systemId) return;
+        const entry = systems.get(systemId) || { systemId, count: 0, iskLost: 0 };
+        entry.count++;
+        entry.iskLost += km.zkbData?.totalValue || 0;
+        systems.set(systemId, entry);
+    });
+
+    return Array.from(systems.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, LOSS_ANALYSIS_CONFIG.TOP_LIMIT)
+        .map(entry => ({ ...entry, percentage: Math.round((entry.count / lossmails.length) * 100) }));
+}
+
 function findMostExpensiveKill(killmails) {
     if (!killmails.length) return null;
 
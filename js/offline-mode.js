@@ -0,0 +1,76 @@
+/*
+    EVE Target Intel - Offline Mode
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { VERSION, SERVICE_WORKER_URL } from './config.js';
+import { showWarning, showSuccess } from './ui.js';
+
+let offlineMode = false;
+const changeListeners = new Set();
+
+export function onOfflineModeChanged(listener) {
+    changeListeners.add(listener);
+}
+
+export function isOfflineMode() {
+    return offlineMode;
+}
+
+export function setOfflineMode(enabled) {
+    offlineMode = !!enabled;
+    document.body.classList.toggle('offline-mode', offlineMode);
+
+    const toggle = document.getElementById('offline-mode-toggle');
+    if (toggle) toggle.checked = offlineMode;
+
+    changeListeners.forEach(listener => listener(offlineMode));
+}
+
+export function formatCacheAge(timestamp) {
+    const minutes = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+
+    return `${Math.floor(hours / 24)}d`;
+}
+
+export function getOldestCacheTime(results) {
+    const times = results.map(result => result.cached_at).filter(Boolean);
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register(`${SERVICE_WORKER_URL}?v=${encodeURIComponent(VERSION)}`)
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+export function initializeOfflineMode() {
+    registerServiceWorker();
+
+    document.getElementById('offline-mode-toggle')?.addEventListener('change', event => {
+        setOfflineMode(event.target.checked);
+    });
+
+    window.addEventListener('offline', () => {
+        if (!offlineMode) {
+            showWarning('Connection lost. Enable Offline mode to analyse names from the local cache.');
+        }
+    });
+
+    window.addEventListener('online', () => {
+        if (offlineMode) {
+            showSuccess('Back online. Disable Offline mode to fetch fresh data.');
+        }
+    });
+
+    if (!navigator.onLine) {
+        showWarning('You are offline. Enable Offline mode to analyse names from the local cache.');
+    }
+}
@@ -0,0 +1,312 @@
+/*
+    EVE Target Intel - Proof-of-Work Worker Pool
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { ZKILL_CONFIG, POW_CONFIG } from './config.js';
+import { solvePoW } from './pow-worker.js';
+
+const POOL_SIZE = Math.max(1, Math.min(POW_CONFIG.MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+
+let nextJobId = 1;
+let workersUnavailable = typeof Worker === 'undefined';
+const slots = [];
+const queue = [];
+const precomputeQueue = [];
+const precomputeJobs = new Map();
+const solutions = new Map();
+
+function createAbortError() {
+    return new DOMException('Proof-of-work cancelled', 'AbortError');
+}
+
+function jobKey(id, difficulty) {
+    return `${difficulty}:${id}`;
+}
+
+function getMaxIterations(difficulty) {
+    return Math.ceil(2 ** difficulty * POW_CONFIG.ITERATION_MARGIN);
+}
+
+function createJob(id, difficulty, precompute) {
+    const job = {
+        jobId: nextJobId++,
+        key: jobKey(id, difficulty),
+        id,
+        difficulty,
+        precompute,
+        slot: null,
+        done: false,
+        cancelled: false,
+        result: null
+    };
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    return job;
+}
+
+function isFresh(solution) {
+    return Date.now() - solution.ts * 1000 < POW_CONFIG.PRECOMPUTE_TTL_MS;
+}
+
+function pruneSolutions() {
+    solutions.forEach((list, key) => {
+        const fresh = list.filter(isFresh);
+        if (fresh.length > 0) {
+            solutions.set(key, fresh);
+        } else {
+            solutions.delete(key);
+        }
+    });
+}
+
+function takeSolution(key) {
+    const list = (solutions.get(key) || []).filter(isFresh);
+    const solution = list.shift() || null;
+
+    if (list.length > 0) {
+        solutions.set(key, list);
+    } else {
+        solutions.delete(key);
+    }
+    return solution;
+}
+
+function discardSolution(key, solution) {
+    const list = (solutions.get(key) || []).filter(entry => entry !== solution);
+    if (list.length > 0) {
+        solutions.set(key, list);
+    } else {
+        solutions.delete(key);
+    }
+}
+
+function countPrecomputed() {
+    pruneSolutions();
+    let count = slots.filter(slot => slot.job?.precompute).length;
+    solutions.forEach(list => {
+        count += list.length;
+    });
+    return count;
+}
+
+function handleWorkerMessage(slot, data) {
+    if (!slot.job || slot.job.jobId !== data.jobId) return;
+
+    const error = data.error ? new Error(data.error) : null;
+    finishJob(slot, slot.job, data.result, error);
+}
+
+function disableWorkers(error) {
+    if (workersUnavailable) return;
+
+    console.warn('Proof-of-work workers unavailable, solving on the main thread:', error);
+    workersUnavailable = true;
+
+    slots.splice(0).forEach(slot => {
+        slot.worker?.terminate();
+        const job = slot.job;
+        if (job && !job.cancelled) {
+            job.slot = null;
+            (job.precompute ? precomputeQueue : queue).unshift(job);
+        }
+    });
+}
+
+function createSlot() {
+    if (!workersUnavailable) {
+        try {
+            const worker = new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' });
+            const slot = { worker, job: null };
+            worker.addEventListener('message', event => handleWorkerMessage(slot, event.data));
+            worker.addEventListener('error', event => {
+                event.preventDefault();
+                disableWorkers(event.message || 'worker failed to load');
+                schedule();
+            });
+            return slot;
+        } catch (error) {
+            disableWorkers(error);
+        }
+    }
+    return { worker: null, job: null };
+}
+
+function getIdleSlot() {
+    const idle = slots.find(slot => !slot.job);
+    if (idle) return idle;
+
+    if (slots.length < (workersUnavailable ? 1 : POOL_SIZE)) {
+        const slot = createSlot();
+        slots.push(slot);
+        return slot;
+    }
+    return null;
+}
+
+function nextJob() {
+    if (queue.length > 0) return queue.shift();
+
+    // precomputing on the main thread would defeat the purpose of the pool
+    if (workersUnavailable || precomputeQueue.length === 0) return null;
+    if (countPrecomputed() >= POW_CONFIG.MAX_PRECOMPUTED) return null;
+
+    return precomputeQueue.shift();
+}
+
+function runJob(slot, job) {
+    slot.job = job;
+    job.slot = slot;
+
+    if (slot.worker) {
+        slot.worker.postMessage({
+            jobId: job.jobId,
+            id: job.id,
+            difficulty: job.difficulty,
+            maxIterations: getMaxIterations(job.difficulty)
+        });
+        return;
+    }
+
+    solvePoW(job.id, job.difficulty, {
+        maxIterations: getMaxIterations(job.difficulty),
+        yieldEvery: POW_CONFIG.MAIN_THREAD_YIELD_EVERY,
+        isCancelled: () => job.cancelled
+    }).then(
+        result => finishJob(slot, job, result, null),
+        error => finishJob(slot, job, null, error)
+    );
+}
+
+function finishJob(slot, job, result, error) {
+    if (slot.job === job) slot.job = null;
+    job.slot = null;
+
+    if (!job.cancelled) {
+        job.done = true;
+
+        if (job.precompute) {
+            precomputeJobs.delete(job.key);
+        }
+
+        if (error) {
+            job.reject(error);
+        } else if (job.precompute) {
+            job.result = result;
+            solutions.set(job.key, [...(solutions.get(job.key) || []), result]);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    schedule();
+}
+
+function schedule() {
+    let job;
+    while ((job = nextJob())) {
+        const slot = getIdleSlot();
+        if (!slot) {
+            (job.precompute ? precomputeQueue : queue).unshift(job);
+            return;
+        }
+        runJob(slot, job);
+    }
+}
+
+function removeFromQueue(list, job) {
+    const index = list.indexOf(job);
+    if (index !== -1) list.splice(index, 1);
+    return index !== -1;
+}
+
+function cancelJob(job) {
+    if (job.done || job.cancelled) return;
+
+    job.cancelled = true;
+    precomputeJobs.delete(job.key);
+    removeFromQueue(queue, job);
+    removeFromQueue(precomputeQueue, job);
+
+    const slot = job.slot;
+    if (slot?.worker) {
+        // terminating is the only way to interrupt a worker mid-solve
+        slot.worker.terminate();
+        removeFromQueue(slots, slot);
+    }
+
+    job.reject(createAbortError());
+    schedule();
+}
+
+function claimPrecomputeJob(key) {
+    const job = precomputeJobs.get(key);
+    if (!job) return null;
+
+    precomputeJobs.delete(key);
+    job.precompute = false;
+    if (removeFromQueue(precomputeQueue, job)) {
+        queue.push(job);
+    }
+    return job;
+}
+
+export function requestPoW(id, { difficulty = ZKILL_CONFIG.POW_DIFFICULTY, signal = null } = {}) {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    const key = jobKey(id, difficulty);
+    const solution = takeSolution(key);
+    if (solution) return Promise.resolve(solution);
+
+    let job = claimPrecomputeJob(key);
+    if (!job) {
+        job = createJob(id, difficulty, false);
+        queue.push(job);
+    }
+
+    if (signal) {
+        const onAbort = () => cancelJob(job);
+        signal.addEventListener('abort', onAbort, { once: true });
+        const cleanup = () => signal.removeEventListener('abort', onAbort);
+        job.promise.then(cleanup, cleanup);
+    }
+
+    schedule();
+    return job.promise;
+}
+
+export function precomputePoW(ids, { difficulty = ZKILL_CONFIG.POW_DIFFICULTY, signal = null } = {}) {
+    if (signal?.aborted) return;
+
+    const jobs = [];
+    ids.forEach(id => {
+        const key = jobKey(id, difficulty);
+        if (precomputeJobs.has(key) || solutions.get(key)?.some(isFresh)) return;
+
+        const job = createJob(id, difficulty, true);
+        job.promise.catch(() => {});
+        precomputeJobs.set(key, job);
+        precomputeQueue.push(job);
+        jobs.push(job);
+    });
+
+    if (signal && jobs.length > 0) {
+        signal.addEventListener('abort', () => {
+            jobs.forEach(job => {
+                if (!job.precompute) return;
+                if (job.result) {
+                    discardSolution(job.key, job.result);
+                } else {
+                    cancelJob(job);
+                }
+            });
+            schedule();
+        }, { once: true });
+    }
+
+    schedule();
+}
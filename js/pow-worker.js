@@ -0,0 +1,60 @@
+/*
+    EVE Target Intel - Proof-of-Work Worker
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+function countLeadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte !== 0) {
+            return bits + Math.clz32(byte) - 24;
+        }
+        bits += 8;
+    }
+    return bits;
+}
+
+export async function solvePoW(id, difficulty, { maxIterations, yieldEvery = 0, isCancelled = () => false }) {
+    const ts = Math.floor(Date.now() / 1000);
+    const encoder = new TextEncoder();
+    // a random start keeps solutions for the same ID in the same second distinct
+    const start = Math.floor(Math.random() * 0x7fffffff);
+
+    for (let i = 0; i < maxIterations; i++) {
+        const nonce = start + i;
+        if (isCancelled()) {
+            throw new DOMException('Proof-of-work cancelled', 'AbortError');
+        }
+
+        const bytes = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(`${id}|${nonce}|${ts}`)));
+
+        if (countLeadingZeroBits(bytes) >= difficulty) {
+            const hash = [...bytes]
+                .map(x => x.toString(16).padStart(2, '0'))
+                .join('');
+            return { nonce, ts, hash };
+        }
+
+        // only needed when solving on the main thread without a worker
+        if (yieldEvery > 0 && (i + 1) % yieldEvery === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    throw new Error('reached iteration limit');
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.addEventListener('message', async event => {
+        const { jobId, id, difficulty, maxIterations } = event.data;
+
+        try {
+            const result = await solvePoW(id, difficulty, { maxIterations });
+            self.postMessage({ jobId, result });
+        } catch (error) {
+            self.postMessage({ jobId, error: error.message });
+        }
+    });
+}
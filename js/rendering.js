@@ -14,6 +14,7 @@ import {
 } from './config.js';
 import { ManagedObservers, setImageObserverEnabled } from './observers.js';
 import { sanitizeId, sanitizeAttribute } from './xss-protection.js';
+import { getStanding, getStandingClass } from './standings.js';
 
 const observerManager = new ManagedObservers();
 
@@ -348,7 +349,7 @@ export function createCharacterItem(character, viewType = 'grid') {
     const corporationName = character.corporation_name;
     const allianceId = character.alliance_id ? sanitizeId(character.alliance_id) : null;
     const allianceName = character.alliance_name;
-    element.className = `result-item ${viewType}-view animate-ready ${character.war_eligible ? 'war-eligible' : ''}`;
+    element.className = `result-item ${viewType}-view animate-ready ${character.war_eligible ? 'war-eligible' : ''} ${getStandingClass(character.standing)}`;
     element.dataset.characterId = sanitizeAttribute(characterId.toString());
     const avatar = element.querySelector('.character-avatar');
     const characterLink = element.querySelector('.character-name .character-link');
@@ -374,6 +375,19 @@ export function createCharacterItem(character, viewType = 'grid') {
         existingBadge.remove();
     }
 
+    let threatBadge = nameDiv.querySelector('.threat-score-badge');
+    if (character.threat_score !== null && character.threat_score !== undefined) {
+        if (!threatBadge) {
+            threatBadge = document.createElement('span');
+            nameDiv.appendChild(threatBadge);
+        }
+        threatBadge.className = `threat-score-badge threat-${character.threat_band}`;
+        threatBadge.textContent = character.threat_score;
+        threatBadge.title = [character.threat_level, ...(character.threat_tags || [])].join(' · ');
+    } else if (threatBadge) {
+        threatBadge.remove();
+    }
+
     const corpLogo = element.querySelector('.corp-item .org-logo');
     const corpLink = element.querySelector('.corp-item .character-link');
 
@@ -438,6 +452,8 @@ export function releaseElementToPool(element) {
         characterElementPool.release(element);
     } else if (isEntityCard && entityCardPool) {
         entityCardPool.release(element);
+    } else {
+        element.remove();
     }
 }
 
@@ -454,7 +470,7 @@ export function createEntityCard({ id, name, count, type, war_eligible, isDirect
     const logoSize = ENTITY_LOGO_SIZE_PX;
 
     template.innerHTML = `
-        <div class="result-item entity-card ${sanitizedType}-card ${war_eligible ? 'war-eligible' : ''}"
+        <div class="result-item entity-card ${sanitizedType}-card ${war_eligible ? 'war-eligible' : ''} ${getStandingClass(getStanding(sanitizedId))}"
              data-clickable="${sanitizedType}"
              data-entity-id="${sanitizeAttribute(sanitizedId.toString())}"
              data-entity-name="${sanitizeAttribute(sanitizedName)}"
@@ -578,6 +594,18 @@ export function setupVirtualScrolling(containerId, items) {
     });
 }
 
+export function setupTableScrolling(containerId, items, renderRow) {
+    const container = document.getElementById(containerId);
+    if (!validateScrollingPreconditions(container, items, containerId)) {
+        return;
+    }
+
+    requestAnimationFrame(() => {
+        const scrollInstance = new VirtualScrollManager(container, items, { viewType: 'table', renderItem: renderRow });
+        scrollInstance.initialize();
+    });
+}
+
 function validateScrollingPreconditions(container, items, containerId) {
     if (!container) {
         console.warn(`Cannot setup virtual scrolling: container "${containerId}" not found`);
@@ -593,9 +621,11 @@ function validateScrollingPreconditions(container, items, containerId) {
 }
 
 class VirtualScrollManager {
-    constructor(container, items) {
+    constructor(container, items, { viewType = 'grid', renderItem = null } = {}) {
         this.container = container;
         this.items = items;
+        this.viewType = viewType;
+        this.renderItem = renderItem;
         this.parentGrid = this.findParentGrid();
         this.viewConfig = this.calculateViewConfig();
         this.dimensions = this.calculateDimensions();
@@ -618,7 +648,10 @@ class VirtualScrollManager {
     }
 
     calculateViewConfig() {
-        const baseConfig = VIEW_DIMENSIONS.grid;
+        const baseConfig = VIEW_DIMENSIONS[this.viewType];
+        if (baseConfig.itemsPerRow) {
+            return { ...baseConfig };
+        }
 
         let parentWidth = this.parentGrid.clientWidth;
         if (parentWidth === 0) {
@@ -665,13 +698,18 @@ class VirtualScrollManager {
         this.parentGrid.classList.add('virtual-enabled');
 
         Object.assign(this.container.style, {
-            height: VIRTUAL_SCROLL_CONFIG.CONTAINER_HEIGHT,
-            minHeight: VIRTUAL_SCROLL_CONFIG.MIN_HEIGHT,
-            maxHeight: VIRTUAL_SCROLL_CONFIG.MAX_HEIGHT,
             overflowY: 'auto',
             position: 'relative'
         });
 
+        if (this.viewType !== 'table') {
+            Object.assign(this.container.style, {
+                height: VIRTUAL_SCROLL_CONFIG.CONTAINER_HEIGHT,
+                minHeight: VIRTUAL_SCROLL_CONFIG.MIN_HEIGHT,
+                maxHeight: VIRTUAL_SCROLL_CONFIG.MAX_HEIGHT
+            });
+        }
+
         this.container.className = 'virtual-scroll-container';
     }
 
@@ -702,7 +740,14 @@ class VirtualScrollManager {
             position: 'absolute',
             top: '0',
             left: '0',
-            right: '0',
+            right: '0'
+        });
+
+        if (this.viewType === 'table') {
+            return content;
+        }
+
+        Object.assign(content.style, {
             display: 'grid',
             gap: VIRTUAL_SCROLL_CONFIG.GRID_GAP,
             padding: VIRTUAL_SCROLL_CONFIG.CONTENT_PADDING,
@@ -847,7 +892,7 @@ class VirtualScrollManager {
 
             this.renderedElements.set(index, element);
             try {
-                this.content.appendChild(element);
+                this.content.insertBefore(element, this.findNextRenderedElement(index));
             } catch (e) {
                 // If append fails because content was detached, bail out
                 this.renderedElements.delete(index);
@@ -860,6 +905,18 @@ class VirtualScrollManager {
         }
     }
 
+    findNextRenderedElement(index) {
+        let next = null;
+        let nextIndex = Infinity;
+        for (const [renderedIndex, element] of this.renderedElements) {
+            if (renderedIndex > index && renderedIndex < nextIndex && element.parentNode === this.content) {
+                next = element;
+                nextIndex = renderedIndex;
+            }
+        }
+        return next;
+    }
+
     cleanupOldElements() {
         if (!this.container || !document.contains(this.container)) return;
 
@@ -906,7 +963,8 @@ class VirtualScrollManager {
     }
 
     createElement(index) {
-        const element = createCharacterItem(this.items[index], 'grid');
+        const element = this.renderItem ? this.renderItem(this.items[index], index) : createCharacterItem(this.items[index], 'grid');
+        if (!element) return null;
         element.style.position = 'relative';
         element.dataset.index = index;
 
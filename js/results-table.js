@@ -0,0 +1,471 @@
+/*
+    EVE Target Intel - Results Table View
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { RESULTS_TABLE_CONFIG, VIEW_DIMENSIONS } from './config.js';
+import { escapeHtml } from './xss-protection.js';
+import { getFilteredResults } from './filters.js';
+import { setupTableScrolling } from './rendering.js';
+import { getUserSetting, setUserSetting } from './user-settings.js';
+import { get_cached_zkill_stats } from './zkillboard-api.js';
+import { showEntityDetail } from './detail-panel.js';
+import { formatCacheAge } from './offline-mode.js';
+
+const ZKILL_ENTITY_TYPES = {
+    character: 'characterID',
+    corporation: 'corporationID',
+    alliance: 'allianceID'
+};
+
+const COLUMNS = {
+    name: { label: 'Name', type: 'text', width: 200, value: (r) => getResultName(r) },
+    character_id: { label: 'Character ID', type: 'number', width: 110, value: (r) => r.character_id || null },
+    corporation: { label: 'Corporation', type: 'text', width: 180, value: (r) => r.corporation_name || '' },
+    corporation_id: { label: 'Corp ID', type: 'number', width: 100, value: (r) => r.corporation_id || null },
+    alliance: { label: 'Alliance', type: 'text', width: 180, value: (r) => r.alliance_name || '' },
+    alliance_id: { label: 'Alliance ID', type: 'number', width: 100, value: (r) => r.alliance_id || null },
+    corp_size: { label: 'Corp Size', type: 'number', width: 90, value: (r) => corpSizes.get(r.corporation_id) || null },
+    alliance_size: { label: 'Alliance Size', type: 'number', width: 100, value: (r) => r.alliance_id ? allianceSizes.get(r.alliance_id) || null : null },
+    war_eligible: { label: 'War Eligible', type: 'boolean', width: 100, value: (r) => !!r.war_eligible },
+    threat: { label: 'Threat', type: 'number', width: 80, value: (r) => r.threat_score ?? null },
+    kills: { label: 'Kills', type: 'number', width: 80, value: (r) => getCachedStats(r)?.totalKills ?? null },
+    losses: { label: 'Losses', type: 'number', width: 80, value: (r) => getCachedStats(r)?.totalLosses ?? null },
+    last_kill: { label: 'Last Kill', type: 'date', width: 110, value: (r) => getLastKill(r)?.time ?? null, display: (r) => getLastKill(r)?.label },
+    cache_age: { label: 'Cache Age', type: 'date', width: 90, value: (r) => r.cached_at ?? null, display: (r) => r.cached_at ? formatCacheAge(r.cached_at) : '' }
+};
+
+let layout = createDefaultLayout();
+let layoutLoaded = null;
+let allResults = [];
+let rows = [];
+let corpSizes = new Map();
+let allianceSizes = new Map();
+let selectedKey = null;
+let currentView = 'tree';
+let draggedColumn = null;
+
+function createDefaultLayout() {
+    return {
+        view: 'tree',
+        columns: RESULTS_TABLE_CONFIG.DEFAULT_COLUMNS.map(key => ({ key, width: COLUMNS[key].width })),
+        sortKey: null,
+        sortDirection: 'asc'
+    };
+}
+
+function normalizeLayout(stored) {
+    const defaults = createDefaultLayout();
+    if (!stored || typeof stored !== 'object') return defaults;
+
+    const columns = [];
+    (Array.isArray(stored.columns) ? stored.columns : []).forEach(column => {
+        if (!COLUMNS[column?.key] || columns.some(entry => entry.key === column.key)) return;
+        columns.push({ key: column.key, width: clampWidth(column.width, COLUMNS[column.key].width) });
+    });
+
+    if (!columns.some(column => column.key === 'name')) {
+        columns.unshift({ key: 'name', width: COLUMNS.name.width });
+    }
+
+    return {
+        view: stored.view === 'table' ? 'table' : 'tree',
+        columns,
+        sortKey: COLUMNS[stored.sortKey] ? stored.sortKey : null,
+        sortDirection: stored.sortDirection === 'desc' ? 'desc' : 'asc'
+    };
+}
+
+function clampWidth(width, fallback) {
+    const value = parseInt(width);
+    if (isNaN(value)) return fallback;
+    return Math.min(RESULTS_TABLE_CONFIG.MAX_COLUMN_WIDTH, Math.max(RESULTS_TABLE_CONFIG.MIN_COLUMN_WIDTH, value));
+}
+
+function saveLayout() {
+    layout.view = currentView;
+    setUserSetting('RESULTS_TABLE_LAYOUT', layout).then(result => {
+        if (!result.success) console.warn('Failed to save table layout:', result.error);
+    });
+}
+
+function getResultType(result) {
+    if (result.character_id) return 'character';
+    return result.entity_type || 'corporation';
+}
+
+function getResultId(result) {
+    const type = getResultType(result);
+    return type === 'character' ? result.character_id : type === 'alliance' ? result.alliance_id : result.corporation_id;
+}
+
+function getResultName(result) {
+    const type = getResultType(result);
+    if (type === 'character') return result.character_name || '';
+    return (type === 'alliance' ? result.alliance_name : result.corporation_name) || '';
+}
+
+function getCachedStats(result) {
+    return get_cached_zkill_stats(ZKILL_ENTITY_TYPES[getResultType(result)], getResultId(result));
+}
+
+function getLastKill(result) {
+    const stats = getCachedStats(result);
+    if (!stats) return null;
+
+    const recentKill = stats.killmailData?.recentKills?.[0]?.time;
+    if (recentKill) {
+        return { time: Date.parse(recentKill), label: recentKill.slice(0, 10) };
+    }
+
+    const lastMonth = Object.entries(stats._rawData?.months || {})
+        .filter(([, month]) => (month.shipsDestroyed || 0) > 0)
+        .map(([key]) => key)
+        .sort()
+        .pop();
+    if (!lastMonth) return null;
+
+    return {
+        time: Date.UTC(parseInt(lastMonth.slice(0, 4)), parseInt(lastMonth.slice(4, 6)) - 1),
+        label: `${lastMonth.slice(0, 4)}-${lastMonth.slice(4, 6)}`
+    };
+}
+
+function formatCell(column, result, value) {
+    if (column.display) return column.display(result) || '';
+    if (value === null || value === undefined || value === '') return '';
+    if (column.type === 'boolean') return value ? 'Yes' : 'No';
+    if (column.type === 'number') return value.toLocaleString();
+    return String(value);
+}
+
+function compareValues(a, b, direction) {
+    const aEmpty = a === null || a === undefined || a === '';
+    const bEmpty = b === null || b === undefined || b === '';
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+    if (typeof a === 'string') return a.localeCompare(b) * direction;
+    return (a === b ? 0 : a < b ? -1 : 1) * direction;
+}
+
+function buildRows() {
+    const sortColumn = COLUMNS[layout.sortKey];
+    rows = getFilteredResults().map(result => ({
+        result,
+        key: `${getResultType(result)}:${getResultId(result)}`,
+        sortValue: sortColumn ? sortColumn.value(result) : null
+    }));
+
+    if (sortColumn) {
+        const direction = layout.sortDirection === 'desc' ? -1 : 1;
+        rows.sort((a, b) => compareValues(a.sortValue, b.sortValue, direction));
+    }
+}
+
+function createRow(row, index) {
+    const element = document.createElement('div');
+    element.className = 'results-table-row';
+    element.classList.toggle('selected', row.key === selectedKey);
+    element.classList.toggle('war-eligible', !!row.result.war_eligible);
+    element.classList.toggle('stale', !!row.result.stale);
+    element.dataset.key = row.key;
+
+    element.innerHTML = layout.columns.map(({ key }) => {
+        const column = COLUMNS[key];
+        const value = column.value(row.result);
+        return `<div class="results-table-cell ${column.type}">${escapeHtml(formatCell(column, row.result, value))}</div>`;
+    }).join('');
+
+    element.addEventListener('click', () => selectRow(index));
+    return element;
+}
+
+function selectRow(index) {
+    const row = rows[index];
+    if (!row) return false;
+
+    selectedKey = row.key;
+    const body = document.getElementById('results-table-body');
+    if (body) {
+        const rowHeight = VIEW_DIMENSIONS.table.height;
+        const top = index * rowHeight;
+        if (top < body.scrollTop) {
+            body.scrollTop = top;
+        } else if (top + rowHeight > body.scrollTop + body.clientHeight) {
+            body.scrollTop = top + rowHeight - body.clientHeight;
+        }
+        body.querySelectorAll('.results-table-row').forEach(item => {
+            item.classList.toggle('selected', item.dataset.key === selectedKey);
+        });
+    }
+
+    showEntityDetail(getResultType(row.result), getResultId(row.result), getResultName(row.result));
+    return true;
+}
+
+function applyColumnWidths() {
+    const table = document.getElementById('results-table');
+    if (!table) return;
+
+    const widths = layout.columns.map(column => `${column.width}px`);
+    table.style.setProperty('--results-table-columns', widths.join(' '));
+    table.style.minWidth = `${layout.columns.reduce((sum, column) => sum + column.width, 0)}px`;
+}
+
+function renderHeader() {
+    const header = document.getElementById('results-table-header');
+    if (!header) return;
+
+    header.innerHTML = layout.columns.map(({ key }) => {
+        const column = COLUMNS[key];
+        const sorted = layout.sortKey === key;
+        const indicator = sorted ? (layout.sortDirection === 'asc' ? ' ▲' : ' ▼') : '';
+        return `
+            <div class="results-table-heading ${column.type}${sorted ? ' sorted' : ''}" data-column="${key}" draggable="true" title="Click to sort, drag to reorder">
+                <span class="results-table-heading-label">${escapeHtml(column.label)}${indicator}</span>
+                <span class="results-table-resizer" data-resize="${key}"></span>
+            </div>
+        `;
+    }).join('');
+
+    header.querySelectorAll('.results-table-heading').forEach(heading => {
+        const key = heading.dataset.column;
+        heading.addEventListener('click', event => {
+            if (!event.target.closest('.results-table-resizer')) toggleSort(key);
+        });
+        heading.addEventListener('dragstart', event => {
+            draggedColumn = key;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', key);
+        });
+        heading.addEventListener('dragover', event => {
+            if (!draggedColumn || draggedColumn === key) return;
+            event.preventDefault();
+            heading.classList.add('drop-target');
+        });
+        heading.addEventListener('dragleave', () => heading.classList.remove('drop-target'));
+        heading.addEventListener('drop', event => {
+            event.preventDefault();
+            heading.classList.remove('drop-target');
+            moveColumn(draggedColumn, key);
+        });
+        heading.addEventListener('dragend', () => { draggedColumn = null; });
+    });
+
+    header.querySelectorAll('.results-table-resizer').forEach(handle => {
+        handle.addEventListener('pointerdown', event => startResize(event, handle.dataset.resize));
+    });
+
+    applyColumnWidths();
+}
+
+function renderBody() {
+    const body = document.getElementById('results-table-body');
+    const empty = document.getElementById('results-table-empty');
+    if (!body) return;
+
+    body._cleanup?.();
+    body.innerHTML = '';
+
+    if (empty) empty.style.display = rows.length === 0 ? 'block' : 'none';
+    if (rows.length === 0) return;
+
+    setupTableScrolling('results-table-body', rows, createRow);
+}
+
+function renderColumnMenu() {
+    const list = document.getElementById('results-table-column-list');
+    if (!list) return;
+
+    const active = new Set(layout.columns.map(column => column.key));
+    list.innerHTML = Object.entries(COLUMNS).map(([key, column]) => `
+        <label class="results-table-column-option">
+            <input type="checkbox" data-column="${key}" ${active.has(key) ? 'checked' : ''} ${key === 'name' ? 'disabled' : ''}>
+            ${escapeHtml(column.label)}
+        </label>
+    `).join('');
+
+    list.querySelectorAll('input[data-column]').forEach(input => {
+        input.addEventListener('change', () => setColumnVisible(input.dataset.column, input.checked));
+    });
+}
+
+function toggleSort(key) {
+    if (layout.sortKey === key) {
+        layout.sortDirection = layout.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        layout.sortKey = key;
+        layout.sortDirection = COLUMNS[key].type === 'text' ? 'asc' : 'desc';
+    }
+    saveLayout();
+    renderHeader();
+    refreshResultsTable();
+}
+
+function moveColumn(fromKey, toKey) {
+    const fromIndex = layout.columns.findIndex(column => column.key === fromKey);
+    const toIndex = layout.columns.findIndex(column => column.key === toKey);
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+    const [column] = layout.columns.splice(fromIndex, 1);
+    layout.columns.splice(toIndex, 0, column);
+    saveLayout();
+    renderTable();
+}
+
+function setColumnVisible(key, visible) {
+    const index = layout.columns.findIndex(column => column.key === key);
+    if (visible && index === -1) {
+        layout.columns.push({ key, width: COLUMNS[key].width });
+    } else if (!visible && index !== -1 && key !== 'name') {
+        layout.columns.splice(index, 1);
+        if (layout.sortKey === key) layout.sortKey = null;
+    } else {
+        return;
+    }
+    saveLayout();
+    renderTable();
+}
+
+function startResize(event, key) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const column = layout.columns.find(entry => entry.key === key);
+    if (!column) return;
+
+    const startX = event.clientX;
+    const startWidth = column.width;
+
+    const onMove = moveEvent => {
+        column.width = clampWidth(startWidth + moveEvent.clientX - startX, startWidth);
+        applyColumnWidths();
+    };
+    const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        if (column.width !== startWidth) saveLayout();
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+}
+
+function renderTable() {
+    renderHeader();
+    renderColumnMenu();
+    refreshResultsTable();
+}
+
+function applyView() {
+    document.querySelector('.tree-panel')?.classList.toggle('table-view-active', currentView === 'table');
+    document.getElementById('view-tree-btn')?.classList.toggle('active', currentView === 'tree');
+    document.getElementById('view-table-btn')?.classList.toggle('active', currentView === 'table');
+
+    if (currentView === 'table') {
+        renderTable();
+    } else {
+        document.getElementById('results-table-body')?._cleanup?.();
+    }
+}
+
+export function loadResultsTableLayout() {
+    if (!layoutLoaded) {
+        layoutLoaded = getUserSetting('RESULTS_TABLE_LAYOUT').then(stored => {
+            layout = normalizeLayout(stored);
+            currentView = layout.view;
+            applyView();
+        });
+    }
+    return layoutLoaded;
+}
+
+export function getResultsView() {
+    return currentView;
+}
+
+export function setResultsView(view) {
+    const nextView = view === 'table' ? 'table' : 'tree';
+    if (nextView === currentView) return;
+
+    currentView = nextView;
+    saveLayout();
+    applyView();
+}
+
+export function updateResultsTable(results) {
+    allResults = results || [];
+    corpSizes = new Map();
+    allianceSizes = new Map();
+
+    allResults.forEach(result => {
+        if (!result.character_id) return;
+        corpSizes.set(result.corporation_id, (corpSizes.get(result.corporation_id) || 0) + 1);
+        if (result.alliance_id) {
+            allianceSizes.set(result.alliance_id, (allianceSizes.get(result.alliance_id) || 0) + 1);
+        }
+    });
+
+    refreshResultsTable();
+}
+
+export function refreshResultsTable() {
+    if (currentView !== 'table') return;
+
+    buildRows();
+    renderBody();
+
+    const count = document.getElementById('results-table-count');
+    if (count) {
+        count.textContent = `${rows.length} of ${allResults.length} row${allResults.length !== 1 ? 's' : ''}`;
+    }
+}
+
+export function moveTableSelection(delta) {
+    if (rows.length === 0) return false;
+
+    const current = rows.findIndex(row => row.key === selectedKey);
+    const next = current === -1 ?
+        (delta > 0 ? 0 : rows.length - 1) :
+        Math.min(rows.length - 1, Math.max(0, current + delta));
+    return selectRow(next);
+}
+
+export function revealTableRow(entityType, entityId) {
+    return selectRow(rows.findIndex(row => row.key === `${entityType}:${entityId}`));
+}
+
+export function getSelectedTableEntity() {
+    const row = rows.find(entry => entry.key === selectedKey);
+    if (!row) return null;
+    return { type: getResultType(row.result), id: getResultId(row.result), name: getResultName(row.result) };
+}
+
+export function initializeResultsTable() {
+    const menu = document.getElementById('results-table-columns');
+
+    document.getElementById('view-tree-btn')?.addEventListener('click', () => setResultsView('tree'));
+    document.getElementById('view-table-btn')?.addEventListener('click', () => setResultsView('table'));
+
+    document.getElementById('results-table-columns-btn')?.addEventListener('click', event => {
+        event.stopPropagation();
+        menu?.classList.toggle('open');
+    });
+
+    document.getElementById('results-table-columns-reset')?.addEventListener('click', () => {
+        const view = currentView;
+        layout = createDefaultLayout();
+        layout.view = view;
+        saveLayout();
+        renderTable();
+    });
+
+    document.addEventListener('click', event => {
+        if (menu && !menu.contains(event.target)) {
+            menu.classList.remove('open');
+        }
+    });
+
+    loadResultsTableLayout();
+}
@@ -0,0 +1,252 @@
+/*
+    EVE Target Intel - Scan Session History
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { saveScanSession, getScanSessions, getScanSession, getPreviousScanSession, deleteScanSession } from './database.js';
+import { escapeHtml, sanitizeId } from './xss-protection.js';
+import { domCache } from './dom-cache.js';
+
+let sessionElements = null;
+let onLoadSessionCallback = null;
+let activeSessionId = null;
+
+export function initializeScanSessions(onLoadSession) {
+    onLoadSessionCallback = onLoadSession;
+    sessionElements = {
+        section: domCache.get('sessions-section'),
+        toggleBtn: domCache.get('sessions-toggle'),
+        toggleText: domCache.query('#sessions-toggle .toggle-text'),
+        summary: domCache.get('scan-diff-summary'),
+        diff: domCache.get('scan-diff'),
+        list: domCache.get('session-list'),
+        systemInput: domCache.get('scan-system')
+    };
+
+    sessionElements.toggleBtn?.addEventListener('click', toggleSessions);
+    sessionElements.list?.addEventListener('click', handleSessionListClick);
+
+    renderSessionList();
+}
+
+export function resolveScanSystem(details) {
+    const typed = sessionElements?.systemInput?.value.trim();
+    if (typed) return typed;
+
+    const systemCounts = new Map();
+    details?.forEach(info => {
+        if (info.system) {
+            systemCounts.set(info.system, (systemCounts.get(info.system) || 0) + 1);
+        }
+    });
+
+    let bestSystem = '';
+    let bestCount = 0;
+    systemCounts.forEach((count, system) => {
+        if (count > bestCount) {
+            bestSystem = system;
+            bestCount = count;
+        }
+    });
+    return bestSystem;
+}
+
+function toMembers(results) {
+    return results
+        .filter(result => result.character_id)
+        .map(result => ({
+            character_id: result.character_id,
+            character_name: result.character_name,
+            corporation_id: result.corporation_id,
+            corporation_name: result.corporation_name,
+            alliance_id: result.alliance_id || null,
+            alliance_name: result.alliance_name || null
+        }));
+}
+
+export function diffScanSessions(previousResults, currentResults) {
+    const previous = new Map(toMembers(previousResults).map(m => [m.character_id, m]));
+    const current = new Map(toMembers(currentResults).map(m => [m.character_id, m]));
+
+    const joined = [];
+    const left = [];
+    const changed = [];
+
+    current.forEach((member, id) => {
+        const before = previous.get(id);
+        if (!before) {
+            joined.push(member);
+        } else if (before.corporation_id !== member.corporation_id || before.alliance_id !== member.alliance_id) {
+            changed.push({ before, after: member });
+        }
+    });
+
+    previous.forEach((member, id) => {
+        if (!current.has(id)) {
+            left.push(member);
+        }
+    });
+
+    const byName = (a, b) => a.character_name.localeCompare(b.character_name);
+    joined.sort(byName);
+    left.sort(byName);
+    changed.sort((a, b) => byName(a.after, b.after));
+
+    return { joined, left, changed };
+}
+
+export async function recordScanSession(results, { system = '', format = 'names' } = {}) {
+    const timestamp = Date.now();
+    const label = system || 'Unknown system';
+
+    const session = await saveScanSession({
+        name: `${label} @ ${formatSessionTime(timestamp)}`,
+        system,
+        format,
+        timestamp,
+        character_count: results.filter(r => r.character_id).length,
+        results
+    });
+
+    if (!session) return null;
+
+    activeSessionId = session.session_id;
+    await showSessionDiff(session);
+    await renderSessionList();
+    return session;
+}
+
+async function showSessionDiff(session) {
+    const previous = await getPreviousScanSession(session.system, session.timestamp);
+
+    if (!previous) {
+        renderDiff(session, null, null);
+        return null;
+    }
+
+    const diff = diffScanSessions(previous.results || [], session.results || []);
+    renderDiff(session, previous, diff);
+    return diff;
+}
+
+function formatSessionTime(timestamp) {
+    const date = new Date(timestamp);
+    const hh = date.getUTCHours().toString().padStart(2, '0');
+    const mm = date.getUTCMinutes().toString().padStart(2, '0');
+    return `${date.toISOString().slice(0, 10)} ${hh}:${mm} ET`;
+}
+
+function renderMemberLine(member) {
+    const affiliation = [member.corporation_name, member.alliance_name].filter(Boolean).map(escapeHtml).join(' / ');
+    return `
+        <li class="scan-diff-member zkill-card-clickable" data-entity-type="character" data-entity-id="${sanitizeId(member.character_id)}" data-entity-name="${escapeHtml(member.character_name)}">
+            <span class="scan-diff-name">${escapeHtml(member.character_name)}</span>
+            <span class="scan-diff-affiliation">${affiliation}</span>
+        </li>
+    `;
+}
+
+function renderChangedLine({ before, after }) {
+    const from = [before.corporation_name, before.alliance_name].filter(Boolean).map(escapeHtml).join(' / ');
+    const to = [after.corporation_name, after.alliance_name].filter(Boolean).map(escapeHtml).join(' / ');
+    return `
+        <li class="scan-diff-member zkill-card-clickable" data-entity-type="character" data-entity-id="${sanitizeId(after.character_id)}" data-entity-name="${escapeHtml(after.character_name)}">
+            <span class="scan-diff-name">${escapeHtml(after.character_name)}</span>
+            <span class="scan-diff-affiliation">${from} → ${to}</span>
+        </li>
+    `;
+}
+
+function renderDiff(session, previous, diff) {
+    if (!sessionElements?.diff || !sessionElements?.summary) return;
+
+    if (!previous) {
+        sessionElements.summary.textContent = session.system ?
+            `First scan of ${session.system}` : 'No previous scan to compare';
+        sessionElements.diff.innerHTML = '';
+        return;
+    }
+
+    const { joined, left, changed } = diff;
+    sessionElements.summary.textContent =
+        `+${joined.length} joined · −${left.length} left · ${changed.length} changed since ${formatSessionTime(previous.timestamp)}`;
+
+    const column = (title, className, items, renderItem) => `
+        <div class="scan-diff-column ${className}">
+            <div class="scan-diff-title">${title} <span class="scan-diff-count">${items.length}</span></div>
+            <ul class="scan-diff-list">
+                ${items.length > 0 ? items.map(renderItem).join('') : '<li class="scan-diff-empty">None</li>'}
+            </ul>
+        </div>
+    `;
+
+    sessionElements.diff.innerHTML = `
+        ${column('Joined', 'joined', joined, renderMemberLine)}
+        ${column('Left', 'left', left, renderMemberLine)}
+        ${column('Corp / Alliance Changed', 'changed', changed, renderChangedLine)}
+    `;
+}
+
+async function renderSessionList() {
+    if (!sessionElements?.list) return;
+
+    const sessions = await getScanSessions();
+
+    if (sessions.length === 0) {
+        sessionElements.list.innerHTML = '<div class="session-empty">No saved scans yet</div>';
+        return;
+    }
+
+    sessionElements.list.innerHTML = sessions.map(session => `
+        <div class="session-item ${session.session_id === activeSessionId ? 'active' : ''}">
+            <div class="session-info">
+                <span class="session-name">${escapeHtml(session.name)}</span>
+                <span class="session-meta">${session.character_count} pilot${session.character_count !== 1 ? 's' : ''} · ${escapeHtml(session.format || 'names')}</span>
+            </div>
+            <div class="session-actions">
+                <button class="tree-btn" data-session-action="load" data-session-id="${sanitizeId(session.session_id)}">Load</button>
+                <button class="tree-btn" data-session-action="delete" data-session-id="${sanitizeId(session.session_id)}">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function handleSessionListClick(event) {
+    const button = event.target.closest('[data-session-action]');
+    if (!button) return;
+
+    const sessionId = parseInt(button.dataset.sessionId);
+    const action = button.dataset.sessionAction;
+
+    if (action === 'load') {
+        const session = await getScanSession(sessionId);
+        if (!session) return;
+
+        activeSessionId = session.session_id;
+        if (sessionElements.systemInput) {
+            sessionElements.systemInput.value = session.system || '';
+        }
+        if (onLoadSessionCallback) {
+            onLoadSessionCallback(session.results || []);
+        }
+        await showSessionDiff(session);
+        await renderSessionList();
+    } else if (action === 'delete') {
+        await deleteScanSession(sessionId);
+        if (activeSessionId === sessionId) {
+            activeSessionId = null;
+        }
+        await renderSessionList();
+    }
+}
+
+function toggleSessions() {
+    if (!sessionElements?.section) return;
+
+    const collapsed = sessionElements.section.classList.toggle('collapsed');
+    if (sessionElements.toggleText) {
+        sessionElements.toggleText.textContent = collapsed ? 'Show' : 'Hide';
+    }
+}
@@ -7,6 +7,12 @@
 
 import { getAllUserSettings, setUserSetting, resetUserSettings, getDefaultSettings, getSettingConstraints } from './user-settings.js';
 import { showSuccess, showError } from './ui.js';
+import { getMyEntity, setMyEntity, refreshWars } from './war-tracker.js';
+import { importStandings, clearAllStandings, getStandingsCount, loadStandings } from './standings.js';
+import {
+    THREAT_MODEL_FIELDS, loadThreatProfiles, getThreatProfiles, getActiveThreatProfileName,
+    getThreatProfileValues, isBuiltInThreatProfile, saveThreatProfile, deleteThreatProfile
+} from './threat-profiles.js';
 
 let settingsModal = null;
 let settingsForm = null;
@@ -37,6 +43,14 @@ export function initializeSettingsUI() {
     if (saveButton) saveButton.addEventListener('click', saveSettings);
     if (resetButton) resetButton.addEventListener('click', resetSettings);
 
+    document.getElementById('standings-import-button')?.addEventListener('click', handleStandingsImport);
+    document.getElementById('standings-clear-button')?.addEventListener('click', handleStandingsClear);
+
+    renderThreatModelFields();
+    document.getElementById('threat-profile-select')?.addEventListener('change', (e) => selectThreatProfile(e.target.value));
+    document.getElementById('threat-profile-apply')?.addEventListener('click', handleThreatProfileSave);
+    document.getElementById('threat-profile-delete')?.addEventListener('click', handleThreatProfileDelete);
+
     settingsModal.addEventListener('click', (e) => {
         if (e.target === settingsModal) {
             closeSettingsModal();
@@ -53,7 +67,11 @@ export function initializeSettingsUI() {
         'setting-max-killmails',
         'setting-min-killmails',
         'setting-target-days',
-        'setting-max-pages'
+        'setting-max-pages',
+        'setting-my-entity',
+        'setting-standings-import',
+        'threat-profile-name',
+        ...THREAT_MODEL_FIELDS.map(field => getThreatFieldId(field.path))
     ];
     inputs.forEach(id => {
         const input = document.getElementById(id);
@@ -77,6 +95,15 @@ async function openSettingsModal() {
         document.getElementById('setting-target-days').value = currentSettings.ZKILL_TARGET_DAYS;
         document.getElementById('setting-max-pages').value = currentSettings.ZKILL_MAX_PAGES;
 
+        const myEntity = await getMyEntity();
+        document.getElementById('setting-my-entity').value = myEntity ? myEntity.name : '';
+
+        await loadStandings();
+        updateStandingsCount();
+
+        await loadThreatProfiles();
+        populateThreatProfiles(getActiveThreatProfileName());
+
         updateConstraintLabels(constraints);
         updateDefaultLabels(defaults);
 
@@ -117,6 +144,24 @@ async function saveSettings() {
         }
     }
 
+    const myEntityName = document.getElementById('setting-my-entity').value.trim();
+    const currentEntity = await getMyEntity();
+    if (myEntityName.toLowerCase() !== (currentEntity?.name || '').toLowerCase()) {
+        try {
+            const result = await setMyEntity(myEntityName);
+            if (!result.success) {
+                showFieldError('setting-my-entity', result.error);
+                hasErrors = true;
+            } else {
+                refreshWars({ force: true });
+            }
+        } catch (error) {
+            console.error('Error resolving corporation/alliance:', error);
+            showFieldError('setting-my-entity', 'Failed to look up name');
+            hasErrors = true;
+        }
+    }
+
     if (hasErrors) {
         return;
     }
@@ -194,6 +239,164 @@ async function resetSettings() {
     }
 }
 
+function updateStandingsCount() {
+    const elem = document.getElementById('standings-count');
+    if (elem) {
+        const count = getStandingsCount();
+        elem.textContent = `(${count} contact${count !== 1 ? 's' : ''})`;
+    }
+}
+
+async function handleStandingsImport() {
+    const textarea = document.getElementById('setting-standings-import');
+    clearFieldError('setting-standings-import');
+
+    try {
+        const result = await importStandings(textarea.value);
+        if (!result.success) {
+            showFieldError('setting-standings-import', result.error);
+            return;
+        }
+
+        textarea.value = '';
+        updateStandingsCount();
+
+        if (result.unresolved.length > 0) {
+            showFieldError('setting-standings-import', `Could not resolve: ${result.unresolved.slice(0, 5).join(', ')}${result.unresolved.length > 5 ? '…' : ''}`);
+        }
+        showSuccess(`Imported ${result.imported} standing${result.imported !== 1 ? 's' : ''}`);
+    } catch (error) {
+        console.error('Error importing standings:', error);
+        showFieldError('setting-standings-import', 'Failed to import standings');
+    }
+}
+
+async function handleStandingsClear() {
+    if (!confirm('Remove all saved standings?')) {
+        return;
+    }
+
+    try {
+        await clearAllStandings();
+        updateStandingsCount();
+        showSuccess('Standings cleared');
+    } catch (error) {
+        console.error('Error clearing standings:', error);
+        showError('Failed to clear standings');
+    }
+}
+
+function getThreatFieldId(path) {
+    return `threat-field-${path.toLowerCase().replace(/[._]/g, '-')}`;
+}
+
+function renderThreatModelFields() {
+    const container = document.getElementById('threat-model-fields');
+    if (!container) return;
+
+    const groups = new Map();
+    THREAT_MODEL_FIELDS.forEach(field => {
+        if (!groups.has(field.group)) groups.set(field.group, []);
+        groups.get(field.group).push(field);
+    });
+
+    container.innerHTML = Array.from(groups.entries()).map(([group, fields]) => `
+        <div class="threat-model-group">
+            <div class="threat-model-group-title">${group}</div>
+            <div class="threat-model-grid">
+                ${fields.map(field => `
+                <div class="setting-item threat-model-field">
+                    <label class="setting-label" for="${getThreatFieldId(field.path)}">
+                        <span>${field.label}</span>
+                    </label>
+                    <input type="number" id="${getThreatFieldId(field.path)}" class="setting-input" min="${field.min}" max="${field.max}" step="${field.step}">
+                </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function populateThreatProfiles(selectedName) {
+    const select = document.getElementById('threat-profile-select');
+    if (!select) return;
+
+    const activeName = getActiveThreatProfileName();
+    select.innerHTML = '';
+    getThreatProfiles().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.builtIn ? `${profile.name} (built-in)` : profile.name;
+        select.appendChild(option);
+    });
+
+    const activeLabel = document.getElementById('threat-profile-active');
+    if (activeLabel) activeLabel.textContent = `(active: ${activeName})`;
+
+    select.value = selectedName;
+    selectThreatProfile(selectedName);
+}
+
+function selectThreatProfile(name) {
+    const values = getThreatProfileValues(name);
+    THREAT_MODEL_FIELDS.forEach(field => {
+        const input = document.getElementById(getThreatFieldId(field.path));
+        if (input) input.value = values[field.path];
+        clearFieldError(getThreatFieldId(field.path));
+    });
+
+    document.getElementById('threat-profile-name').value = name;
+    document.getElementById('threat-profile-delete').disabled = isBuiltInThreatProfile(name);
+    clearFieldError('threat-profile-name');
+}
+
+async function handleThreatProfileSave() {
+    const name = document.getElementById('threat-profile-name').value.trim();
+    clearFieldError('threat-profile-name');
+
+    const values = {};
+    THREAT_MODEL_FIELDS.forEach(field => {
+        clearFieldError(getThreatFieldId(field.path));
+        values[field.path] = document.getElementById(getThreatFieldId(field.path)).value;
+    });
+
+    try {
+        const result = await saveThreatProfile(name, values);
+        if (!result.success) {
+            Object.entries(result.fieldErrors || {}).forEach(([path, error]) => showFieldError(getThreatFieldId(path), error));
+            showFieldError('threat-profile-name', result.error);
+            return;
+        }
+
+        populateThreatProfiles(getActiveThreatProfileName());
+        showSuccess(`Threat profile "${getActiveThreatProfileName()}" applied`);
+    } catch (error) {
+        console.error('Error saving threat profile:', error);
+        showFieldError('threat-profile-name', 'Failed to save profile');
+    }
+}
+
+async function handleThreatProfileDelete() {
+    const name = document.getElementById('threat-profile-select').value;
+    if (!confirm(`Delete threat profile "${name}"?`)) {
+        return;
+    }
+
+    try {
+        const result = await deleteThreatProfile(name);
+        if (!result.success) {
+            showFieldError('threat-profile-name', result.error);
+            return;
+        }
+
+        populateThreatProfiles(getActiveThreatProfileName());
+        showSuccess('Threat profile deleted');
+    } catch (error) {
+        console.error('Error deleting threat profile:', error);
+        showError('Failed to delete threat profile');
+    }
+}
+
 function updateConstraintLabels(constraints) {
     const updateLabel = (id, constraint) => {
         const elem = document.getElementById(id);
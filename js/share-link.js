@@ -0,0 +1,140 @@
+/*
+    EVE Target Intel - Shareable Scan Links
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { SHARE_LINK_CONFIG } from './config.js';
+import { sanitizeId } from './xss-protection.js';
+import { normalizeFilterState } from './filters.js';
+
+const B62_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const FILTER_KEYS = {
+    w: 'warEligibleOnly',
+    x: 'atWarOnly',
+    s: 'standing',
+    n: 'nameSearch',
+    c: 'minCorpSize',
+    C: 'maxCorpSize',
+    l: 'minAllianceSize',
+    L: 'maxAllianceSize',
+    p: 'includeCorporations',
+    P: 'excludeCorporations',
+    q: 'includeAlliances',
+    r: 'excludeAlliances',
+    Q: 'query'
+};
+
+function b62(n) {
+    if (n === 0) return '0';
+    let result = '';
+    while (n > 0) {
+        result = B62_CHARS[n % 62] + result;
+        n = Math.floor(n / 62);
+    }
+    return result;
+}
+
+function unb62(str) {
+    let result = 0;
+    for (const char of str) {
+        const value = B62_CHARS.indexOf(char);
+        if (value === -1) return NaN;
+        result = result * 62 + value;
+    }
+    return result;
+}
+
+function toBase64Url(str) {
+    const bytes = new TextEncoder().encode(str);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+    const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+function encodeIds(ids) {
+    return [...new Set(ids)].map(b62).join('.');
+}
+
+function decodeIds(encoded) {
+    return encoded.split('.').map(unb62).map(sanitizeId).filter(Boolean);
+}
+
+function encodeFilters(filters) {
+    const compact = {};
+    Object.entries(FILTER_KEYS).forEach(([key, name]) => {
+        if (filters[name] !== undefined) compact[key] = filters[name];
+    });
+    return Object.keys(compact).length > 0 ? toBase64Url(JSON.stringify(compact)) : '';
+}
+
+function decodeFilters(encoded) {
+    const compact = JSON.parse(fromBase64Url(encoded));
+    const filters = {};
+
+    Object.entries(FILTER_KEYS).forEach(([key, name]) => {
+        filters[name] = compact?.[key];
+    });
+
+    return normalizeFilterState(filters);
+}
+
+export function encodeScanLink(results, filters = {}) {
+    const characterIds = [];
+    const corporationIds = [];
+    const allianceIds = [];
+
+    results.forEach(result => {
+        if (result.character_id) characterIds.push(result.character_id);
+        else if (result.entity_type === 'corporation') corporationIds.push(result.corporation_id);
+        else if (result.entity_type === 'alliance') allianceIds.push(result.alliance_id);
+    });
+
+    const parts = [];
+    if (characterIds.length) parts.push(`c:${encodeIds(characterIds)}`);
+    if (corporationIds.length) parts.push(`o:${encodeIds(corporationIds)}`);
+    if (allianceIds.length) parts.push(`a:${encodeIds(allianceIds)}`);
+
+    const encodedFilters = encodeFilters(filters);
+    if (encodedFilters) parts.push(`f:${encodedFilters}`);
+
+    return SHARE_LINK_CONFIG.HASH_PREFIX + parts.join('~');
+}
+
+export function decodeScanLink(hash) {
+    const value = (hash || '').replace(/^#/, '');
+    if (!value.startsWith(SHARE_LINK_CONFIG.HASH_PREFIX)) return null;
+
+    const scan = { ids: [], filters: {} };
+
+    try {
+        value.slice(SHARE_LINK_CONFIG.HASH_PREFIX.length).split('~').forEach(part => {
+            const separator = part.indexOf(':');
+            const key = part.slice(0, separator);
+            const payload = part.slice(separator + 1);
+
+            if (key === 'c' || key === 'o' || key === 'a') {
+                scan.ids.push(...decodeIds(payload));
+            } else if (key === 'f') {
+                scan.filters = decodeFilters(payload);
+            }
+        });
+    } catch (error) {
+        console.warn('Invalid shared scan link:', error);
+        return null;
+    }
+
+    scan.ids = [...new Set(scan.ids)].slice(0, SHARE_LINK_CONFIG.MAX_ENTITIES);
+    return scan.ids.length > 0 ? scan : null;
+}
+
+export function buildShareUrl(results, filters) {
+    return `${window.location.href.split('#')[0]}#${encodeScanLink(results, filters)}`;
+}
@@ -0,0 +1,244 @@
+/*
+    EVE Target Intel - Standings (Blue/Red Lists)
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { STANDINGS_CONFIG } from './config.js';
+import { esiClient } from './esi-client.js';
+import { getEntityIds } from './esi-api.js';
+import { getAllStandings, setStandingsBatch, deleteStanding, clearStandings } from './database.js';
+
+const ENTITY_TYPES = ['character', 'corporation', 'alliance'];
+
+let standingsCache = new Map();
+let loadPromise = null;
+const updateListeners = new Set();
+
+export function loadStandings() {
+    if (!loadPromise) {
+        loadPromise = getAllStandings().then(entries => {
+            standingsCache = new Map(entries.map(entry => [entry.entity_id, entry]));
+            return standingsCache;
+        });
+    }
+    return loadPromise;
+}
+
+function notifyListeners() {
+    updateListeners.forEach(listener => listener());
+}
+
+export function onStandingsUpdated(listener) {
+    updateListeners.add(listener);
+}
+
+export function getStandingsCount() {
+    return standingsCache.size;
+}
+
+export function getStanding(entityId) {
+    const entry = standingsCache.get(parseInt(entityId));
+    return entry ? entry.standing : null;
+}
+
+export async function getNegativeStandingIds(entityType) {
+    await loadStandings();
+    return Array.from(standingsCache.values())
+        .filter(entry => entry.entity_type === entityType && entry.standing < 0)
+        .map(entry => entry.entity_id);
+}
+
+export function getEffectiveStanding({ character_id, corporation_id, alliance_id }) {
+    for (const id of [character_id, corporation_id, alliance_id]) {
+        if (!id) continue;
+        const standing = getStanding(id);
+        if (standing !== null) return standing;
+    }
+    return null;
+}
+
+export function getStandingClass(standing) {
+    if (standing === null || standing === undefined || standing === 0) return '';
+    if (standing <= -5) return 'standing-terrible';
+    if (standing < 0) return 'standing-bad';
+    if (standing >= 5) return 'standing-excellent';
+    return 'standing-good';
+}
+
+export function formatStanding(standing) {
+    if (standing === null || standing === undefined) return '0';
+    const rounded = Math.round(standing * 10) / 10;
+    return rounded > 0 ? `+${rounded}` : `${rounded}`;
+}
+
+function clampStanding(value) {
+    const standing = parseFloat(value);
+    if (isNaN(standing) || standing < STANDINGS_CONFIG.MIN || standing > STANDINGS_CONFIG.MAX) return null;
+    return standing;
+}
+
+export async function setEntityStanding(entityType, entityId, entityName, value) {
+    const id = parseInt(entityId);
+    const standing = clampStanding(value);
+
+    if (!ENTITY_TYPES.includes(entityType) || !id) {
+        return { success: false, error: 'Unknown entity' };
+    }
+    if (standing === null) {
+        return { success: false, error: `Standing must be between ${STANDINGS_CONFIG.MIN} and ${STANDINGS_CONFIG.MAX}` };
+    }
+
+    await loadStandings();
+
+    if (standing === 0) {
+        await deleteStanding(id);
+        standingsCache.delete(id);
+    } else {
+        const entry = { entity_id: id, entity_type: entityType, name: entityName || '', standing };
+        await setStandingsBatch([entry]);
+        standingsCache.set(id, entry);
+    }
+
+    notifyListeners();
+    return { success: true };
+}
+
+export async function clearAllStandings() {
+    await clearStandings();
+    standingsCache = new Map();
+    loadPromise = Promise.resolve(standingsCache);
+    notifyListeners();
+}
+
+function parseContactsJson(text) {
+    try {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) return null;
+        return data
+            .filter(contact => contact && contact.contact_id && ENTITY_TYPES.includes(contact.contact_type))
+            .map(contact => ({ id: contact.contact_id, type: contact.contact_type, name: null, standing: clampStanding(contact.standing) }))
+            .filter(contact => contact.standing !== null);
+    } catch (e) {
+        return null;
+    }
+}
+
+function parseContactLine(line) {
+    let columns = line.split(/[\t,;]/).map(col => col.trim().replace(/^"|"$/g, '')).filter(Boolean);
+
+    if (columns.length === 1) {
+        const match = line.trim().match(/^(.+?)\s+([+-]?\d+(?:\.\d+)?)$/);
+        if (!match) return null;
+        columns = [match[1], match[2]];
+    }
+
+    const standingCol = [...columns].reverse().find(col => /^[+-]?\d+(\.\d+)?$/.test(col) && clampStanding(col) !== null);
+    if (standingCol === undefined) return null;
+
+    const entityCol = columns.find(col => col !== standingCol && !ENTITY_TYPES.includes(col.toLowerCase()));
+    if (!entityCol) return null;
+
+    const typeCol = columns.find(col => ENTITY_TYPES.includes(col.toLowerCase()));
+    const isId = /^\d+$/.test(entityCol) && parseInt(entityCol) > STANDINGS_CONFIG.MAX;
+
+    return {
+        id: isId ? parseInt(entityCol) : null,
+        name: isId ? null : entityCol,
+        type: typeCol ? typeCol.toLowerCase() : null,
+        standing: clampStanding(standingCol)
+    };
+}
+
+async function resolveContacts(contacts) {
+    const resolved = [];
+    const unresolved = [];
+
+    const byId = contacts.filter(c => c.id);
+    for (let i = 0; i < byId.length; i += STANDINGS_CONFIG.NAME_BATCH_SIZE) {
+        const batch = byId.slice(i, i + STANDINGS_CONFIG.NAME_BATCH_SIZE);
+        let names = [];
+        try {
+            names = await esiClient.post('/universe/names/', batch.map(c => c.id)) || [];
+        } catch (e) {
+            console.warn('Failed to resolve contact ids:', e);
+        }
+        const lookup = new Map(names.map(entry => [entry.id, entry]));
+        batch.forEach(contact => {
+            const entry = lookup.get(contact.id);
+            const type = contact.type || entry?.category;
+            if (ENTITY_TYPES.includes(type)) {
+                resolved.push({ entity_id: contact.id, entity_type: type, name: entry?.name || '', standing: contact.standing });
+            } else {
+                unresolved.push(String(contact.id));
+            }
+        });
+    }
+
+    const byName = contacts.filter(c => !c.id);
+    if (byName.length > 0) {
+        const { characters, corporations, alliances } = await getEntityIds(byName.map(c => c.name));
+        const lookup = new Map();
+        [[characters, 'character'], [corporations, 'corporation'], [alliances, 'alliance']].forEach(([list, type]) => {
+            list.forEach(entity => {
+                const key = entity.name.toLowerCase();
+                if (!lookup.has(key)) lookup.set(key, []);
+                lookup.get(key).push({ id: entity.id, name: entity.name, type });
+            });
+        });
+
+        byName.forEach(contact => {
+            const matches = lookup.get(contact.name.toLowerCase()) || [];
+            const match = matches.find(m => !contact.type || m.type === contact.type);
+            if (match) {
+                resolved.push({ entity_id: match.id, entity_type: match.type, name: match.name, standing: contact.standing });
+            } else {
+                unresolved.push(contact.name);
+            }
+        });
+    }
+
+    return { resolved, unresolved };
+}
+
+export async function importStandings(text) {
+    const contacts = parseContactsJson(text.trim()) ||
+        text.split('\n')
+            .map(line => line.replace(/\r$/, ''))
+            .filter(line => line.trim())
+            .map(parseContactLine)
+            .filter(Boolean);
+
+    if (contacts.length === 0) {
+        return { success: false, error: 'No contacts with standings found', imported: 0, unresolved: [] };
+    }
+
+    const { resolved, unresolved } = await resolveContacts(contacts);
+    const toStore = resolved.filter(entry => entry.standing !== 0);
+    const toDelete = resolved.filter(entry => entry.standing === 0);
+
+    await loadStandings();
+    await setStandingsBatch(toStore);
+    for (const entry of toDelete) {
+        await deleteStanding(entry.entity_id);
+        standingsCache.delete(entry.entity_id);
+    }
+    toStore.forEach(entry => standingsCache.set(entry.entity_id, entry));
+
+    notifyListeners();
+    return { success: true, imported: resolved.length, unresolved };
+}
+
+export function applyStandings(results) {
+    results.forEach(result => {
+        result.standing = getEffectiveStanding(result);
+    });
+    return results;
+}
+
+export function compareByStanding(a, b) {
+    const rankA = a.standing < 0 ? a.standing : 0;
+    const rankB = b.standing < 0 ? b.standing : 0;
+    return rankA - rankB;
+}
@@ -5,11 +5,24 @@
     Licensed under AGPL License.
 */
 
-import { THREAT_ASSESSMENT } from './config.js';
+import { THREAT_ASSESSMENT, THREAT_EXPLANATION_CONFIG } from './config.js';
+import { SHIP_TYPE_TO_GROUP } from './eve-ship-data.js';
+
+const SUBJECT_ATTACKER_FIELDS = {
+    characterID: 'character_id',
+    corporationID: 'corporation_id',
+    allianceID: 'alliance_id'
+};
 
 export class ThreatAssessment {
     constructor() {
         this.config = THREAT_ASSESSMENT;
+        this.profileName = null;
+    }
+
+    setModel(config, profileName = null) {
+        this.config = config;
+        this.profileName = profileName;
     }
 
     assessThreat(zkillStats, killmailData) {
@@ -33,16 +46,21 @@ export class ThreatAssessment {
             soloScore * this.config.RISK_WEIGHTS.SOLO_RATIO
         );
 
+        const adjustments = [];
+
         if (zkillStats.combatStyle?.fleetRole === 'Blobber') {
-            totalScore = Math.max(0, totalScore - 15);
+            adjustments.push({ label: 'Blobber fleet role penalty', value: -THREAT_EXPLANATION_CONFIG.BLOBBER_PENALTY });
+            totalScore = Math.max(0, totalScore - THREAT_EXPLANATION_CONFIG.BLOBBER_PENALTY);
         }
         if (zkillStats.combatStyle?.fleetRole === 'Fleet Fighter') {
-            totalScore = Math.max(0, totalScore - 10);
+            adjustments.push({ label: 'Fleet fighter role penalty', value: -THREAT_EXPLANATION_CONFIG.FLEET_FIGHTER_PENALTY });
+            totalScore = Math.max(0, totalScore - THREAT_EXPLANATION_CONFIG.FLEET_FIGHTER_PENALTY);
         }
 
         // Bonus for active capital usage
         if (analysis?.capitalAnalysis?.isCapitalPilot) {
             const capBonus = this.config.RISK_SCORE?.CAPITAL_PILOT_BONUS || 10;
+            adjustments.push({ label: `Capital pilot (${analysis.capitalAnalysis.capitalKillCount} capital kills)`, value: capBonus });
             totalScore = totalScore + capBonus;
         }
 
@@ -58,12 +76,137 @@ export class ThreatAssessment {
                 security: securityScore,
                 solo: soloScore
             },
+            explanation: {
+                components: this.explainComponents(zkillStats, analysis, rawKillmails, now, {
+                    recency: recencyScore,
+                    frequency: frequencyScore,
+                    hvt: hvtScore,
+                    shipCapability: shipCapabilityScore,
+                    security: securityScore,
+                    solo: soloScore
+                }),
+                adjustments
+            },
             riskLevel: this.getRiskLevel(totalScore),
+            riskBand: this.getRiskBand(totalScore),
+            profile: this.profileName,
             tags,
             lastKillAge: this.getLastKillAge(rawKillmails, now)
         };
     }
 
+    explainComponents(zkillStats, analysis, killmails, now, scores) {
+        const weights = this.config.RISK_WEIGHTS;
+        const limit = THREAT_EXPLANATION_CONFIG.KILLMAIL_LIMIT;
+        const byTime = [...killmails].sort((a, b) => this.getKillTime(b) - this.getKillTime(a));
+
+        const component = (key, label, weight, summary, evidence = []) => ({
+            key,
+            label,
+            score: Math.round(scores[key]),
+            weight,
+            contribution: Math.round(scores[key] * weight * 10) / 10,
+            summary,
+            killmails: evidence.slice(0, limit).map(({ km, reason }) => this.toEvidence(km, reason))
+        });
+
+        const lastKillAge = this.getLastKillAge(killmails, now);
+        const recencySummary = lastKillAge.minutes === null ? 'No kills in the fetched sample' :
+            `Last kill ${this.formatAge(lastKillAge)} ago`;
+
+        const windowDays = this.config.FREQUENCY.FREQUENCY_WINDOW_DAYS;
+        const cutoffTime = now - windowDays * 24 * 60 * 60 * 1000;
+        const windowKills = byTime.filter(km => this.getKillTime(km) >= cutoffTime);
+        const frequencySummary = `${zkillStats.totalKills || 0} total kills, ${windowKills.length} in the last ${windowDays} days ` +
+            `(${(windowKills.length / windowDays).toFixed(1)}/day)`;
+
+        const hvt = analysis.hvtAnalysis;
+        const hvtThreshold = this.config.HVT.VALUE_THRESHOLD_HIGH;
+        const hvtKills = killmails
+            .filter(km => (km.zkbData?.totalValue || 0) >= hvtThreshold)
+            .sort((a, b) => (b.zkbData?.totalValue || 0) - (a.zkbData?.totalValue || 0));
+        const hvtSummary = hvt?.isHVTHunter ?
+            `HVT hunter: ${hvt.hvtCount} kills over ${this.formatIsk(hvtThreshold)} ISK (${hvt.hvtFrequency}%, ${hvt.confidence} confidence)` :
+            `Not flagged as an HVT hunter (${hvtKills.length} kills over ${this.formatIsk(hvtThreshold)} ISK)`;
+
+        const capabilityKills = this.findCapabilityKills(byTime, zkillStats.entityType, zkillStats.entityId);
+        const capabilityParts = [];
+        if (analysis.blopsAnalysis?.isBlopsUser) capabilityParts.push(`Black Ops (${analysis.blopsAnalysis.blopsCount} kills, ${analysis.blopsAnalysis.confidence})`);
+        if (analysis.cynoAnalysis?.isCynoPilot) capabilityParts.push(`Cyno (${analysis.cynoAnalysis.cynoShipCount} kills, ${analysis.cynoAnalysis.confidence})`);
+        if (analysis.capitalAnalysis?.isCapitalPilot) capabilityParts.push(`Capitals (${analysis.capitalAnalysis.capitalKillCount} kills)`);
+        const capabilitySummary = capabilityParts.length > 0 ? capabilityParts.join(', ') : 'No Black Ops, cyno or capital usage detected';
+
+        const securityBreakdown = zkillStats.securityPreference?.breakdown || [];
+        const securitySummary = securityBreakdown.length > 0 ?
+            securityBreakdown.filter(item => item.percentage > 0).map(item => `${item.space} ${item.percentage}%`).join(', ') :
+            'No space preference data';
+
+        const soloRatio = zkillStats.totalKills > 0 ? Math.round((zkillStats.soloKills / zkillStats.totalKills) * 100) : 0;
+        const soloKills = byTime.filter(km => (km.killmail?.attackers || []).filter(a => a.character_id).length === 1);
+        const soloSummary = `${soloRatio}% solo kills, gang ratio ${zkillStats.gangRatio || 0}, danger ratio ${zkillStats.dangerRatio || 0}`;
+
+        return [
+            component('recency', 'Recency', weights.RECENCY, recencySummary, byTime.map(km => ({ km }))),
+            component('frequency', 'Frequency', weights.FREQUENCY, frequencySummary, windowKills.map(km => ({ km }))),
+            component('hvt', 'HVT Hunting', weights.HVT_HUNTING, hvtSummary, hvtKills.map(km => ({ km }))),
+            component('shipCapability', 'Ship Capability', weights.SHIP_CAPABILITY, capabilitySummary, capabilityKills),
+            component('security', 'Space Preference', weights.SECURITY_PREFERENCE, securitySummary),
+            component('solo', 'Solo Ratio', weights.SOLO_RATIO, soloSummary, soloKills.map(km => ({ km })))
+        ];
+    }
+
+    findCapabilityKills(killmails, entityType, entityId) {
+        const subjectField = SUBJECT_ATTACKER_FIELDS[entityType];
+        if (!subjectField || !entityId) return [];
+
+        const subjectId = parseInt(entityId);
+        const evidence = [];
+
+        killmails.forEach(km => {
+            const attacker = (km.killmail?.attackers || []).find(a => a[subjectField] === subjectId);
+            const shipId = attacker?.ship_type_id;
+            if (!shipId) return;
+
+            const groupId = SHIP_TYPE_TO_GROUP[shipId];
+            if (this.config.BLOPS.SHIP_IDS.includes(shipId) || groupId === this.config.BLOPS.GROUP_ID) {
+                evidence.push({ km, reason: 'Black Ops' });
+            } else if (this.config.CYNO.SHIP_IDS.includes(shipId) || groupId === this.config.CYNO.FORCE_RECON_GROUP_ID) {
+                evidence.push({ km, reason: 'Cyno ship' });
+            } else if (groupId && this.config.CAPITAL.GROUP_IDS.includes(groupId)) {
+                evidence.push({ km, reason: 'Capital' });
+            }
+        });
+
+        return evidence;
+    }
+
+    toEvidence(km, reason = null) {
+        return {
+            killmailId: km.killmailId,
+            time: km.killmail?.killmail_time || null,
+            value: km.zkbData?.totalValue || 0,
+            victimShipTypeId: km.killmail?.victim?.ship_type_id || null,
+            reason
+        };
+    }
+
+    getKillTime(km) {
+        const time = new Date(km.killmail?.killmail_time).getTime();
+        return isNaN(time) ? 0 : time;
+    }
+
+    formatAge({ minutes, hours, days }) {
+        if (days > 0) return `${days}d`;
+        if (hours > 0) return `${hours}h`;
+        return `${minutes}m`;
+    }
+
+    formatIsk(value) {
+        if (value >= 1e9) return `${Math.round(value / 1e8) / 10}B`;
+        if (value >= 1e6) return `${Math.round(value / 1e5) / 10}M`;
+        return `${Math.round(value)}`;
+    }
+
     calculateRecencyScore(killmails, now) {
         if (!killmails || killmails.length === 0) return 0;
 
@@ -357,6 +500,14 @@ export class ThreatAssessment {
         return `Minimal Threat (${score})`;
     }
 
+    getRiskBand(score) {
+        const cfg = this.config.SCORING.RISK_BANDS;
+
+        if (score >= cfg.HIGH_THRESHOLD) return 'high';
+        if (score >= cfg.MODERATE_THRESHOLD) return 'moderate';
+        return 'low';
+    }
+
 }
 
 const threatAssessmentEngine = new ThreatAssessment();
@@ -364,3 +515,7 @@ const threatAssessmentEngine = new ThreatAssessment();
 export function assessEntityThreat(zkillStats, killmailData) {
     return threatAssessmentEngine.assessThreat(zkillStats, killmailData);
 }
+
+export function setThreatModel(config, profileName = null) {
+    threatAssessmentEngine.setModel(config, profileName);
+}
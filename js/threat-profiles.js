@@ -0,0 +1,242 @@
+/*
+    EVE Target Intel - Threat Model Profiles
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { THREAT_ASSESSMENT, THREAT_PROFILE_PRESETS } from './config.js';
+import { getUserSetting, setUserSetting } from './user-settings.js';
+import { setThreatModel } from './threat-assessment.js';
+
+export const THREAT_MODEL_FIELDS = [
+    { path: 'RISK_WEIGHTS.RECENCY', group: 'Weights', label: 'Recency', min: 0, max: 1, step: 0.05 },
+    { path: 'RISK_WEIGHTS.FREQUENCY', group: 'Weights', label: 'Frequency', min: 0, max: 1, step: 0.05 },
+    { path: 'RISK_WEIGHTS.HVT_HUNTING', group: 'Weights', label: 'HVT Hunting', min: 0, max: 1, step: 0.05 },
+    { path: 'RISK_WEIGHTS.SHIP_CAPABILITY', group: 'Weights', label: 'Ship Capability', min: 0, max: 1, step: 0.05 },
+    { path: 'RISK_WEIGHTS.SECURITY_PREFERENCE', group: 'Weights', label: 'Space Preference', min: 0, max: 1, step: 0.05 },
+    { path: 'RISK_WEIGHTS.SOLO_RATIO', group: 'Weights', label: 'Solo Ratio', min: 0, max: 1, step: 0.05 },
+    { path: 'SCORING.SECURITY.HIGHSEC_SCORE', group: 'Space Scores', label: 'Highsec', min: 0, max: 100, step: 5 },
+    { path: 'SCORING.SECURITY.LOWSEC_SCORE', group: 'Space Scores', label: 'Lowsec', min: 0, max: 100, step: 5 },
+    { path: 'SCORING.SECURITY.NULLSEC_SCORE', group: 'Space Scores', label: 'Nullsec', min: 0, max: 100, step: 5 },
+    { path: 'SCORING.SECURITY.WSPACE_SCORE', group: 'Space Scores', label: 'W-Space', min: 0, max: 100, step: 5 },
+    { path: 'SCORING.SECURITY.POCHVEN_SCORE', group: 'Space Scores', label: 'Pochven', min: 0, max: 100, step: 5 },
+    { path: 'SCORING.THREAT_LEVELS.EXTREME_THRESHOLD', group: 'Threat Bands', label: 'Extreme', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.THREAT_LEVELS.VERY_HIGH_THRESHOLD', group: 'Threat Bands', label: 'Very High', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.THREAT_LEVELS.HIGH_THRESHOLD', group: 'Threat Bands', label: 'High', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.THREAT_LEVELS.ELEVATED_THRESHOLD', group: 'Threat Bands', label: 'Elevated', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.THREAT_LEVELS.MODERATE_THRESHOLD', group: 'Threat Bands', label: 'Moderate', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.THREAT_LEVELS.LOW_THRESHOLD', group: 'Threat Bands', label: 'Low', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.RISK_BANDS.HIGH_THRESHOLD', group: 'Risk Bands', label: 'High', min: 0, max: 200, step: 1 },
+    { path: 'SCORING.RISK_BANDS.MODERATE_THRESHOLD', group: 'Risk Bands', label: 'Moderate', min: 0, max: 200, step: 1 },
+    { path: 'TAGS.ACTIVE_NOW_MINUTES', group: 'Tag Thresholds', label: 'Active Now (min)', min: 1, max: 1440, step: 1 },
+    { path: 'TAGS.ACTIVE_RECENTLY_HOURS', group: 'Tag Thresholds', label: 'Active (hours)', min: 1, max: 168, step: 1 },
+    { path: 'TAGS.SOLO_HUNTER_MIN_PERCENT', group: 'Tag Thresholds', label: 'Solo Hunter %', min: 0, max: 100, step: 5 },
+    { path: 'TAGS.SMALL_GANG_MIN_PERCENT', group: 'Tag Thresholds', label: 'Small Gang %', min: 0, max: 100, step: 5 },
+    { path: 'TAGS.FLEET_FIGHTER_MIN_PERCENT', group: 'Tag Thresholds', label: 'Fleet Fighter %', min: 0, max: 100, step: 5 },
+    { path: 'TAGS.BLOB_MIN_AVERAGE_FLEET', group: 'Tag Thresholds', label: 'Blob Avg Fleet', min: 1, max: 500, step: 1 },
+    { path: 'TAGS.BLOB_MIN_MAX_FLEET', group: 'Tag Thresholds', label: 'Blob Max Fleet', min: 1, max: 1000, step: 1 }
+];
+
+// loose enough for the default weights, which add up to 1.05
+const WEIGHT_SUM_TOLERANCE = 0.05;
+
+const PRESET_NAMES = new Set(THREAT_PROFILE_PRESETS.map(profile => profile.name.toLowerCase()));
+
+let customProfiles = [];
+let activeProfileName = THREAT_PROFILE_PRESETS[0].name;
+let loadPromise = null;
+const changeListeners = new Set();
+
+function readPath(source, path) {
+    return path.split('.').reduce((node, key) => node?.[key], source);
+}
+
+function buildThreatConfig(values) {
+    const config = structuredClone(THREAT_ASSESSMENT);
+    Object.entries(values).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node?.[key], config);
+        if (parent && typeof parent[last] === 'number') {
+            parent[last] = value;
+        }
+    });
+    return config;
+}
+
+function findProfile(name) {
+    const key = (name || '').toLowerCase();
+    return THREAT_PROFILE_PRESETS.find(profile => profile.name.toLowerCase() === key) ||
+        customProfiles.find(profile => profile.name.toLowerCase() === key) ||
+        null;
+}
+
+function notifyListeners() {
+    changeListeners.forEach(listener => listener(activeProfileName));
+}
+
+export function onThreatModelChanged(listener) {
+    changeListeners.add(listener);
+}
+
+export function loadThreatProfiles() {
+    if (!loadPromise) {
+        loadPromise = Promise.all([
+            getUserSetting('THREAT_PROFILES'),
+            getUserSetting('ACTIVE_THREAT_PROFILE')
+        ]).then(([profiles, activeName]) => {
+            customProfiles = Array.isArray(profiles) ? profiles : [];
+            const profile = findProfile(activeName) || THREAT_PROFILE_PRESETS[0];
+            activeProfileName = profile.name;
+            setThreatModel(buildThreatConfig(profile.values), profile.name);
+            if (profile !== THREAT_PROFILE_PRESETS[0]) {
+                notifyListeners();
+            }
+        });
+    }
+    return loadPromise;
+}
+
+export function getThreatProfiles() {
+    return [
+        ...THREAT_PROFILE_PRESETS.map(profile => ({ name: profile.name, builtIn: true })),
+        ...customProfiles.map(profile => ({ name: profile.name, builtIn: false }))
+    ];
+}
+
+export function getActiveThreatProfileName() {
+    return activeProfileName;
+}
+
+export function isBuiltInThreatProfile(name) {
+    return PRESET_NAMES.has((name || '').toLowerCase());
+}
+
+export function getThreatProfileValues(name) {
+    const profile = findProfile(name) || THREAT_PROFILE_PRESETS[0];
+    const values = {};
+    THREAT_MODEL_FIELDS.forEach(field => {
+        values[field.path] = profile.values[field.path] ?? readPath(THREAT_ASSESSMENT, field.path);
+    });
+    return values;
+}
+
+function validateWeights(values, errors) {
+    const fields = THREAT_MODEL_FIELDS.filter(field => field.group === 'Weights');
+    // compared in hundredths to avoid floating point drift
+    const hundredths = Math.round(fields.reduce((sum, field) => sum + parseFloat(values[field.path]), 0) * 100);
+    if (Math.abs(hundredths - 100) <= WEIGHT_SUM_TOLERANCE * 100) return null;
+
+    const message = `Weights must add up to 1 (currently ${hundredths / 100})`;
+    fields.forEach(field => {
+        errors[field.path] = message;
+    });
+    return message;
+}
+
+function validateBandOrder(values, errors, group) {
+    // fields are listed from the highest band down
+    const fields = THREAT_MODEL_FIELDS.filter(field => field.group === group);
+    let valid = true;
+
+    fields.slice(1).forEach((field, index) => {
+        const above = fields[index];
+        if (parseFloat(values[field.path]) >= parseFloat(values[above.path])) {
+            errors[field.path] = `Must be below ${above.label} (${values[above.path]})`;
+            valid = false;
+        }
+    });
+
+    return valid ? null : `${group} must decrease from ${fields[0].label} down to ${fields[fields.length - 1].label}`;
+}
+
+export function validateThreatModelValues(values) {
+    const errors = {};
+    const cleaned = {};
+
+    THREAT_MODEL_FIELDS.forEach(field => {
+        const value = parseFloat(values[field.path]);
+        if (isNaN(value) || value < field.min || value > field.max) {
+            errors[field.path] = `Must be between ${field.min} and ${field.max}`;
+        } else if (value !== readPath(THREAT_ASSESSMENT, field.path)) {
+            cleaned[field.path] = value;
+        }
+    });
+
+    if (Object.keys(errors).length > 0) {
+        return { errors, values: cleaned, error: 'Some values are out of range' };
+    }
+
+    const weightError = validateWeights(values, errors);
+    const bandError = validateBandOrder(values, errors, 'Threat Bands');
+    const riskBandError = validateBandOrder(values, errors, 'Risk Bands');
+    return { errors, values: cleaned, error: weightError || bandError || riskBandError };
+}
+
+export async function saveThreatProfile(name, values) {
+    const profileName = (name || '').trim();
+    if (!profileName) {
+        return { success: false, error: 'Profile name is required' };
+    }
+
+    const { errors, values: cleaned, error } = validateThreatModelValues(values);
+    if (error) {
+        return { success: false, error, fieldErrors: errors };
+    }
+
+    await loadThreatProfiles();
+
+    if (isBuiltInThreatProfile(profileName)) {
+        const preset = findProfile(profileName);
+        const presetValues = getThreatProfileValues(preset.name);
+        const changed = THREAT_MODEL_FIELDS.some(field => parseFloat(values[field.path]) !== presetValues[field.path]);
+        if (changed) {
+            return { success: false, error: 'Built-in profiles cannot be changed. Save under a new name.' };
+        }
+        return applyThreatProfile(preset.name);
+    }
+
+    const profiles = customProfiles.filter(profile => profile.name.toLowerCase() !== profileName.toLowerCase());
+    profiles.push({ name: profileName, values: cleaned });
+
+    const result = await setUserSetting('THREAT_PROFILES', profiles);
+    if (!result.success) return result;
+    customProfiles = profiles;
+
+    return applyThreatProfile(profileName);
+}
+
+export async function deleteThreatProfile(name) {
+    if (isBuiltInThreatProfile(name)) {
+        return { success: false, error: 'Built-in profiles cannot be deleted' };
+    }
+
+    await loadThreatProfiles();
+
+    const profiles = customProfiles.filter(profile => profile.name.toLowerCase() !== (name || '').toLowerCase());
+    const result = await setUserSetting('THREAT_PROFILES', profiles);
+    if (!result.success) return result;
+    customProfiles = profiles;
+
+    if (activeProfileName.toLowerCase() === (name || '').toLowerCase()) {
+        return applyThreatProfile(THREAT_PROFILE_PRESETS[0].name);
+    }
+    return { success: true };
+}
+
+export async function applyThreatProfile(name) {
+    const profile = findProfile(name);
+    if (!profile) {
+        return { success: false, error: `Unknown profile: ${name}` };
+    }
+
+    const result = await setUserSetting('ACTIVE_THREAT_PROFILE', profile.name);
+    if (!result.success) return result;
+
+    activeProfileName = profile.name;
+    setThreatModel(buildThreatConfig(profile.values), profile.name);
+    notifyListeners();
+
+    return { success: true };
+}
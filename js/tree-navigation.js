@@ -7,11 +7,37 @@
 
 import { getEntityMaps } from './rendering.js';
 import { showEntityDetail } from './detail-panel.js';
-import { sanitizeAttribute } from './xss-protection.js';
+import { sanitizeAttribute, escapeHtml } from './xss-protection.js';
+import { getWarStatus, getWarStatusLabel } from './war-tracker.js';
+import { getStanding, getEffectiveStanding, getStandingClass, formatStanding, compareByStanding } from './standings.js';
+import { getThreatScore, compareByThreat, SCORE_STATUS } from './batch-scoring.js';
+import { formatCacheAge } from './offline-mode.js';
 
 let currentTreeData = null;
 let selectedEntityId = null;
 let selectedEntityType = null;
+let selectedEntityName = null;
+let sortByThreat = false;
+
+function hostilityOf(result) {
+    return result.standing < 0 ? result.standing : 0;
+}
+
+function compareByHostility(a, b) {
+    return a.hostility - b.hostility || a.name.localeCompare(b.name);
+}
+
+function compareNodes(a, b) {
+    return (sortByThreat ? b.threat - a.threat : 0) || compareByHostility(a, b);
+}
+
+export function setSortByThreat(enabled) {
+    sortByThreat = enabled;
+}
+
+export function isSortingByThreat() {
+    return sortByThreat;
+}
 
 export function buildTreeStructure(results) {
     const { corpToCharactersMap, allianceToCorpsMap } = getEntityMaps();
@@ -35,6 +61,10 @@ export function buildTreeStructure(results) {
                     name: result.alliance_name,
                     type: 'alliance',
                     war_eligible: false,
+                    war_status: getWarStatus(null, allianceId),
+                    standing: getStanding(allianceId),
+                    hostility: 0,
+                    threat: -1,
                     corps: new Map()
                 });
             }
@@ -43,6 +73,8 @@ export function buildTreeStructure(results) {
             if (result.war_eligible) {
                 alliance.war_eligible = true;
             }
+            alliance.hostility = Math.min(alliance.hostility, hostilityOf(result));
+            alliance.threat = Math.max(alliance.threat, result.threat_score ?? -1);
 
             if (corpId && !alliance.corps.has(corpId)) {
                 alliance.corps.set(corpId, {
@@ -50,9 +82,18 @@ export function buildTreeStructure(results) {
                     name: result.corporation_name,
                     type: 'corporation',
                     war_eligible: result.war_eligible || false,
+                    war_status: result.war_status || null,
+                    standing: getEffectiveStanding({ corporation_id: corpId, alliance_id: allianceId }),
+                    hostility: 0,
+                    threat: -1,
                     characters: []
                 });
             }
+            if (corpId) {
+                const corp = alliance.corps.get(corpId);
+                corp.hostility = Math.min(corp.hostility, hostilityOf(result));
+                corp.threat = Math.max(corp.threat, result.threat_score ?? -1);
+            }
         } else if (corpId) {
             if (!noAllianceCorps.has(corpId)) {
                 noAllianceCorps.set(corpId, {
@@ -60,6 +101,10 @@ export function buildTreeStructure(results) {
                     name: result.corporation_name,
                     type: 'corporation',
                     war_eligible: result.war_eligible || false,
+                    war_status: result.war_status || null,
+                    standing: getStanding(corpId),
+                    hostility: 0,
+                    threat: -1,
                     characters: []
                 });
             }
@@ -67,6 +112,8 @@ export function buildTreeStructure(results) {
             if (result.war_eligible) {
                 corp.war_eligible = true;
             }
+            corp.hostility = Math.min(corp.hostility, hostilityOf(result));
+            corp.threat = Math.max(corp.threat, result.threat_score ?? -1);
         } else {
             noCorpCharacters.push(result);
         }
@@ -88,9 +135,10 @@ export function buildTreeStructure(results) {
     });
 
     currentTreeData = {
-        alliances: Array.from(allianceMap.values()).sort((a, b) => a.name.localeCompare(b.name)),
-        noAllianceCorps: Array.from(noAllianceCorps.values()).sort((a, b) => a.name.localeCompare(b.name)),
-        noCorpCharacters: noCorpCharacters.sort((a, b) => a.character_name.localeCompare(b.character_name))
+        alliances: Array.from(allianceMap.values()).sort(compareNodes),
+        noAllianceCorps: Array.from(noAllianceCorps.values()).sort(compareNodes),
+        noCorpCharacters: noCorpCharacters.sort((a, b) => (sortByThreat ? compareByThreat(a, b) : 0) ||
+            compareByStanding(a, b) || a.character_name.localeCompare(b.character_name))
     };
 
     return currentTreeData;
@@ -100,6 +148,10 @@ export function renderTree(treeData) {
     const container = document.getElementById('tree-container');
     if (!container) return;
 
+    const expandedKeys = new Set(Array.from(container.querySelectorAll('.tree-children.expanded'))
+        .map(children => nodeKey(children.previousElementSibling))
+        .filter(Boolean));
+
     container.innerHTML = '';
 
     if (!treeData) {
@@ -126,9 +178,79 @@ export function renderTree(treeData) {
 
     container.appendChild(fragment);
 
+    restoreTreeState(container, expandedKeys);
     setupTreeEventListeners();
 }
 
+function nodeKey(treeItem) {
+    if (!treeItem?.dataset?.entityType) return null;
+    return `${treeItem.dataset.entityType}:${treeItem.dataset.entityId}`;
+}
+
+function restoreTreeState(container, expandedKeys) {
+    const selectedKey = selectedEntityType ? `${selectedEntityType}:${selectedEntityId}` : null;
+
+    container.querySelectorAll('.tree-item[data-entity-type]').forEach(treeItem => {
+        const key = nodeKey(treeItem);
+        if (expandedKeys.has(key)) {
+            toggleNode(treeItem);
+        }
+        if (key === selectedKey) {
+            treeItem.classList.add('selected');
+        }
+    });
+}
+
+function createWarBadgeHTML(status) {
+    if (!status) return '';
+    return `<span class="tree-war-badge war-status-${sanitizeAttribute(status)}" title="${escapeHtml(getWarStatusLabel(status))}">${getWarStatusLabel(status, true)}</span>`;
+}
+
+function createStandingBadgeHTML(standing) {
+    const standingClass = getStandingClass(standing);
+    if (!standingClass) return '';
+    return `<span class="tree-standing-badge ${standingClass}">${formatStanding(standing)}</span>`;
+}
+
+function createThreatBadgeHTML(characterId) {
+    const entry = getThreatScore(characterId);
+    if (!entry) return '';
+
+    switch (entry.status) {
+        case SCORE_STATUS.QUEUED:
+            return `<span class="tree-threat-badge threat-pending" title="Queued for scoring">…</span>`;
+        case SCORE_STATUS.SCORING:
+            return `<span class="tree-threat-badge threat-scoring" title="Scoring…">…</span>`;
+        case SCORE_STATUS.ERROR:
+            return `<span class="tree-threat-badge threat-error" title="Scoring failed">!</span>`;
+        default: {
+            const tags = entry.tags?.length ? ` · ${entry.tags.join(', ')}` : '';
+            return `<span class="tree-threat-badge threat-${sanitizeAttribute(entry.riskBand)}" title="${escapeHtml(entry.riskLevel + tags)}">${entry.totalScore}</span>`;
+        }
+    }
+}
+
+function createStaleBadgeHTML(cachedAt) {
+    if (!cachedAt) return '';
+    const age = formatCacheAge(cachedAt);
+    return `<span class="tree-stale-badge" title="From the local cache, ${age} old. May be out of date.">⏱ ${age}</span>`;
+}
+
+export function updateThreatBadge(characterId) {
+    const container = document.getElementById('tree-container');
+    if (!container) return;
+
+    const html = createThreatBadgeHTML(characterId);
+    container.querySelectorAll(`.tree-item.character[data-entity-id="${sanitizeAttribute(String(characterId))}"]`).forEach(item => {
+        const existing = item.querySelector('.tree-threat-badge');
+        if (existing) {
+            existing.outerHTML = html;
+        } else if (html) {
+            item.insertAdjacentHTML('beforeend', html);
+        }
+    });
+}
+
 function createAllianceNode(alliance) {
     const node = document.createElement('div');
     node.className = 'tree-node';
@@ -142,14 +264,16 @@ function createAllianceNode(alliance) {
     const warClass = alliance.war_eligible ? 'war-eligible' : '';
 
     node.innerHTML = `
-        <div class="tree-item alliance ${warClass}" data-entity-type="alliance" data-entity-id="${sanitizeAttribute(alliance.id.toString())}">
+        <div class="tree-item alliance ${warClass} ${getStandingClass(alliance.standing)}" data-entity-type="alliance" data-entity-id="${sanitizeAttribute(alliance.id.toString())}">
             <span class="tree-toggle">▶</span>
             <img class="tree-icon" src="https://images.evetech.net/alliances/${alliance.id}/logo?size=32" alt="">
             <span class="tree-label">${alliance.name}</span>
+            ${createStandingBadgeHTML(alliance.standing)}
+            ${createWarBadgeHTML(alliance.war_status)}
             <span class="tree-count">${totalCharacters}</span>
         </div>
         <div class="tree-children">
-            ${Array.from(alliance.corps.values()).map(corp => createCorporationNodeHTML(corp)).join('')}
+            ${Array.from(alliance.corps.values()).sort(compareNodes).map(corp => createCorporationNodeHTML(corp)).join('')}
         </div>
     `;
 
@@ -169,10 +293,12 @@ function createCorporationNodeHTML(corp) {
 
     return `
         <div class="tree-node">
-            <div class="tree-item corporation ${warClass}" data-entity-type="corporation" data-entity-id="${sanitizeAttribute(corp.id.toString())}">
+            <div class="tree-item corporation ${warClass} ${getStandingClass(corp.standing)}" data-entity-type="corporation" data-entity-id="${sanitizeAttribute(corp.id.toString())}">
                 <span class="tree-toggle">▶</span>
                 <img class="tree-icon" src="https://images.evetech.net/corporations/${corp.id}/logo?size=32" alt="">
                 <span class="tree-label">${corp.name}</span>
+                ${createStandingBadgeHTML(corp.standing)}
+                ${createWarBadgeHTML(corp.war_status)}
                 <span class="tree-count">${corp.characters.length}</span>
             </div>
             <div class="tree-children">
@@ -191,13 +317,70 @@ function createCharacterNode(character) {
 
 function createCharacterNodeHTML(character) {
     const warClass = character.war_eligible ? 'war-eligible' : '';
+    const shipMeta = character.ship_type_name ? `<span class="tree-meta">${escapeHtml(character.ship_type_name)}</span>` : '';
 
     return `
         <div class="tree-node">
-            <div class="tree-item character ${warClass}" data-entity-type="character" data-entity-id="${sanitizeAttribute(character.character_id.toString())}">
+            <div class="tree-item character ${warClass} ${getStandingClass(character.standing)}" data-entity-type="character" data-entity-id="${sanitizeAttribute(character.character_id.toString())}">
                 <span class="tree-toggle"></span>
                 <img class="tree-icon" src="https://images.evetech.net/characters/${character.character_id}/portrait?size=32" alt="">
                 <span class="tree-label">${character.character_name}</span>
+                ${shipMeta}
+                ${createStandingBadgeHTML(character.standing)}
+                ${createWarBadgeHTML(character.war_status)}
+                ${createThreatBadgeHTML(character.character_id)}
+                ${createStaleBadgeHTML(character.cached_at)}
+            </div>
+        </div>
+    `;
+}
+
+export function renderDscanTree(summary) {
+    const container = document.getElementById('tree-container');
+    if (!container) return;
+
+    currentTreeData = null;
+
+    const categoryNodes = summary.categories.map(category => `
+        <div class="tree-node">
+            <div class="tree-item corporation dscan-category">
+                <span class="tree-toggle">▶</span>
+                <span class="tree-label">${escapeHtml(category.category)}</span>
+                <span class="tree-count">${category.count}</span>
+            </div>
+            <div class="tree-children">
+                ${category.types.map(type => createDscanTypeHTML(type)).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    const otherNode = summary.otherTypes.length > 0 ? `
+        <div class="tree-node">
+            <div class="tree-item dscan-category">
+                <span class="tree-toggle">▶</span>
+                <span class="tree-label">Other Objects</span>
+                <span class="tree-count">${summary.others}</span>
+            </div>
+            <div class="tree-children">
+                ${summary.otherTypes.map(type => createDscanTypeHTML(type)).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    container.innerHTML = categoryNodes + otherNode ||
+        '<div class="empty-state"><div class="empty-state-text">No ships on d-scan</div></div>';
+
+    setupTreeEventListeners();
+}
+
+function createDscanTypeHTML(type) {
+    return `
+        <div class="tree-node">
+            <div class="tree-item character">
+                <span class="tree-toggle"></span>
+                <img class="tree-icon" src="https://images.evetech.net/types/${sanitizeAttribute(type.typeId.toString())}/icon?size=32" alt="">
+                <span class="tree-label">${escapeHtml(type.typeName)}</span>
+                <span class="tree-count">${type.count}</span>
             </div>
         </div>
     `;
@@ -222,6 +405,11 @@ function setupTreeEventListeners() {
                 return;
             }
 
+            if (treeItem.classList.contains('dscan-category')) {
+                toggleNode(treeItem);
+                return;
+            }
+
             selectEntity(treeItem);
         });
         treeEventListenerAdded = true;
@@ -255,7 +443,7 @@ function toggleNode(treeItem) {
     }
 }
 
-function selectEntity(treeItem) {
+function selectEntity(treeItem, { toggle = true } = {}) {
     const entityType = treeItem.dataset.entityType;
     const entityId = treeItem.dataset.entityId;
     const entityName = treeItem.querySelector('.tree-label')?.textContent || '';
@@ -270,8 +458,9 @@ function selectEntity(treeItem) {
 
     selectedEntityType = entityType;
     selectedEntityId = entityId;
+    selectedEntityName = entityName;
 
-    if (entityType === 'alliance' || entityType === 'corporation') {
+    if (toggle && (entityType === 'alliance' || entityType === 'corporation')) {
         toggleNode(treeItem);
     }
 
@@ -301,10 +490,74 @@ export function collapseAll() {
 export function getSelectedEntity() {
     return {
         type: selectedEntityType,
-        id: selectedEntityId
+        id: selectedEntityId,
+        name: selectedEntityName
     };
 }
 
+function getVisibleTreeItems() {
+    const container = document.getElementById('tree-container');
+    if (!container) return [];
+
+    return Array.from(container.querySelectorAll('.tree-item[data-entity-type]'))
+        .filter(item => item.offsetParent !== null);
+}
+
+function focusTreeItem(treeItem) {
+    selectEntity(treeItem, { toggle: false });
+    treeItem.scrollIntoView({ block: 'nearest' });
+}
+
+export function moveTreeSelection(delta) {
+    const items = getVisibleTreeItems();
+    if (items.length === 0) return false;
+
+    const current = items.findIndex(item => item.classList.contains('selected'));
+    const next = current === -1 ?
+        (delta > 0 ? 0 : items.length - 1) :
+        Math.min(items.length - 1, Math.max(0, current + delta));
+
+    focusTreeItem(items[next]);
+    return true;
+}
+
+export function setSelectedNodeExpanded(expanded) {
+    const treeItem = document.querySelector('#tree-container .tree-item.selected');
+    if (!treeItem) return false;
+
+    const node = treeItem.closest('.tree-node');
+    const children = node.querySelector(':scope > .tree-children');
+
+    if (children && children.classList.contains('expanded') !== expanded) {
+        toggleNode(treeItem);
+    } else if (!expanded) {
+        const parentItem = node.parentElement?.closest('.tree-node')?.querySelector(':scope > .tree-item');
+        if (parentItem) focusTreeItem(parentItem);
+    }
+    return true;
+}
+
+export function revealTreeItem(entityType, entityId) {
+    const container = document.getElementById('tree-container');
+    const treeItem = container?.querySelector(
+        `.tree-item[data-entity-type="${sanitizeAttribute(entityType)}"][data-entity-id="${parseInt(entityId)}"]`
+    );
+    if (!treeItem) return false;
+
+    let ancestor = treeItem.closest('.tree-node').parentElement?.closest('.tree-node');
+    while (ancestor) {
+        const children = ancestor.querySelector(':scope > .tree-children');
+        if (children && !children.classList.contains('expanded')) {
+            toggleNode(ancestor.querySelector(':scope > .tree-item'));
+        }
+        ancestor = ancestor.parentElement?.closest('.tree-node');
+    }
+
+    selectEntity(treeItem, { toggle: false });
+    treeItem.scrollIntoView({ block: 'center' });
+    return true;
+}
+
 export function getCurrentTreeData() {
     return currentTreeData;
 }
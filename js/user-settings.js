@@ -11,7 +11,14 @@ const DEFAULT_SETTINGS = {
     MAX_KILLMAILS_TO_FETCH: MAX_KILLMAILS_TO_FETCH,
     ZKILL_MIN_KILLMAILS: ZKILL_PAGINATION_CONFIG.MIN_KILLMAILS,
     ZKILL_TARGET_DAYS: ZKILL_PAGINATION_CONFIG.TARGET_DAYS,
-    ZKILL_MAX_PAGES: ZKILL_PAGINATION_CONFIG.MAX_PAGES
+    ZKILL_MAX_PAGES: ZKILL_PAGINATION_CONFIG.MAX_PAGES,
+    HOSTILE_ALLIANCE_IDS: [],
+    MY_ENTITY: null,
+    THREAT_PROFILES: [],
+    ACTIVE_THREAT_PROFILE: null,
+    FILTER_PRESETS: [],
+    DEFAULT_FILTER_PRESET: null,
+    RESULTS_TABLE_LAYOUT: null
 };
 
 const SETTING_CONSTRAINTS = {
@@ -0,0 +1,245 @@
+/*
+    EVE Target Intel - Active War Tracking
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+import { WAR_CONFIG } from './config.js';
+import { esiClient } from './esi-client.js';
+import { getCachedWarsBatch, setCachedWarsBatch, getWarIndex, setWarIndexBatch } from './database.js';
+import { getUserSetting, setUserSetting } from './user-settings.js';
+import { getEntityIds } from './esi-api.js';
+
+export const WAR_STATUS = {
+    AT_WAR: 'at-war',
+    PENDING: 'pending',
+    ALLY: 'ally'
+};
+
+const STATUS_LABELS = {
+    [WAR_STATUS.AT_WAR]: { short: 'WAR', full: 'At war with you' },
+    [WAR_STATUS.PENDING]: { short: 'PENDING', full: 'War pending (24h)' },
+    [WAR_STATUS.ALLY]: { short: 'ALLY', full: 'Ally in war' }
+};
+
+const STATUS_PRIORITY = {
+    [WAR_STATUS.AT_WAR]: 3,
+    [WAR_STATUS.PENDING]: 2,
+    [WAR_STATUS.ALLY]: 1
+};
+
+let warRelations = { enemies: new Map(), allies: new Map(), activeWars: 0, updatedAt: null };
+let refreshPromise = null;
+const updateListeners = new Set();
+
+export async function getMyEntity() {
+    const entity = await getUserSetting('MY_ENTITY');
+    return entity && entity.id ? entity : null;
+}
+
+export async function setMyEntity(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        return setUserSetting('MY_ENTITY', null);
+    }
+
+    const { corporations, alliances } = await getEntityIds([trimmed]);
+    const match = (list) => list.find(e => e.name.toLowerCase() === trimmed.toLowerCase()) || list[0];
+
+    let entity = null;
+    if (alliances.length > 0) {
+        const alliance = match(alliances);
+        entity = { id: alliance.id, name: alliance.name, type: 'alliance', alliance_id: alliance.id };
+    } else if (corporations.length > 0) {
+        const corp = match(corporations);
+        const corpInfo = await esiClient.get(`/corporations/${corp.id}/`);
+        entity = { id: corp.id, name: corp.name, type: 'corporation', alliance_id: corpInfo?.alliance_id || null };
+    }
+
+    if (!entity) {
+        return { success: false, error: `No corporation or alliance named "${trimmed}"` };
+    }
+
+    return setUserSetting('MY_ENTITY', entity);
+}
+
+function partyId(party) {
+    return party?.alliance_id || party?.corporation_id || null;
+}
+
+function addRelation(map, id, status, war) {
+    if (!id) return;
+    const existing = map.get(id);
+    if (!existing || STATUS_PRIORITY[status] > STATUS_PRIORITY[existing.status]) {
+        map.set(id, { status, warId: war.id, started: war.started });
+    }
+}
+
+function buildRelations(wars, myIds, now) {
+    const enemies = new Map();
+    const allies = new Map();
+    let activeWars = 0;
+
+    wars.forEach(war => {
+        if (!war) return;
+        if (war.finished && new Date(war.finished).getTime() <= now) return;
+
+        const aggressorId = partyId(war.aggressor);
+        const defenderId = partyId(war.defender);
+        const allyIds = (war.allies || []).map(partyId).filter(Boolean);
+
+        let mySide = null;
+        if (myIds.has(aggressorId)) mySide = 'aggressor';
+        else if (myIds.has(defenderId)) mySide = 'defender';
+        else if (allyIds.some(id => myIds.has(id))) mySide = 'ally';
+        if (!mySide) return;
+
+        activeWars++;
+        const status = new Date(war.started).getTime() > now ? WAR_STATUS.PENDING : WAR_STATUS.AT_WAR;
+
+        if (mySide === 'aggressor') {
+            addRelation(enemies, defenderId, status, war);
+            allyIds.forEach(id => addRelation(enemies, id, status, war));
+        } else {
+            addRelation(enemies, aggressorId, status, war);
+            [defenderId, ...allyIds]
+                .filter(id => !myIds.has(id))
+                .forEach(id => addRelation(allies, id, WAR_STATUS.ALLY, war));
+        }
+    });
+
+    return { enemies, allies, activeWars };
+}
+
+async function fetchWars(warIds) {
+    const cached = await getCachedWarsBatch(warIds, WAR_CONFIG.ACTIVE_WAR_CACHE_HOURS);
+    const wars = [];
+    const uncachedIds = [];
+
+    warIds.forEach((id, index) => {
+        if (cached[index]) wars.push(cached[index]);
+        else uncachedIds.push(id);
+    });
+
+    if (uncachedIds.length > 0) {
+        const fetched = await esiClient.batchRequests(
+            uncachedIds.map(id => ({ endpoint: `/wars/${id}/` })),
+            { maxConcurrency: WAR_CONFIG.FETCH_CONCURRENCY, chunkDelay: WAR_CONFIG.FETCH_CHUNK_DELAY_MS }
+        );
+        const valid = fetched.filter(Boolean);
+        await setCachedWarsBatch(valid);
+        wars.push(...valid);
+    }
+
+    return wars;
+}
+
+function isFinished(war, now) {
+    return Boolean(war.finished) && new Date(war.finished).getTime() <= now;
+}
+
+// only IDs above the highest one already indexed are new; the first scan stops at an age cutoff
+async function findNewWarIds(index, now) {
+    const highestKnown = index.size > 0 ? Array.from(index.keys()).reduce((a, b) => Math.max(a, b)) : null;
+    const cutoff = now - WAR_CONFIG.FIRST_SCAN_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const newIds = [];
+    let maxWarId = null;
+
+    for (let page = 0; page < WAR_CONFIG.MAX_WAR_PAGES; page++) {
+        const warIds = await esiClient.get(maxWarId ? `/wars/?max_war_id=${maxWarId}` : '/wars/');
+        if (!Array.isArray(warIds) || warIds.length === 0) break;
+
+        const unseen = warIds.filter(id => highestKnown === null || id > highestKnown);
+        if (unseen.length === 0) break;
+        newIds.push(...unseen);
+
+        maxWarId = Math.min(...warIds);
+        if (highestKnown !== null && maxWarId <= highestKnown) break;
+
+        if (highestKnown === null) {
+            const [oldest] = await fetchWars([maxWarId]);
+            if (oldest && new Date(oldest.declared).getTime() < cutoff) break;
+        }
+    }
+
+    return newIds;
+}
+
+async function fetchActiveWars(now) {
+    const index = await getWarIndex();
+    const newIds = await findNewWarIds(index, now);
+    // wars still running are rechecked whatever their age, so long mutual wars are kept
+    const activeIds = Array.from(index.values()).filter(record => !record.finished).map(record => record.war_id);
+
+    const wars = await fetchWars([...new Set([...newIds, ...activeIds])]);
+    const fetchedIds = new Set(wars.map(war => war.id));
+    await setWarIndexBatch([
+        ...wars.map(war => ({ war_id: war.id, declared: war.declared, finished: isFinished(war, now) })),
+        // new wars that failed to load are indexed as active so the next refresh retries them
+        ...newIds.filter(id => !fetchedIds.has(id)).map(id => ({ war_id: id, declared: null, finished: false }))
+    ]);
+
+    return wars.filter(war => !isFinished(war, now));
+}
+
+export function refreshWars({ force = false } = {}) {
+    if (refreshPromise) return refreshPromise;
+    if (!force && warRelations.updatedAt && Date.now() - warRelations.updatedAt < WAR_CONFIG.REFRESH_INTERVAL_MS) {
+        return Promise.resolve(warRelations);
+    }
+
+    refreshPromise = (async () => {
+        const myEntity = await getMyEntity();
+        if (!myEntity) {
+            warRelations = { enemies: new Map(), allies: new Map(), activeWars: 0, updatedAt: null };
+            return warRelations;
+        }
+
+        const now = Date.now();
+        const wars = await fetchActiveWars(now);
+        const myIds = new Set([myEntity.id, myEntity.alliance_id].filter(Boolean));
+
+        warRelations = { ...buildRelations(wars, myIds, now), updatedAt: now };
+        return warRelations;
+    })()
+        .catch(e => {
+            console.warn('Failed to refresh war data:', e);
+            return warRelations;
+        })
+        .finally(() => {
+            refreshPromise = null;
+            updateListeners.forEach(listener => listener(warRelations));
+        });
+
+    return refreshPromise;
+}
+
+export function onWarDataUpdated(listener) {
+    updateListeners.add(listener);
+}
+
+export function getWarStatus(corporationId, allianceId) {
+    const candidates = [
+        warRelations.enemies.get(allianceId),
+        warRelations.enemies.get(corporationId),
+        warRelations.allies.get(allianceId),
+        warRelations.allies.get(corporationId)
+    ].filter(Boolean);
+
+    if (candidates.length === 0) return null;
+    return candidates.sort((a, b) => STATUS_PRIORITY[b.status] - STATUS_PRIORITY[a.status])[0].status;
+}
+
+export function getWarStatusLabel(status, short = false) {
+    const label = STATUS_LABELS[status];
+    if (!label) return '';
+    return short ? label.short : label.full;
+}
+
+export function applyWarStatus(results) {
+    results.forEach(result => {
+        result.war_status = getWarStatus(result.corporation_id, result.alliance_id);
+    });
+    return results;
+}
@@ -64,4 +64,32 @@ export function sanitizeAttribute(value) {
         return '';
     }
     return value.replace(/['"<>&]/g, '');
-}
\ No newline at end of file
+}
+
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export function escapeCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let str = String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        str = `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+const MARKDOWN_SPECIAL_REGEX = /[\\`*_~|>#\[\]()<:]/g;
+
+export function escapeMarkdown(str) {
+    if (typeof str !== 'string') {
+        return '';
+    }
+    return str
+        .replace(/[\r\n]+/g, ' ')
+        .replace(MARKDOWN_SPECIAL_REGEX, '\\$&')
+        .replace(/@/g, '@\u200b');
+}
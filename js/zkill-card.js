@@ -13,13 +13,19 @@ import {
     ZKILL_EFFICIENCY_THRESHOLD_HIGH, ZKILL_EFFICIENCY_THRESHOLD_MEDIUM, ZKILL_GANG_RATIO_THRESHOLD_HIGH,
     ZKILL_GANG_RATIO_THRESHOLD_LOW, IMAGE_PLACEHOLDER_SIZE_PX, CHART_WIDTH_PX, CHART_HEIGHT_PX, CHART_MARGIN_TOP_PX,
     CHART_MARGIN_RIGHT_PX, CHART_MARGIN_BOTTOM_PX, CHART_MARGIN_LEFT_PX, CHART_BAR_SPACING_PX, CHART_STEPS,
-    CHART_LABEL_INTERVAL_DIVISOR, CHART_COLOR_THRESHOLD_HIGH, CHART_COLOR_THRESHOLD_MEDIUM, BREAKDOWN_DISPLAY_LIMIT
+    CHART_LABEL_INTERVAL_DIVISOR, CHART_COLOR_THRESHOLD_HIGH, CHART_COLOR_THRESHOLD_MEDIUM, BREAKDOWN_DISPLAY_LIMIT,
+    CORP_HISTORY_CONFIG, FIT_INFERENCE_CONFIG
 } from './config.js';
 import { getEntityMaps } from './rendering.js';
 import { getCounters } from './esi-api.js';
 import { esiClient } from './esi-client.js';
 import { sanitizeCharacterName, sanitizeCorporationName, sanitizeAllianceName, sanitizeId, sanitizeAttribute, escapeHtml } from './xss-protection.js';
 import { getCachedUniverseName, setCachedUniverseName, getCachedAffiliation, setCachedAffiliation } from './database.js';
+import { getCharacterCorporationHistory, analyseCorporationHistory, getHostileAllianceIds, getHostileHistoryAllianceIds, setAllianceHostile } from './corp-history.js';
+import { getWarStatus, getWarStatusLabel } from './war-tracker.js';
+import { getStanding, getStandingClass, formatStanding, setEntityStanding } from './standings.js';
+import { assessEntityThreat } from './threat-assessment.js';
+import { onThreatModelChanged } from './threat-profiles.js';
 
 const POCHVEN_SYSTEMS = [
     'Skarkon', 'Archee', 'Kino', 'Konola', 'Krirald', 'Nalvula', 'Nani',
@@ -70,8 +76,40 @@ class ZKillStatsCard {
         this.isVisible = false;
         this.navigationHistory = [];
         this.completeResults = [];
+        this.scoredViews = new Map();
+        this.loadController = null;
         this.setupEventListeners();
         this.updateEntityMaps();
+        onThreatModelChanged(() => this.rescoreOpenCards());
+    }
+
+    trackScoredView(element, stats) {
+        if (element && stats?.killmailData?.hasData) {
+            this.scoredViews.set(element, stats);
+        }
+    }
+
+    rescoreOpenCards() {
+        this.scoredViews.forEach((stats, element) => {
+            if (!element.isConnected) {
+                this.scoredViews.delete(element);
+                return;
+            }
+
+            const section = element.querySelector('.zkill-threat-assessment');
+            if (!section) return;
+
+            stats.threatAssessment = assessEntityThreat(stats, stats.killmailData);
+            section.outerHTML = this.createThreatAssessmentHTML(stats.securityPreference, stats.combatStyle, stats.activityInsights, stats.shipAnalysis, stats.threatAssessment);
+            this.setupBreakdownToggles(element.querySelector('.zkill-threat-assessment'));
+        });
+    }
+
+    setupBreakdownToggles(root) {
+        if (!root) return;
+        root.querySelectorAll('[data-action="toggle-breakdown"]').forEach(header => {
+            header.addEventListener('click', () => header.parentElement.classList.toggle('expanded'));
+        });
     }
 
     updateEntityMaps() {
@@ -124,11 +162,19 @@ class ZKillStatsCard {
         await this.showStats('alliance', allianceId, allianceName, 'allianceID');
     }
 
+    startLoad() {
+        this.loadController?.abort();
+        this.loadController = new AbortController();
+        return this.loadController.signal;
+    }
+
     async showStats(entityType, entityId, entityName, apiType) {
         if (this.isVisible) {
             this.close();
         }
 
+        const signal = this.startLoad();
+
         this.currentModal = this.createModalStructure(entityType, entityId, entityName);
         document.body.appendChild(this.currentModal);
         this.updateBackButtonVisibility();
@@ -150,7 +196,7 @@ class ZKillStatsCard {
         try {
             this.updateLoadingProgress('Connecting to zKillboard...', 0, '');
 
-            const statsPromise = this.loadStats(apiType, entityId, (source, message, current, total) => {
+            const statsPromise = this.loadStats(apiType, entityId, signal, (source, message, current, total) => {
                 let percentage = 0;
                 let detail = '';
 
@@ -174,6 +220,11 @@ class ZKillStatsCard {
 
             const [stats, affiliationData] = await Promise.all([statsPromise, affiliationPromise]);
 
+            if (signal.aborted) {
+                clearInterval(timerInterval);
+                return;
+            }
+
             this.updateLoadingProgress('Loading affiliations...', ZKILL_PROGRESS_AFFILIATIONS, '');
 
             let corporationName = null;
@@ -202,15 +253,17 @@ class ZKillStatsCard {
             this.populateStatsData(stats, entityType, entityId, entityName);
         } catch (error) {
             clearInterval(timerInterval);
+            if (signal.aborted) return;
             console.error('Failed to load zKillboard stats:', error);
             this.showError('Failed to load killboard statistics. Please try again later.');
         }
     }
 
-    async loadStats(apiType, entityId, onProgress = null) {
+    async loadStats(apiType, entityId, signal = null, onProgress = null) {
         const options = {
             includeKillmails: true,
-            onProgress: onProgress
+            onProgress: onProgress,
+            signal
         };
         switch (apiType) {
             case 'characterID':
@@ -740,6 +793,15 @@ class ZKillStatsCard {
                     setTimeout(() => {
                         this.showCorporationStats(corporationId, corporationName);
                     }, ZKILL_NAVIGATION_CLOSE_DELAY_MS);
+                } else if (action === 'show-alliance') {
+                    const allianceId = memberItem.dataset.allianceId;
+                    const allianceName = memberItem.dataset.allianceName;
+                    this.addToNavigationHistory();
+                    this.close();
+
+                    setTimeout(() => {
+                        this.showAllianceStats(allianceId, allianceName);
+                    }, ZKILL_NAVIGATION_CLOSE_DELAY_MS);
                 }
             }
         });
@@ -784,6 +846,8 @@ class ZKillStatsCard {
             this.close();
         }
 
+        const signal = this.startLoad();
+
         this.currentModal = this.createModalStructure(entityType, entityId, entityName);
         document.body.appendChild(this.currentModal);
         this.updateBackButtonVisibility();
@@ -795,10 +859,12 @@ class ZKillStatsCard {
 
         try {
             const [stats, affiliationData] = await Promise.all([
-                this.loadStats(apiType, entityId),
+                this.loadStats(apiType, entityId, signal),
                 this.fetchEntityAffiliations(entityType, entityId)
             ]);
 
+            if (signal.aborted) return;
+
             let corporationName = null;
             let allianceName = null;
 
@@ -820,6 +886,7 @@ class ZKillStatsCard {
 
             this.populateStatsData(stats, entityType, entityId, entityName);
         } catch (error) {
+            if (signal.aborted) return;
             console.error('Failed to load zKillboard stats:', error);
             this.showError('Failed to load killboard statistics. Please try again later.');
         }
@@ -871,10 +938,15 @@ class ZKillStatsCard {
         const content = elems.content || this.currentModal.querySelector('.zkill-card-content');
 
         if (!stats || (stats.totalKills === 0 && stats.totalLosses === 0)) {
-            if (content) content.innerHTML = this.createEmptyStateHTML(entityName);
+            const corpHistoryHTML = entityType === 'character' ? await this.createCorporationHistoryHTML(entityId) : '';
+            if (content) content.innerHTML = this.createEmptyStateHTML(entityName) + corpHistoryHTML;
             return;
         }
-        if (content) content.innerHTML = await this.createStatsHTML(stats, entityType, entityId);
+        if (content) {
+            content.innerHTML = await this.createStatsHTML(stats, entityType, entityId);
+            this.setupBreakdownToggles(content);
+            this.trackScoredView(content, stats);
+        }
 
         const memberCountEl = elems.memberCountEl || this.currentModal.querySelector('#zkill-header-member-count');
         if (memberCountEl && entityType !== 'character' && stats.memberCount) {
@@ -884,13 +956,24 @@ class ZKillStatsCard {
 
 
     async createStatsHTML(stats, entityType, entityId) {
+        if (stats.killmailData?.hasData) {
+            stats.threatAssessment = assessEntityThreat(stats, stats.killmailData);
+        }
         const recentKillsHTML = await this.createRecentKillsHTML(stats.killmailData, entityType, entityId);
+        const corpHistoryHTML = entityType === 'character' ? await this.createCorporationHistoryHTML(entityId) : '';
+        const lossAnalysisHTML = await this.createLossAnalysisHTML(stats.lossData);
+        const associatesHTML = await this.createAssociatesHTML(stats.killmailData);
+        const likelyFitsHTML = await this.createLikelyFitsHTML(stats.fitInference);
 
         return `
         ${this.createThreatAssessmentHTML(stats.securityPreference, stats.combatStyle, stats.activityInsights, stats.shipAnalysis, stats.threatAssessment)}
+        ${corpHistoryHTML}
         ${this.createTacticalOverviewHTML(stats)}
         ${this.createTop10CombinedHTML(stats.topShips, stats.topPlayers, stats.topLocations, entityType)}
         ${this.createKillmailInsightsHTML(stats.killmailData)}
+        ${likelyFitsHTML}
+        ${associatesHTML}
+        ${lossAnalysisHTML}
         ${this.createCombinedStatsAndChartsHTML(stats, stats.securityPreference, stats.activityInsights, stats.recentActivity.activePvPData, stats.activityData)}
         ${recentKillsHTML}
         <div style="text-align: center; padding: 1rem; border-top: 1px solid rgba(255, 255, 255, 0.1); margin-top: 1rem;">
@@ -946,6 +1029,309 @@ class ZKillStatsCard {
         `;
     }
 
+    async createLikelyFitsHTML(fitInference) {
+        if (!Array.isArray(fitInference) || fitInference.length === 0) {
+            return '';
+        }
+
+        const typeIds = [...new Set(fitInference.flatMap(fit => [
+            fit.shipTypeId,
+            ...fit.weapons.map(w => w.typeId),
+            ...fit.modules.map(m => m.typeId)
+        ]))];
+        const typeNames = new Map(await Promise.all(typeIds.map(async id => [id, await this.getShipName(id)])));
+
+        const getRoleTags = (fit) => {
+            const names = [...fit.weapons, ...fit.modules].map(item => typeNames.get(item.typeId) || '');
+            return FIT_INFERENCE_CONFIG.ROLE_TAGS
+                .filter(tag => tag.match.some(match => names.some(name => name.includes(match))))
+                .map(tag => tag.label);
+        };
+
+        const getConfidenceClass = (confidence) => {
+            if (confidence >= 70) return 'fit-confidence-high';
+            if (confidence >= 35) return 'fit-confidence-medium';
+            return 'fit-confidence-low';
+        };
+
+        const fitsHTML = fitInference.map(fit => {
+            const tags = getRoleTags(fit);
+            const usage = [
+                fit.killsFlown > 0 ? `${fit.killsFlown} kill${fit.killsFlown !== 1 ? 's' : ''}` : '',
+                fit.losses > 0 ? `${fit.losses} lost` : ''
+            ].filter(Boolean).join(' · ');
+
+            return `
+            <div class="loss-fit likely-fit">
+                <div class="loss-fit-header">
+                    <img src="https://images.evetech.net/types/${sanitizeId(fit.shipTypeId)}/icon?size=${IMAGE_PLACEHOLDER_SIZE_PX}" alt="" class="loss-icon" loading="lazy">
+                    <span class="loss-name">${escapeHtml(typeNames.get(fit.shipTypeId))}</span>
+                    <span class="loss-count">${usage}</span>
+                    <span class="fit-confidence ${getConfidenceClass(fit.confidence)}" title="Based on ${fit.killsFlown} kills and ${fit.losses} fitted losses">${fit.confidence}% confidence</span>
+                </div>
+                ${tags.length > 0 ? `
+                <div class="fit-role-tags">
+                    ${tags.map(tag => `<span class="fit-role-tag">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+                ` : ''}
+                ${fit.weapons.length > 0 ? `
+                <div class="fit-label">Weapons seen on kills</div>
+                <div class="loss-fit-modules">
+                    ${fit.weapons.map(weapon => `
+                        <span class="loss-fit-module slot-high" title="Used on ${weapon.share}% of kills in this hull">${escapeHtml(typeNames.get(weapon.typeId))} · ${weapon.share}%</span>
+                    `).join('')}
+                </div>
+                ` : ''}
+                <div class="fit-label">Fitted modules from losses</div>
+                <div class="loss-fit-modules">
+                    ${fit.modules.length > 0 ? fit.modules.map(module => `
+                        <span class="loss-fit-module slot-${module.slot}" title="Fitted on ${module.share}% of losses">${escapeHtml(typeNames.get(module.typeId))}</span>
+                    `).join('') : `<span class="loss-fit-empty">${fit.losses > 0 ? 'No consistent modules' : 'No losses in this hull'}</span>`}
+                </div>
+            </div>
+            `;
+        }).join('');
+
+        return `
+        <div class="zkill-section zkill-likely-fits">
+            <h3 class="zkill-section-title">
+                <span class="zkill-section-icon">🔧</span>
+                Likely Fits
+            </h3>
+            ${fitsHTML}
+        </div>
+        `;
+    }
+
+    async createAssociatesHTML(killmailData) {
+        const associates = killmailData?.analysis?.associates;
+        if (!associates) {
+            return '';
+        }
+
+        const { characters, corporations, alliances } = associates;
+        if (characters.length + corporations.length + alliances.length === 0) {
+            return '';
+        }
+
+        const ids = [...characters, ...corporations, ...alliances].map(entry => entry.id);
+        let names = new Map();
+        try {
+            const resolved = await esiClient.post('/universe/names/', ids) || [];
+            names = new Map(resolved.map(entry => [entry.id, entry.name]));
+        } catch (e) {
+            console.warn('Failed to resolve associate names:', e);
+        }
+
+        const formatLastSeen = (time) => time ? new Date(time).toISOString().slice(0, 10) : 'unknown';
+
+        const renderColumn = (entries, type, imagePath, icon, title) => {
+            const itemsHTML = entries.length > 0 ? entries.map(entry => {
+                const name = names.get(entry.id) || `Unknown ${type}`;
+                return `
+                <div class="zkill-top10-item"
+                     data-click-action="show-${type}"
+                     data-${type}-id="${sanitizeId(entry.id)}"
+                     data-${type}-name="${sanitizeAttribute(name)}">
+                    <img src="https://images.evetech.net/${imagePath}/${sanitizeId(entry.id)}/${type === 'character' ? 'portrait' : 'logo'}?size=${IMAGE_PLACEHOLDER_SIZE_PX}"
+                         alt="${sanitizeAttribute(name)}"
+                         class="zkill-top10-portrait"
+                         loading="lazy">
+                    <div class="zkill-top10-info">
+                        <div class="zkill-top10-name">${escapeHtml(name)}</div>
+                        <div class="zkill-top10-value">${entry.count} shared kills · last ${formatLastSeen(entry.lastSeen)}</div>
+                    </div>
+                </div>
+                `;
+            }).join('') : `<div class="zkill-top10-empty">No repeat ${type} associates</div>`;
+
+            return `
+                <div class="zkill-top10-column">
+                    <h4 class="zkill-top10-column-title">
+                        <span class="zkill-top10-column-icon">${icon}</span>
+                        ${title}
+                    </h4>
+                    <div class="zkill-top10-list">
+                        ${itemsHTML}
+                    </div>
+                </div>
+            `;
+        };
+
+        return `
+        <div class="zkill-section zkill-associates">
+            <h3 class="zkill-section-title">
+                <span class="zkill-section-icon">🤝</span>
+                Frequent Associates
+                <span class="zkill-associates-subtitle">across ${associates.sharedKills} shared kills</span>
+            </h3>
+            <div class="zkill-top10-grid">
+                ${renderColumn(characters, 'character', 'characters', '👤', 'Pilots')}
+                ${renderColumn(corporations, 'corporation', 'corporations', '🏢', 'Corporations')}
+                ${renderColumn(alliances, 'alliance', 'alliances', '🌐', 'Alliances')}
+            </div>
+        </div>
+        `;
+    }
+
+    async createLossAnalysisHTML(lossData) {
+        if (!lossData || !lossData.hasData || !lossData.analysis) {
+            return '';
+        }
+
+        const analysis = lossData.analysis;
+        const typeIds = [...new Set([
+            ...analysis.shipsLost.map(s => s.shipTypeId),
+            ...analysis.typicalFits.flatMap(fit => [fit.shipTypeId, ...fit.modules.map(m => m.typeId)])
+        ])];
+        const systemIds = analysis.deathLocations.map(l => l.systemId);
+
+        const typeNames = new Map(await Promise.all(typeIds.map(async id => [id, await this.getShipName(id)])));
+        const systems = new Map(await Promise.all(systemIds.map(async id => [id, await this.getSystemName(id)])));
+
+        const shipsHTML = analysis.shipsLost.map(ship => `
+            <div class="loss-row">
+                <img src="https://images.evetech.net/types/${sanitizeId(ship.shipTypeId)}/icon?size=${IMAGE_PLACEHOLDER_SIZE_PX}" alt="" class="loss-icon" loading="lazy">
+                <span class="loss-name">${escapeHtml(typeNames.get(ship.shipTypeId))}</span>
+                <span class="loss-count">${ship.count}×</span>
+                <span class="loss-isk">${this.formatNumber(ship.iskLost)}</span>
+            </div>
+        `).join('');
+
+        const locationsHTML = analysis.deathLocations.map(location => {
+            const system = systems.get(location.systemId) || { name: 'Unknown System', security: null };
+            const secStatus = system.security !== undefined && system.security !== null ? system.security.toFixed(1) : '?';
+            return `
+            <div class="loss-row">
+                <span class="zkill-kill-sec ${this.getSecurityClass(system.security, system.name)}">${secStatus}</span>
+                <span class="loss-name">${escapeHtml(system.name)}</span>
+                <span class="loss-count">${location.count}× · ${location.percentage}%</span>
+                <span class="loss-isk">${this.formatNumber(location.iskLost)}</span>
+            </div>
+            `;
+        }).join('');
+
+        const maxWeekIsk = Math.max(...analysis.iskOverTime.map(w => w.iskLost), 0);
+        const timelineHTML = analysis.iskOverTime.map(week => {
+            const height = maxWeekIsk > 0 ? Math.max(week.iskLost > 0 ? 4 : 0, Math.round((week.iskLost / maxWeekIsk) * 100)) : 0;
+            return `
+            <div class="loss-timeline-bar" title="Week of ${week.weekStart}: ${week.count} loss${week.count !== 1 ? 'es' : ''}, ${this.formatNumber(week.iskLost)} ISK">
+                <div class="loss-timeline-fill" style="height: ${height}%"></div>
+            </div>
+            `;
+        }).join('');
+
+        const fitsHTML = analysis.typicalFits.map(fit => `
+            <div class="loss-fit">
+                <div class="loss-fit-header">
+                    <img src="https://images.evetech.net/types/${sanitizeId(fit.shipTypeId)}/icon?size=${IMAGE_PLACEHOLDER_SIZE_PX}" alt="" class="loss-icon" loading="lazy">
+                    <span class="loss-name">${escapeHtml(typeNames.get(fit.shipTypeId))}</span>
+                    <span class="loss-count">${fit.losses} lost</span>
+                </div>
+                <div class="loss-fit-modules">
+                    ${fit.modules.length > 0 ? fit.modules.map(module => `
+                        <span class="loss-fit-module slot-${module.slot}" title="Fitted on ${module.share}% of losses">${escapeHtml(typeNames.get(module.typeId))}</span>
+                    `).join('') : '<span class="loss-fit-empty">No consistent modules</span>'}
+                </div>
+            </div>
+        `).join('');
+
+        return `
+        <div class="zkill-section zkill-loss-analysis">
+            <h3 class="zkill-section-title">
+                <span class="zkill-section-icon">💥</span>
+                Last ${lossData.totalFetched} Losses
+            </h3>
+            <div class="zkill-stats-grid zkill-stats-grid-single-row">
+                <div class="zkill-stat-item zkill-stat-item-compact">
+                    <div class="zkill-stat-label">ISK Lost</div>
+                    <div class="zkill-stat-value zkill-stat-value-isk">${this.formatNumber(analysis.totalIskLost)}</div>
+                </div>
+                <div class="zkill-stat-item zkill-stat-item-compact">
+                    <div class="zkill-stat-label">Average Loss</div>
+                    <div class="zkill-stat-value zkill-stat-value-isk">${this.formatNumber(analysis.avgValue)}</div>
+                </div>
+            </div>
+            <div class="loss-subtitle">ISK Lost per Week</div>
+            <div class="loss-timeline">${timelineHTML}</div>
+            <div class="loss-columns">
+                <div class="loss-column">
+                    <div class="loss-subtitle">Ships Lost</div>
+                    ${shipsHTML}
+                </div>
+                <div class="loss-column">
+                    <div class="loss-subtitle">Where They Die</div>
+                    ${locationsHTML}
+                </div>
+            </div>
+            ${fitsHTML ? `<div class="loss-subtitle">Typical Fits Lost</div>${fitsHTML}` : ''}
+        </div>
+        `;
+    }
+
+    async createCorporationHistoryHTML(characterId) {
+        const [history, hostileAllianceIds] = await Promise.all([
+            getCharacterCorporationHistory(characterId),
+            getHostileHistoryAllianceIds()
+        ]);
+
+        if (!history || history.length === 0) {
+            return '';
+        }
+
+        const hostileIds = new Set(hostileAllianceIds);
+        const flags = analyseCorporationHistory(history, hostileAllianceIds);
+        const flagsHTML = flags.length > 0 ? `
+            <div class="corp-history-flags">
+                ${flags.map(flag => `<span class="corp-history-flag ${flag.severity}">⚠️ ${escapeHtml(flag.text)}</span>`).join('')}
+            </div>
+        ` : '';
+
+        const formatDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : 'now';
+        const entriesHTML = history.slice(0, CORP_HISTORY_CONFIG.TIMELINE_DISPLAY_LIMIT).map((stint, index) => {
+            const alliancesHTML = (stint.alliances || []).map(alliance => `
+                <span class="corp-history-alliance ${hostileIds.has(alliance.alliance_id) ? 'hostile' : ''}"
+                      data-click-action="show-alliance"
+                      data-alliance-id="${sanitizeId(alliance.alliance_id)}"
+                      data-alliance-name="${sanitizeAttribute(alliance.alliance_name)}">🏛️ ${escapeHtml(alliance.alliance_name)}</span>
+            `).join('');
+
+            return `
+            <div class="corp-history-entry ${index === 0 ? 'current' : ''}">
+                <img src="https://images.evetech.net/corporations/${sanitizeId(stint.corporation_id)}/logo?size=${IMAGE_PLACEHOLDER_SIZE_PX}"
+                     alt="" class="corp-history-logo" loading="lazy">
+                <div class="corp-history-info">
+                    <span class="corp-history-name"
+                          data-click-action="show-corporation"
+                          data-corporation-id="${sanitizeId(stint.corporation_id)}"
+                          data-corporation-name="${sanitizeAttribute(stint.corporation_name)}">${sanitizeCorporationName(stint.corporation_name)}</span>
+                    ${alliancesHTML}
+                </div>
+                <div class="corp-history-dates">
+                    ${formatDate(stint.start_date)} → ${formatDate(stint.end_date)}
+                    <span class="corp-history-days">${stint.days}d</span>
+                </div>
+            </div>
+            `;
+        }).join('');
+
+        const hiddenCount = history.length - CORP_HISTORY_CONFIG.TIMELINE_DISPLAY_LIMIT;
+
+        return `
+        <div class="zkill-section zkill-corp-history">
+            <h3 class="zkill-section-title">
+                <span class="zkill-section-icon">🏢</span>
+                Employment History
+            </h3>
+            ${flagsHTML}
+            <div class="corp-history-timeline">
+                ${entriesHTML}
+            </div>
+            ${hiddenCount > 0 ? `<div class="corp-history-more">+${hiddenCount} earlier corporation${hiddenCount !== 1 ? 's' : ''}</div>` : ''}
+        </div>
+        `;
+    }
+
     async createRecentKillsHTML(killmailData, entityType, entityId) {
         if (!killmailData || !killmailData.recentKills || killmailData.recentKills.length === 0) {
             return '';
@@ -1308,12 +1694,7 @@ class ZKillStatsCard {
 
         if (threatAssessment) {
             adjustedRiskProfile = threatAssessment.riskLevel;
-            const score = threatAssessment.totalScore;
-            if (score >= 90) riskLevel = 'high';
-            else if (score >= 70) riskLevel = 'high';
-            else if (score >= 50) riskLevel = 'moderate';
-            else if (score >= 20) riskLevel = 'low';
-            else riskLevel = 'low';
+            riskLevel = threatAssessment.riskBand;
         } else {
             let baseRiskLevel = securityPreference.riskProfile === 'High Risk' ? 'high' :
                 securityPreference.riskProfile === 'Risk Averse' ? 'low' : 'moderate';
@@ -1388,6 +1769,12 @@ class ZKillStatsCard {
                         <div class="zkill-risk-icon">${riskLevel === 'high' ? '🔥' : riskLevel === 'low' ? '🛡️' : '⚠️'}</div>
                         <div class="zkill-risk-level">${adjustedRiskProfile}</div>
                         <div class="zkill-risk-space">Primarily ${securityPreference.primary}</div>
+                        ${threatAssessment?.tags?.length > 0 ? `
+                        <div class="zkill-risk-tags">
+                            ${threatAssessment.tags.map(tag => `<span class="zkill-risk-tag">${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                        ` : ''}
+                        ${threatAssessment?.profile ? `<div class="zkill-risk-profile">Model: ${escapeHtml(threatAssessment.profile)}</div>` : ''}
                     </div>
                 </div>
                 <div class="zkill-threat-details">
@@ -1419,10 +1806,58 @@ class ZKillStatsCard {
                 </div>
                 ` : ''}
             </div>
+            ${this.createScoreBreakdownHTML(threatAssessment)}
         </div>
         `;
     }
 
+    createScoreBreakdownHTML(threatAssessment) {
+        const explanation = threatAssessment?.explanation;
+        if (!explanation) return '';
+
+        const formatTime = (time) => time ? new Date(time).toISOString().slice(0, 16).replace('T', ' ') : '';
+
+        const componentsHTML = explanation.components.map(component => `
+            <div class="threat-breakdown-item">
+                <div class="threat-breakdown-header" data-action="toggle-breakdown">
+                    <span class="threat-breakdown-label">${escapeHtml(component.label)}</span>
+                    <div class="threat-breakdown-bar">
+                        <div class="threat-breakdown-fill" style="width: ${Math.min(100, component.score)}%"></div>
+                    </div>
+                    <span class="threat-breakdown-score">${component.score} × ${component.weight}</span>
+                    <span class="threat-breakdown-contribution">+${component.contribution}</span>
+                    <span class="threat-breakdown-toggle">▼</span>
+                </div>
+                <div class="threat-breakdown-details">
+                    <div class="threat-breakdown-summary">${escapeHtml(component.summary)}</div>
+                    ${component.killmails.map(kill => `
+                    <a href="https://zkillboard.com/kill/${sanitizeId(kill.killmailId)}/" target="_blank" rel="noopener" class="threat-evidence">
+                        ${kill.victimShipTypeId ? `<img src="https://images.evetech.net/types/${sanitizeId(kill.victimShipTypeId)}/icon?size=${IMAGE_PLACEHOLDER_SIZE_PX}" alt="" class="threat-evidence-icon" loading="lazy">` : ''}
+                        <span class="threat-evidence-time">${formatTime(kill.time)}</span>
+                        ${kill.reason ? `<span class="threat-evidence-reason">${escapeHtml(kill.reason)}</span>` : ''}
+                        <span class="threat-evidence-value">${this.formatNumber(kill.value)} ISK</span>
+                    </a>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        const adjustmentsHTML = explanation.adjustments.map(adjustment => `
+            <div class="threat-breakdown-adjustment">
+                <span>${escapeHtml(adjustment.label)}</span>
+                <span class="${adjustment.value < 0 ? 'threat-adjustment-negative' : 'threat-adjustment-positive'}">${adjustment.value > 0 ? '+' : ''}${adjustment.value}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="threat-breakdown">
+                <div class="threat-breakdown-title">Score Breakdown (${threatAssessment.totalScore})</div>
+                ${componentsHTML}
+                ${adjustmentsHTML}
+            </div>
+        `;
+    }
+
     createCombinedStatsAndChartsHTML(stats, securityPreference, activityInsights, activePvPData, activityData) {
         const spaceChart = securityPreference && securityPreference.breakdown && securityPreference.breakdown.length > 0
             ? this.createSpacePieChart(securityPreference.breakdown)
@@ -1558,6 +1993,9 @@ class ZKillStatsCard {
     }
 
     close() {
+        this.loadController?.abort();
+        this.loadController = null;
+
         if (!this.currentModal || !this.isVisible) return;
 
         this.currentModal.classList.remove('show');
@@ -1691,7 +2129,9 @@ class ZKillStatsCard {
             clearInterval(timerInterval);
 
             if (!stats || (stats.totalKills === 0 && stats.totalLosses === 0)) {
-                containerElement.innerHTML = this.createEmptyStateHTML(entityName || 'Entity');
+                const corpHistoryHTML = entityType === 'character' ? await this.createCorporationHistoryHTML(entityId) : '';
+                containerElement.innerHTML = this.createEmptyStateHTML(entityName || 'Entity') + corpHistoryHTML;
+                this.setupSectionToggleHandlers(containerElement);
                 return;
             }
 
@@ -1709,6 +2149,7 @@ class ZKillStatsCard {
                 `${this.formatNumber(stats.memberCount)} member${stats.memberCount !== 1 ? 's' : ''}` : '';
 
             let affiliationBadges = '';
+            let warStatus = null;
             if (entityType === 'character') {
                 let character = this.completeResults.find(char => char.character_id == entityId);
 
@@ -1726,6 +2167,16 @@ class ZKillStatsCard {
                 }
 
                 if (character) {
+                    warStatus = getWarStatus(character.corporation_id, character.alliance_id);
+                    if (character.ship_type_name) {
+                        affiliationBadges += `<span class="detail-badge">🚀 ${escapeHtml(character.ship_type_name)}</span>`;
+                    }
+                    if (character.system_name) {
+                        affiliationBadges += `<span class="detail-badge">📍 ${escapeHtml(character.system_name)}</span>`;
+                    }
+                    if (character.fleet_role) {
+                        affiliationBadges += `<span class="detail-badge">⭐ ${escapeHtml(character.fleet_role)}</span>`;
+                    }
                     if (character.corporation_id && character.corporation_name) {
                         affiliationBadges += `<span class="detail-badge detail-badge-clickable" data-click-action="show-corporation" data-corporation-id="${sanitizeId(character.corporation_id)}" data-corporation-name="${sanitizeAttribute(character.corporation_name)}" style="cursor: pointer;">🏢 ${escapeHtml(character.corporation_name)}</span>`;
                     }
@@ -1746,11 +2197,18 @@ class ZKillStatsCard {
                     }
                 }
 
+                warStatus = getWarStatus(parseInt(entityId), character?.alliance_id);
                 if (character && character.alliance_id && character.alliance_name) {
                     affiliationBadges += `<span class="detail-badge detail-badge-clickable" data-click-action="show-alliance" data-alliance-id="${sanitizeId(character.alliance_id)}" data-alliance-name="${sanitizeAttribute(character.alliance_name)}" style="cursor: pointer;">🏛️ ${escapeHtml(character.alliance_name)}</span>`;
                 }
             }
 
+            if (entityType === 'alliance') {
+                warStatus = getWarStatus(null, parseInt(entityId));
+                const hostile = (await getHostileAllianceIds()).includes(parseInt(entityId));
+                affiliationBadges += this.createHostileToggleHTML(entityId, hostile);
+            }
+
             let playstyleTags = '';
             if (stats.combatStyle?.playstyleDetails?.length > 0) {
                 const tags = stats.combatStyle.playstyleDetails;
@@ -1769,13 +2227,17 @@ class ZKillStatsCard {
                             ${memberText ? `<span class="detail-badge">👥 ${memberText}</span>` : ''}
                             ${affiliationBadges}
                             ${warBadge}
+                            ${warStatus ? `<span class="detail-badge war-status-${warStatus}">⚔️ ${getWarStatusLabel(warStatus)}</span>` : ''}
                             ${playstyleTags}
                         </div>
+                        ${this.createStandingPickerHTML(entityType, entityId, name)}
                     </div>
                 </div>
                 ${content}
             `;
 
+            this.trackScoredView(containerElement, stats);
+            this.setupBreakdownToggles(containerElement);
             this.setupSectionToggleHandlers(containerElement);
 
         } catch (error) {
@@ -1790,6 +2252,25 @@ class ZKillStatsCard {
         }
     }
 
+    createStandingPickerHTML(entityType, entityId, entityName) {
+        const current = getStanding(entityId) ?? 0;
+        const options = [-10, -5, 0, 5, 10].map(value => {
+            const active = value === current ? 'active' : '';
+            return `<span class="standing-option ${getStandingClass(value) || 'standing-neutral'} ${active}" data-click-action="set-standing" data-entity-type="${sanitizeAttribute(entityType)}" data-entity-id="${sanitizeId(entityId)}" data-entity-name="${sanitizeAttribute(entityName)}" data-standing="${value}">${formatStanding(value)}</span>`;
+        }).join('');
+
+        return `
+            <div class="standing-picker">
+                <span class="standing-picker-label">Standing</span>
+                ${options}
+            </div>
+        `;
+    }
+
+    createHostileToggleHTML(allianceId, hostile) {
+        return `<span class="detail-badge detail-badge-clickable hostile-toggle ${hostile ? 'hostile' : ''}" data-click-action="toggle-hostile" data-alliance-id="${sanitizeId(allianceId)}" data-hostile="${hostile}" style="cursor: pointer;">${hostile ? '☠️ Hostile' : '☠️ Mark Hostile'}</span>`;
+    }
+
     setupSectionToggleHandlers(containerElement) {
         const sectionHeaders = containerElement.querySelectorAll('.section-header, .zkill-section-header');
         sectionHeaders.forEach(header => {
@@ -1841,6 +2322,22 @@ class ZKillStatsCard {
                     if (allianceId) {
                         this.showAllianceStatsInline(allianceId, containerElement, allianceName);
                     }
+                } else if (action === 'set-standing') {
+                    const { entityType, entityId, entityName, standing } = clickableItem.dataset;
+                    const picker = clickableItem.closest('.standing-picker');
+                    setEntityStanding(entityType, entityId, entityName, standing).then(result => {
+                        if (result?.success && picker) {
+                            picker.outerHTML = this.createStandingPickerHTML(entityType, entityId, entityName);
+                        }
+                    });
+                } else if (action === 'toggle-hostile') {
+                    const allianceId = clickableItem.dataset.allianceId;
+                    const hostile = clickableItem.dataset.hostile !== 'true';
+                    setAllianceHostile(allianceId, hostile).then(result => {
+                        if (result?.success) {
+                            clickableItem.outerHTML = this.createHostileToggleHTML(allianceId, hostile);
+                        }
+                    });
                 }
             }
         });
@@ -8,7 +8,7 @@
 import { getCachedKills, setCachedKills } from './database.js';
 import { getRuntimePaginationConfig } from './user-settings.js';
 import { ZKILL_CONFIG } from './config.js';
-import { ZKillError, computePoW, getProxyParam, executeWithRetry } from './zkill-utils.js';
+import { ZKillError, computePoW, updatePoWDifficulty, getProxyParam, executeWithRetry, createProxyError } from './zkill-utils.js';
 
 class ZKillKillsClient {
     constructor() {
@@ -16,15 +16,17 @@ class ZKillKillsClient {
         this.pendingStreamingRequests = new Map();
     }
 
-    async executeRequest(entityType, entityId, page = 1) {
+    async executeRequest(entityType, entityId, page = 1, killType = 'kills', signal = null) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), ZKILL_CONFIG.REQUEST_TIMEOUT_MS);
+        const abortRequest = () => controller.abort();
+        signal?.addEventListener('abort', abortRequest, { once: true });
 
         try {
             const proxyParam = getProxyParam(entityType);
-            const { nonce, ts, hash } = await computePoW(entityId);
+            const { nonce, ts, hash } = await computePoW(entityId, { signal });
 
-            const proxyUrl = `${ZKILL_CONFIG.PROXY_BASE_URL}?kills=${proxyParam}&id=${entityId}&page=${page}&nonce=${nonce}&ts=${ts}&hash=${hash}`;
+            const proxyUrl = `${ZKILL_CONFIG.PROXY_BASE_URL}?${killType}=${proxyParam}&id=${entityId}&page=${page}&nonce=${nonce}&ts=${ts}&hash=${hash}`;
 
             this.requestCount++;
 
@@ -37,25 +39,19 @@ class ZKillKillsClient {
             });
 
             clearTimeout(timeoutId);
+            updatePoWDifficulty(response);
 
             if (!response.ok) {
                 if (response.status === 404) {
                     return [];
-                } else if (response.status === 429 || response.status === 420) {
-                    throw new ZKillError('Rate limited by proxy. Please try again later.', 429, entityType, entityId);
-                } else if (response.status >= 500) {
-                    throw new ZKillError(`Proxy server error (${response.status})`, response.status, entityType, entityId);
-                } else if (response.status === 400) {
-                    throw new ZKillError('Invalid proof-of-work or request format', 400, entityType, entityId);
-                } else {
-                    throw new ZKillError(`Proxy request failed: ${response.status} ${response.statusText}`, response.status, entityType, entityId);
                 }
+                throw createProxyError(response, entityType, entityId);
             }
 
             const data = await response.json();
 
             if (!Array.isArray(data)) {
-                console.warn('Expected array from kills endpoint, got:', typeof data);
+                console.warn(`Expected array from ${killType} endpoint, got:`, typeof data);
                 return [];
             }
 
@@ -64,15 +60,21 @@ class ZKillKillsClient {
         } catch (error) {
             clearTimeout(timeoutId);
 
+            if (signal?.aborted) {
+                throw new ZKillError('Request cancelled', 499, entityType, entityId);
+            }
+
             if (error.name === 'AbortError') {
                 throw new ZKillError('Request timed out. Please try again.', 408, entityType, entityId);
             }
 
             throw error;
+        } finally {
+            signal?.removeEventListener('abort', abortRequest);
         }
     }
 
-    async getEntityKillsStreaming(entityType, entityId, onPageReceived, onProgress = null, maxKills = null) {
+    async getEntityKillsStreaming(entityType, entityId, onPageReceived, onProgress = null, maxKills = null, killType = 'kills', signal = null) {
         if (!entityType || !['characterID', 'corporationID', 'allianceID'].includes(entityType)) {
             throw new ZKillError('Invalid entity type. Must be characterID, corporationID, or allianceID', 400, entityType, entityId);
         }
@@ -84,7 +86,7 @@ class ZKillKillsClient {
         entityId = parseInt(entityId);
 
         const entityTypeShort = entityType.replace('ID', '');
-        const cached = await getCachedKills(entityTypeShort, entityId);
+        const cached = await getCachedKills(entityTypeShort, entityId, killType);
         if (cached) {
             const killsToReturn = maxKills ? cached.kills.slice(0, maxKills) : cached.kills;
             if (onPageReceived) {
@@ -93,7 +95,7 @@ class ZKillKillsClient {
             return killsToReturn;
         }
 
-        const key = `${entityType}_${entityId}`;
+        const key = `${killType}_${entityType}_${entityId}`;
         // If an identical streaming request is in-flight, attach as a subscriber
         if (this.pendingStreamingRequests.has(key)) {
             const pending = this.pendingStreamingRequests.get(key);
@@ -125,7 +127,7 @@ class ZKillKillsClient {
                 try {
                     while (shouldContinue && currentPage <= paginationConfig.MAX_PAGES) {
                         const pageKills = await executeWithRetry(
-                            () => this.executeRequest(entityType, entityId, currentPage),
+                            () => this.executeRequest(entityType, entityId, currentPage, killType, signal),
                             entityType,
                             entityId
                         );
@@ -194,7 +196,7 @@ class ZKillKillsClient {
                     }
 
                     const killsToCache = maxKills && allKills.length > maxKills ? allKills.slice(0, maxKills) : allKills;
-                    await setCachedKills(entityTypeShort, entityId, killsToCache);
+                    await setCachedKills(entityTypeShort, entityId, killsToCache, killType);
 
                     // resolve all subscribers
                     const result = killsToCache;
@@ -213,7 +215,7 @@ class ZKillKillsClient {
                         throw error;
                     }
                     throw new ZKillError(
-                        `Failed to fetch kills for ${entityType} ${entityId}: ${error.message}`,
+                        `Failed to fetch ${killType} for ${entityType} ${entityId}: ${error.message}`,
                         500,
                         entityType,
                         entityId
@@ -232,7 +234,7 @@ class ZKillKillsClient {
             }
 
             throw new ZKillError(
-                `Failed to fetch kills for ${entityType} ${entityId}: ${error.message}`,
+                `Failed to fetch ${killType} for ${entityType} ${entityId}: ${error.message}`,
                 500,
                 entityType,
                 entityId
@@ -244,6 +246,10 @@ class ZKillKillsClient {
         return this.getEntityKillsStreaming(entityType, entityId, null, onProgress, maxKills);
     }
 
+    async getEntityLosses(entityType, entityId, onProgress = null, maxLosses = null, signal = null) {
+        return this.getEntityKillsStreaming(entityType, entityId, null, onProgress, maxLosses, 'losses', signal);
+    }
+
     async verifyTimespan(kills, targetDays) {
         if (!kills || kills.length === 0) {
             return { meetsRequirement: false, actualDays: 0 };
@@ -326,15 +332,26 @@ export async function get_zkill_alliance_kills(allianceId, onProgress = null, ma
     }
 }
 
-export async function get_zkill_kills_streaming(entityType, entityId, onPageReceived, onProgress = null, maxKills = null) {
+export async function get_zkill_kills_streaming(entityType, entityId, onPageReceived, onProgress = null, maxKills = null, signal = null) {
     try {
-        return await zkillKillsClient.getEntityKillsStreaming(entityType, entityId, onPageReceived, onProgress, maxKills);
+        return await zkillKillsClient.getEntityKillsStreaming(entityType, entityId, onPageReceived, onProgress, maxKills, 'kills', signal);
     } catch (error) {
+        if (error.status === 499) return [];
         console.error(`Failed to get streaming kills for ${entityType} ${entityId}:`, error);
         return [];
     }
 }
 
+export async function get_zkill_entity_losses(entityType, entityId, onProgress = null, maxLosses = null, signal = null) {
+    try {
+        return await zkillKillsClient.getEntityLosses(entityType, entityId, onProgress, maxLosses, signal);
+    } catch (error) {
+        if (error.status === 499) return [];
+        console.error(`Failed to get losses for ${entityType} ${entityId}:`, error);
+        return [];
+    }
+}
+
 export function get_zkill_kills_stats() {
     return zkillKillsClient.getStats();
 }
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 import { ZKILL_CONFIG } from './config.js';
 import { APIError } from './errors.js';
+import { requestPoW } from './pow-pool.js';
 
 export class ZKillError extends APIError {
     constructor(message, status, entityType = null, entityId = null) {
@@ -14,6 +15,7 @@ export class ZKillError extends APIError {
         this.name = 'ZKillError';
         this.entityType = entityType;
         this.entityId = entityId;
+        this.retryAfterMs = null;
     }
 }
 
@@ -23,33 +25,82 @@ export const ENTITY_TYPE_MAP = {
     'allianceID': 'alliance'
 };
 
-export async function computePoW(id, difficulty = ZKILL_CONFIG.POW_DIFFICULTY) {
-    const ts = Math.floor(Date.now() / 1000);
-    let nonce = 0;
-    const targetPrefix = '0'.repeat(difficulty / 4);
-    const maxIterations = Math.max(100000, ZKILL_CONFIG.POW_MAX_ITERATIONS || 1000000);
-    const yieldEvery = 2000; // yield to event loop periodically to avoid blocking
-
-    while (nonce < maxIterations) {
-        const input = `${id}|${nonce}|${ts}`;
-        const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(input));
-        const hashHex = [...new Uint8Array(buf)]
-            .map(x => x.toString(16).padStart(2, "0"))
-            .join("");
-
-        if (hashHex.startsWith(targetPrefix)) {
-            return { nonce, ts, hash: hashHex };
-        }
+let powDifficulty = ZKILL_CONFIG.POW_DIFFICULTY;
+let difficultyCheckedAt = 0;
+let difficultyRequest = null;
+
+export function getPoWDifficulty() {
+    return powDifficulty;
+}
+
+export function updatePoWDifficulty(response) {
+    const advertised = parseInt(response.headers.get('X-PoW-Difficulty'), 10);
+    if (Number.isInteger(advertised) && advertised > 0) {
+        powDifficulty = Math.min(advertised, ZKILL_CONFIG.POW_MAX_DIFFICULTY);
+        difficultyCheckedAt = Date.now();
+    }
+}
+
+export async function loadPoWDifficulty() {
+    if (Date.now() - difficultyCheckedAt < ZKILL_CONFIG.POW_DIFFICULTY_REFRESH_MS) {
+        return powDifficulty;
+    }
+
+    if (!difficultyRequest) {
+        difficultyRequest = fetch(`${ZKILL_CONFIG.PROXY_BASE_URL}?difficulty`, { headers: { 'Accept': 'application/json' } })
+            .then(updatePoWDifficulty)
+            .catch(error => console.warn('Failed to fetch proof-of-work difficulty:', error))
+            .finally(() => {
+                difficultyCheckedAt = Date.now();
+                difficultyRequest = null;
+            });
+    }
 
-        nonce++;
+    await difficultyRequest;
+    return powDifficulty;
+}
+
+function getBatchExtraDifficulty(batchSize) {
+    return Math.ceil(Math.log2(Math.max(1, batchSize)));
+}
+
+// largest batch whose extra difficulty still fits under POW_MAX_DIFFICULTY
+export function getMaxBatchSize() {
+    const spareBits = Math.max(0, ZKILL_CONFIG.POW_MAX_DIFFICULTY - powDifficulty);
+    return Math.min(ZKILL_CONFIG.BATCH_MAX_IDS, 2 ** spareBits);
+}
 
-        // yield to the event loop every N iterations so main thread remains responsive
-        if ((nonce & (yieldEvery - 1)) === 0) {
-            await new Promise(resolve => setTimeout(resolve, 0));
+export async function computePoW(id, { batchSize = 1, signal = null } = {}) {
+    try {
+        const difficulty = Math.min(
+            await loadPoWDifficulty() + getBatchExtraDifficulty(batchSize),
+            ZKILL_CONFIG.POW_MAX_DIFFICULTY
+        );
+        return await requestPoW(id, { difficulty, signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
         }
+        throw new ZKillError(`Proof-of-work computation failed - ${error.message}`, 500);
     }
+}
 
-    throw new ZKillError('Proof-of-work computation failed - reached iteration limit', 500);
+export function createProxyError(response, entityType, entityId) {
+    if (response.status === 429 || response.status === 420) {
+        const error = new ZKillError('Rate limited by proxy. Please try again later.', 429, entityType, entityId);
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (retryAfter > 0) {
+            error.retryAfterMs = retryAfter * 1000;
+        }
+        return error;
+    } else if (response.status === 403) {
+        return new ZKillError('Proof-of-work rejected by proxy', 403, entityType, entityId);
+    } else if (response.status >= 500) {
+        return new ZKillError(`Proxy server error (${response.status})`, response.status, entityType, entityId);
+    } else if (response.status === 400) {
+        return new ZKillError('Invalid proof-of-work or request format', 400, entityType, entityId);
+    }
+    return new ZKillError(`Proxy request failed: ${response.status} ${response.statusText}`, response.status, entityType, entityId);
 }
 
 export async function executeWithRetry(requestFn, entityType, entityId, retryCount = 0, maxRetries = ZKILL_CONFIG.MAX_RETRIES) {
@@ -57,9 +108,10 @@ export async function executeWithRetry(requestFn, entityType, entityId, retryCou
         return await requestFn();
     } catch (error) {
         if (retryCount < maxRetries &&
-            (error.status >= 500 || error.status === 408 || error.status === 429)) {
+            (error.status >= 500 || error.status === 408 || error.status === 429 || error.status === 403)) {
 
-            const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 10000);
+            // 403 means the proof-of-work was refused, e.g. after a difficulty rise, so a fresh one may pass
+            const backoffDelay = error.retryAfterMs ?? Math.min(1000 * Math.pow(2, retryCount), 10000);
             console.warn(`Request failed, retrying in ${backoffDelay}ms (attempt ${retryCount + 1}/${maxRetries})`);
 
             await new Promise(resolve => setTimeout(resolve, backoffDelay));
@@ -5,16 +5,17 @@
     Licensed under AGPL License.
 */
 
-import { KILLMAIL_BATCH_SIZE, KILLMAIL_FETCH_DELAY_MS, ZKILL_CONFIG } from './config.js';
+import { KILLMAIL_BATCH_SIZE, KILLMAIL_FETCH_DELAY_MS, ZKILL_CONFIG, LOSS_ANALYSIS_CONFIG } from './config.js';
 import { getRuntimeMaxKillmails } from './user-settings.js';
 import { showWarning } from './ui.js';
 import { getShipClassification, SHIP_TYPE_TO_GROUP } from './eve-ship-data.js';
-import { get_zkill_character_kills, get_zkill_corporation_kills, get_zkill_alliance_kills } from './zkill-kills-api.js';
+import { get_zkill_character_kills, get_zkill_corporation_kills, get_zkill_alliance_kills, get_zkill_entity_losses } from './zkill-kills-api.js';
 import { fetchKillmailsBatch } from './esi-killmails.js';
-import { analyzeKillmails, getRecentKills, getTopValueKills } from './killmail-analysis.js';
+import { analyzeKillmails, analyzeLosses, inferFits, getRecentKills, getTopValueKills } from './killmail-analysis.js';
 import { SecurityClassification } from './zkill-card.js';
 import { assessEntityThreat } from './threat-assessment.js';
-import { ZKillError, computePoW, getProxyParam, executeWithRetry } from './zkill-utils.js';
+import { ZKillError, computePoW, getPoWDifficulty, getMaxBatchSize, loadPoWDifficulty, updatePoWDifficulty, getProxyParam, executeWithRetry, createProxyError } from './zkill-utils.js';
+import { precomputePoW } from './pow-pool.js';
 import { calculateTimezoneFromHourlyData, calculateTimezoneFromKillmails } from './timezone-utils.js';
 
 function distributePercentages(items, total, getCount) {
@@ -154,13 +155,15 @@ class ZKillboardClient {
         this.pendingRequests = new Map();
     }
 
-    async executeRequest(entityType, entityId) {
+    async executeRequest(entityType, entityId, signal = null) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), ZKILL_CONFIG.REQUEST_TIMEOUT_MS);
+        const abortRequest = () => controller.abort();
+        signal?.addEventListener('abort', abortRequest, { once: true });
 
         try {
             const proxyParam = getProxyParam(entityType);
-            const { nonce, ts, hash } = await computePoW(entityId);
+            const { nonce, ts, hash } = await computePoW(entityId, { signal });
 
             const proxyUrl = `${ZKILL_CONFIG.PROXY_BASE_URL}?${proxyParam}=${entityId}&nonce=${nonce}&ts=${ts}&hash=${hash}`;
 
@@ -175,19 +178,13 @@ class ZKillboardClient {
             });
 
             clearTimeout(timeoutId);
+            updatePoWDifficulty(response);
 
             if (!response.ok) {
                 if (response.status === 404) {
                     return null;
-                } else if (response.status === 429 || response.status === 420) {
-                    throw new ZKillError('Rate limited by proxy. Please try again later.', 429, entityType, entityId);
-                } else if (response.status >= 500) {
-                    throw new ZKillError(`Proxy server error (${response.status})`, response.status, entityType, entityId);
-                } else if (response.status === 400) {
-                    throw new ZKillError('Invalid proof-of-work or request format', 400, entityType, entityId);
-                } else {
-                    throw new ZKillError(`Proxy request failed: ${response.status} ${response.statusText}`, response.status, entityType, entityId);
                 }
+                throw createProxyError(response, entityType, entityId);
             }
 
             const text = await response.text();
@@ -203,11 +200,70 @@ class ZKillboardClient {
         } catch (error) {
             clearTimeout(timeoutId);
 
+            if (signal?.aborted) {
+                throw new ZKillError('Request cancelled', 499, entityType, entityId);
+            }
+
             if (error.name === 'AbortError') {
                 throw new ZKillError('Request timed out. Please try again.', 408, entityType, entityId);
             }
 
             throw error;
+        } finally {
+            signal?.removeEventListener('abort', abortRequest);
+        }
+    }
+
+    async executeBatchRequest(entityType, entityIds, signal = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), ZKILL_CONFIG.BATCH_TIMEOUT_MS);
+        const abortRequest = () => controller.abort();
+        signal?.addEventListener('abort', abortRequest, { once: true });
+
+        try {
+            const proxyParam = getProxyParam(entityType);
+            const ids = entityIds.join(',');
+            const { nonce, ts, hash } = await computePoW(ids, { batchSize: entityIds.length, signal });
+
+            const proxyUrl = `${ZKILL_CONFIG.PROXY_BASE_URL}?batch=${proxyParam}&ids=${ids}&nonce=${nonce}&ts=${ts}&hash=${hash}`;
+
+            this.requestCount++;
+
+            const response = await fetch(proxyUrl, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+            updatePoWDifficulty(response);
+
+            if (!response.ok) {
+                throw createProxyError(response, entityType, null);
+            }
+
+            try {
+                return await response.json();
+            } catch (parseError) {
+                throw new ZKillError('Invalid JSON response from proxy', 422, entityType, null);
+            }
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (signal?.aborted) {
+                throw new ZKillError('Request cancelled', 499, entityType, null);
+            }
+
+            if (error.name === 'AbortError') {
+                throw new ZKillError('Request timed out. Please try again.', 408, entityType, null);
+            }
+
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', abortRequest);
         }
     }
 
@@ -220,7 +276,7 @@ class ZKillboardClient {
         };
     }
 
-    async getEntityStats(entityType, entityId) {
+    async getEntityStats(entityType, entityId, { signal = null } = {}) {
 
         if (!entityType || !['characterID', 'corporationID', 'allianceID'].includes(entityType)) {
             throw new ZKillError('Invalid entity type. Must be characterID, corporationID, or allianceID', 400, entityType, entityId);
@@ -238,15 +294,21 @@ class ZKillboardClient {
         }
 
         const key = `${entityType}_${entityId}`;
-        if (this.pendingRequests.has(key)) {
-            return this.pendingRequests.get(key);
-        }
+        const pending = this.pendingRequests.get(key) || this.startStatsRequest(entityType, entityId, key);
+        return this.joinPendingRequest(pending, key, entityType, entityId, signal);
+    }
+
+    startStatsRequest(entityType, entityId, key) {
+        const controller = new AbortController();
+        const pending = { controller, waiters: 0 };
+
+        precomputePoW([entityId], { difficulty: getPoWDifficulty(), signal: controller.signal });
 
-        const promise = (async () => {
+        pending.promise = (async () => {
             try {
                 const rawData = await this.rateLimiter.scheduleRequest(() =>
                     executeWithRetry(
-                        () => this.executeRequest(entityType, entityId),
+                        () => this.executeRequest(entityType, entityId, controller.signal),
                         entityType,
                         entityId
                     )
@@ -275,12 +337,89 @@ class ZKillboardClient {
                     entityId
                 );
             } finally {
-                this.pendingRequests.delete(key);
+                if (this.pendingRequests.get(key) === pending) {
+                    this.pendingRequests.delete(key);
+                }
             }
         })();
+        pending.promise.catch(() => {});
 
-        this.pendingRequests.set(key, promise);
-        return promise;
+        this.pendingRequests.set(key, pending);
+        return pending;
+    }
+
+    // each caller can cancel its own wait; the shared request stops once all have
+    joinPendingRequest(pending, key, entityType, entityId, signal) {
+        pending.waiters++;
+        if (!signal) return pending.promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(new ZKillError('Request cancelled', 499, entityType, entityId));
+
+                pending.waiters--;
+                if (pending.waiters === 0) {
+                    if (this.pendingRequests.get(key) === pending) {
+                        this.pendingRequests.delete(key);
+                    }
+                    pending.controller.abort();
+                }
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            pending.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    async getEntityStatsBatch(entityType, entityIds, { signal = null } = {}) {
+        getProxyParam(entityType);
+
+        const ids = [...new Set(entityIds.map(id => parseInt(id)).filter(id => id > 0))]
+            .filter(id => !this.cache.get(entityType, id) && !this.pendingRequests.has(`${entityType}_${id}`));
+
+        if (ids.length === 0) return;
+
+        await loadPoWDifficulty();
+        const chunkSize = getMaxBatchSize();
+        const chunks = [];
+        for (let i = 0; i < ids.length; i += chunkSize) {
+            chunks.push(ids.slice(i, i + chunkSize));
+        }
+
+        const outcomes = await Promise.allSettled(chunks.map(chunk => this.fetchStatsChunk(entityType, chunk, signal)));
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+    }
+
+    async fetchStatsChunk(entityType, entityIds, signal) {
+        const data = await this.rateLimiter.scheduleRequest(() =>
+            executeWithRetry(
+                () => this.executeBatchRequest(entityType, entityIds, signal),
+                entityType,
+                null
+            )
+        );
+
+        const results = data?.results || {};
+        for (const entityId of entityIds) {
+            // IDs the proxy could not fetch are left for single requests to retry
+            if (!(entityId in results)) continue;
+
+            const rawData = results[entityId];
+            const stats = rawData
+                ? await this.processStatsData(rawData, entityType, entityId)
+                : this.createEmptyStats(entityType, entityId);
+            this.cache.set(entityType, entityId, stats);
+        }
     }
 
     async getEntityStatsWithKillmails(entityType, entityId, options = {}) {
@@ -288,13 +427,31 @@ class ZKillboardClient {
         const {
             maxKillmails = defaultMaxKillmails,
             fetchKillmails = true,
-            onProgress = null
+            onProgress = null,
+            signal = null
         } = options;
 
-        const stats = await this.getEntityStats(entityType, entityId);
+        const stats = await this.getEntityStats(entityType, entityId, { signal });
+
+        const lossPromise = fetchKillmails && stats.totalLosses > 0
+            ? this.getLossData(entityType, entityId, onProgress, signal).then(lossData => {
+                stats.lossData = lossData;
+            })
+            : Promise.resolve();
+
+        if (!fetchKillmails) {
+            return stats;
+        }
 
-        if (!fetchKillmails || stats.totalKills === 0) {
+        const allKillmails = [];
+        const withFitInference = async () => {
+            await lossPromise;
+            stats.fitInference = inferFits(allKillmails, stats.lossData?.rawLossmails, entityType, entityId);
             return stats;
+        };
+
+        if (stats.totalKills === 0) {
+            return withFitInference();
         }
 
         const zkillRoleAnalysis = this.analyzeZkillStatsForSpecialRoles(stats);
@@ -305,7 +462,6 @@ class ZKillboardClient {
             }
 
             const allKills = [];
-            const allKillmails = [];
             const pendingESIKills = [];
             let zkillComplete = false;
             let esiComplete = false;
@@ -341,7 +497,7 @@ class ZKillboardClient {
 
             const zkillPromise = (async () => {
                 try {
-                    await get_zkill_kills_streaming(entityType, entityId, processKillsPage, zkillProgress, maxKillmails);
+                    await get_zkill_kills_streaming(entityType, entityId, processKillsPage, zkillProgress, maxKillmails, signal);
                     zkillComplete = true;
                     if (onProgress) {
                         onProgress('zkill', `Collected ${allKills.length} kill IDs`, 100, 0);
@@ -387,10 +543,10 @@ class ZKillboardClient {
                 esiComplete = true;
             })();
 
-            await Promise.all([zkillPromise, esiPromise]);
+            await Promise.all([zkillPromise, esiPromise, lossPromise]);
 
             if (!allKills || allKills.length === 0) {
-                return stats;
+                return withFitInference();
             }
 
             const killmails = allKillmails;
@@ -442,7 +598,46 @@ class ZKillboardClient {
             console.error('Error fetching killmail data:', error);
         }
 
-        return stats;
+        return withFitInference();
+    }
+
+    async getLossData(entityType, entityId, onProgress = null, signal = null) {
+        try {
+            if (onProgress) {
+                onProgress('zkill', 'Fetching losses from zKillboard...', 0, 0);
+            }
+
+            const losses = await get_zkill_entity_losses(entityType, entityId, null, LOSS_ANALYSIS_CONFIG.MAX_LOSSMAILS, signal);
+            if (!losses || losses.length === 0) {
+                return null;
+            }
+
+            const lossmails = await fetchKillmailsBatch(losses, {
+                maxConcurrency: KILLMAIL_BATCH_SIZE,
+                batchDelay: KILLMAIL_FETCH_DELAY_MS,
+                maxKillmails: LOSS_ANALYSIS_CONFIG.MAX_LOSSMAILS,
+                onProgress: (processed, total) => {
+                    if (onProgress) {
+                        onProgress('esi', `Fetching losses from ESI (${processed}/${total})...`, processed, total);
+                    }
+                }
+            });
+
+            const analysis = analyzeLosses(lossmails);
+            if (!analysis) {
+                return null;
+            }
+
+            return {
+                totalFetched: lossmails.length,
+                analysis,
+                hasData: true,
+                rawLossmails: lossmails
+            };
+        } catch (error) {
+            console.error('Error fetching loss data:', error);
+            return null;
+        }
     }
 
     async processStatsData(rawData, entityType, entityId) {
@@ -1854,17 +2049,36 @@ class ZKillboardClient {
 const zkillClient = new ZKillboardClient();
 
 
+export function get_cached_zkill_stats(entityType, entityId) {
+    return zkillClient.cache.get(entityType, entityId);
+}
+
+export async function prefetch_zkill_stats(entityType, entityIds, options = {}) {
+    try {
+        await zkillClient.getEntityStatsBatch(entityType, entityIds, options);
+    } catch (error) {
+        if (error.status !== 499) {
+            console.warn('Batch zKillboard stats request failed, falling back to single requests:', error);
+        }
+    }
+}
+
 export async function get_zkill_character_stats(charId, options = {}) {
     try {
         if (options.includeKillmails) {
             return await zkillClient.getEntityStatsWithKillmails('characterID', charId, options);
         }
-        return await zkillClient.getEntityStats('characterID', charId);
+        return await zkillClient.getEntityStats('characterID', charId, options);
     } catch (error) {
+        // callers that track failures themselves, such as batch scoring
+        if (options.throwOnError) {
+            throw error;
+        }
+
         console.error(`Failed to get character stats for ${charId}:`, error);
 
         if (error instanceof ZKillError) {
-            if (error.status !== 404) {
+            if (error.status !== 404 && error.status !== 499) {
                 showWarning(`zKillboard: ${error.message}`);
             }
         }
@@ -1878,12 +2092,12 @@ export async function get_zkill_corporation_stats(corpId, options = {}) {
         if (options.includeKillmails) {
             return await zkillClient.getEntityStatsWithKillmails('corporationID', corpId, options);
         }
-        return await zkillClient.getEntityStats('corporationID', corpId);
+        return await zkillClient.getEntityStats('corporationID', corpId, options);
     } catch (error) {
         console.error(`Failed to get corporation stats for ${corpId}:`, error);
 
         if (error instanceof ZKillError) {
-            if (error.status !== 404) {
+            if (error.status !== 404 && error.status !== 499) {
                 showWarning(`zKillboard: ${error.message}`);
             }
         }
@@ -1897,12 +2111,12 @@ export async function get_zkill_alliance_stats(allianceId, options = {}) {
         if (options.includeKillmails) {
             return await zkillClient.getEntityStatsWithKillmails('allianceID', allianceId, options);
         }
-        return await zkillClient.getEntityStats('allianceID', allianceId);
+        return await zkillClient.getEntityStats('allianceID', allianceId, options);
     } catch (error) {
         console.error(`Failed to get alliance stats for ${allianceId}:`, error);
 
         if (error instanceof ZKillError) {
-            if (error.status !== 404) {
+            if (error.status !== 404 && error.status !== 499) {
                 showWarning(`zKillboard: ${error.message}`);
             }
         }
@@ -0,0 +1,157 @@
+/*
+    EVE Target Intel - Service Worker
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const APP_CACHE = `eti-app-${VERSION}`;
+const IMAGE_CACHE = 'eti-images';
+const IMAGE_HOST = 'images.evetech.net';
+const MAX_IMAGE_ENTRIES = 1000;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'site.webmanifest',
+    'favicon.ico',
+    'js/app.js',
+    'js/array-utils.js',
+    'js/batch-scoring.js',
+    'js/command-palette.js',
+    'js/config.js',
+    'js/corp-history.js',
+    'js/database.js',
+    'js/detail-panel.js',
+    'js/dom-cache.js',
+    'js/errors.js',
+    'js/esi-api.js',
+    'js/esi-client.js',
+    'js/esi-killmails.js',
+    'js/eve-ship-data.js',
+    'js/export.js',
+    'js/filter-presets.js',
+    'js/filter-query.js',
+    'js/filters.js',
+    'js/gang-summary.js',
+    'js/input-parser.js',
+    'js/keyboard-navigation.js',
+    'js/killmail-analysis.js',
+    'js/observers.js',
+    'js/offline-mode.js',
+    'js/pow-pool.js',
+    'js/pow-worker.js',
+    'js/rendering.js',
+    'js/results-table.js',
+    'js/scan-sessions.js',
+    'js/settings-ui.js',
+    'js/share-link.js',
+    'js/standings.js',
+    'js/threat-assessment.js',
+    'js/threat-profiles.js',
+    'js/timezone-utils.js',
+    'js/tree-navigation.js',
+    'js/ui.js',
+    'js/user-settings.js',
+    'js/validation.js',
+    'js/war-tracker.js',
+    'js/xss-protection.js',
+    'js/zkill-card.js',
+    'js/zkill-kills-api.js',
+    'js/zkill-utils.js',
+    'js/zkillboard-api.js',
+    'styles/animations.css',
+    'styles/base.css',
+    'styles/command-palette.css',
+    'styles/components.css',
+    'styles/filters.css',
+    'styles/footer.css',
+    'styles/forms.css',
+    'styles/header.css',
+    'styles/loading.css',
+    'styles/messages.css',
+    'styles/responsive.css',
+    'styles/results.css',
+    'styles/sessions.css',
+    'styles/settings.css',
+    'styles/summary.css',
+    'styles/tree-layout.css',
+    'styles/virtual-scroll.css',
+    'styles/zkill-card.css',
+    'media/android-chrome-192x192.png',
+    'media/android-chrome-512x512.png',
+    'media/apple-touch-icon.png',
+    'media/favicon-16x16.png',
+    'media/favicon-32x32.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('eti-app-') && key !== APP_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirstImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(IMAGE_CACHE, MAX_IMAGE_ENTRIES);
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (url.hostname === IMAGE_HOST) {
+        event.respondWith(cacheFirstImage(request));
+    }
+});
@@ -0,0 +1,39 @@
+/*
+    EVE Target Intel - Local zKillboard Proxy
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+
+    Runs the shared proxy handler on a local port for development:
+        PORT=8787 ZKILL_UPSTREAM=http://localhost:9000/ node workers/local-zkill.js
+    ZKILL_UPSTREAM points it at a stub in place of https://zkillboard.com/api/,
+    and ZKILL_CACHE_DIR keeps the cache on disk between runs.
+*/
+
+import { createServer } from "node:http";
+import { createNodeHandler } from "./vc-zkill.js";
+import { UPSTREAM_BASE_URL } from "./zkill-handler.js";
+import { createAbuseGuard } from "./zkill-guard.js";
+import { createResponseCache, createMemoryBackend } from "./zkill-cache.js";
+import { createFileBackend } from "./zkill-file-cache.js";
+
+const port = parseInt(process.env.PORT || "8787", 10);
+const upstreamBaseUrl = process.env.ZKILL_UPSTREAM || UPSTREAM_BASE_URL;
+const cacheDirectory = process.env.ZKILL_CACHE_DIR;
+
+const handler = createNodeHandler({
+  cache: createResponseCache(cacheDirectory ? createFileBackend({ directory: cacheDirectory }) : createMemoryBackend()),
+  guard: createAbuseGuard(),
+  proxyName: "local-proxy",
+  upstreamBaseUrl
+});
+
+createServer((request, response) => {
+  handler(request, response).catch(error => {
+    console.error("Unhandled proxy error:", error);
+    response.statusCode = 500;
+    response.end();
+  });
+}).listen(port, () => {
+  console.log(`zKillboard proxy listening on http://localhost:${port}/ (upstream ${upstreamBaseUrl}, cache ${cacheDirectory || "memory"})`);
+});
@@ -0,0 +1,207 @@
+/*
+    EVE Target Intel - zKillboard Proxy Cache Backends
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+
+    A backend stores plain entries:
+        { get(key), set(key, entry, ttlSeconds), getStats?() }
+    where entry is { body, status, headers, storedAt, ttl } and the backend
+    may drop it once ttlSeconds have passed. createResponseCache wraps a
+    backend into the cache interface the request handler uses.
+*/
+
+const DEFAULT_STALE_SECONDS = 3600;
+
+function getKeyType(key) {
+  return key.split(":")[0];
+}
+
+function countByType(keys) {
+  const counts = {};
+  for (const key of keys) {
+    const type = getKeyType(key);
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * In-memory LRU cache, local to one function instance
+ */
+export function createMemoryBackend({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  let evictions = 0;
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+
+      entries.delete(key);
+      if (Date.now() > item.expiry) return null;
+
+      entries.set(key, item);
+      return item.entry;
+    },
+
+    async set(key, entry, ttlSeconds) {
+      entries.delete(key);
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evictions++;
+      }
+      entries.set(key, { entry, expiry: Date.now() + ttlSeconds * 1000 });
+    },
+
+    async getStats() {
+      return { entries: entries.size, evictions, entriesByType: countByType(entries.keys()) };
+    }
+  };
+}
+
+/**
+ * Key-value store backend. The store needs get(key) and
+ * set(key, value, { ex: seconds }), as provided by Vercel KV and Upstash.
+ */
+export function createKeyValueBackend(store, { prefix = "zkill:" } = {}) {
+  return {
+    name: "kv",
+
+    async get(key) {
+      const value = await store.get(`${prefix}${key}`);
+      if (!value) return null;
+      return typeof value === "string" ? JSON.parse(value) : value;
+    },
+
+    async set(key, entry, ttlSeconds) {
+      await store.set(`${prefix}${key}`, JSON.stringify(entry), { ex: Math.ceil(ttlSeconds) });
+    }
+  };
+}
+
+/**
+ * Minimal Redis REST client (Upstash / Vercel KV) for createKeyValueBackend
+ */
+export function createRestKeyValueStore({ url, token }) {
+  async function command(args) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Key-value store returned ${response.status}`);
+    }
+    return (await response.json()).result;
+  }
+
+  return {
+    get: (key) => command(["GET", key]),
+    set: (key, value, { ex }) => command(["SET", key, value, "EX", String(ex)])
+  };
+}
+
+/**
+ * Cache of upstream responses with stale-while-revalidate: entries older than
+ * their TTL are still served, flagged stale, for up to staleSeconds while the
+ * handler refreshes them in the background.
+ */
+export function createResponseCache(backend, { staleSeconds = DEFAULT_STALE_SECONDS } = {}) {
+  const counters = { hits: 0, staleHits: 0, misses: 0, writes: 0, errors: 0 };
+  const keyTypes = {};
+  const revalidating = new Map();
+
+  function count(key, field) {
+    counters[field]++;
+    const type = getKeyType(key);
+    keyTypes[type] = keyTypes[type] || { hits: 0, staleHits: 0, misses: 0, writes: 0 };
+    keyTypes[type][field]++;
+  }
+
+  return {
+    async get(key) {
+      let entry = null;
+      try {
+        entry = await backend.get(key);
+      } catch (error) {
+        counters.errors++;
+        console.error(`Cache read failed for ${key}:`, error);
+      }
+
+      const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+      if (!entry || age > entry.ttl + staleSeconds) {
+        count(key, "misses");
+        return null;
+      }
+
+      const stale = age > entry.ttl;
+      count(key, stale ? "staleHits" : "hits");
+
+      return {
+        stale,
+        response: new Response(entry.body, { status: entry.status, headers: entry.headers })
+      };
+    },
+
+    async put(key, response, ttlSeconds) {
+      try {
+        const entry = {
+          body: await response.text(),
+          status: response.status,
+          headers: [...response.headers],
+          storedAt: Date.now(),
+          ttl: ttlSeconds
+        };
+        await backend.set(key, entry, ttlSeconds + staleSeconds);
+        count(key, "writes");
+      } catch (error) {
+        counters.errors++;
+        console.error(`Cache write failed for ${key}:`, error);
+      }
+    },
+
+    /**
+     * Run a refresh for a stale key unless one is already in flight
+     */
+    revalidate(key, refresh) {
+      if (!revalidating.has(key)) {
+        const pending = refresh()
+          .catch(error => console.error(`Revalidation failed for ${key}:`, error))
+          .finally(() => revalidating.delete(key));
+        revalidating.set(key, pending);
+      }
+      return revalidating.get(key);
+    },
+
+    async getStats() {
+      const backendStats = backend.getStats ? await backend.getStats() : {};
+      const lookups = counters.hits + counters.staleHits + counters.misses;
+      const entriesByType = backendStats.entriesByType || {};
+
+      const types = {};
+      new Set([...Object.keys(keyTypes), ...Object.keys(entriesByType)]).forEach(type => {
+        types[type] = {
+          ...(keyTypes[type] || { hits: 0, staleHits: 0, misses: 0, writes: 0 }),
+          entries: entriesByType[type] ?? null
+        };
+      });
+
+      return {
+        backend: backend.name || "custom",
+        ...counters,
+        hitRate: lookups > 0 ? Number(((counters.hits + counters.staleHits) / lookups).toFixed(3)) : null,
+        evictions: backendStats.evictions ?? null,
+        entries: backendStats.entries ?? null,
+        staleSeconds,
+        keyTypes: types
+      };
+    }
+  };
+}
@@ -0,0 +1,64 @@
+/*
+    EVE Target Intel - zKillboard Proxy Filesystem Cache
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+
+    Cache backend for local runs, keeping entries as JSON files so they
+    survive restarts. See zkill-cache.js for the backend interface.
+*/
+
+import { mkdir, readFile, readdir, unlink, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+const FILE_SUFFIX = ".json";
+
+export function createFileBackend({ directory }) {
+  const ready = mkdir(directory, { recursive: true });
+  const toPath = (key) => join(directory, `${encodeURIComponent(key)}${FILE_SUFFIX}`);
+  let evictions = 0;
+
+  return {
+    name: "file",
+
+    async get(key) {
+      await ready;
+
+      let item;
+      try {
+        item = JSON.parse(await readFile(toPath(key), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+
+      if (Date.now() > item.expiry) {
+        await unlink(toPath(key)).catch(() => {});
+        evictions++;
+        return null;
+      }
+      return item.entry;
+    },
+
+    async set(key, entry, ttlSeconds) {
+      await ready;
+      await writeFile(toPath(key), JSON.stringify({ entry, expiry: Date.now() + ttlSeconds * 1000 }));
+    },
+
+    async getStats() {
+      await ready;
+
+      const keys = (await readdir(directory))
+        .filter(name => name.endsWith(FILE_SUFFIX))
+        .map(name => decodeURIComponent(name.slice(0, -FILE_SUFFIX.length)));
+
+      const entriesByType = {};
+      keys.forEach(key => {
+        const type = key.split(":")[0];
+        entriesByType[type] = (entriesByType[type] || 0) + 1;
+      });
+
+      return { entries: keys.length, evictions, entriesByType };
+    }
+  };
+}
@@ -0,0 +1,136 @@
+/*
+    EVE Target Intel - zKillboard Proxy Abuse Protection
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+
+    State is held in memory, so budgets and the replay cache are per worker
+    isolate (or function instance) rather than global.
+*/
+
+const DEFAULTS = {
+  baseDifficulty: 12,
+  maxExtraDifficulty: 8,
+  loadThreshold: 600,
+  loadWindowMs: 60 * 1000,
+  difficultyGraceMs: 60 * 1000,
+  clientBudget: 150,
+  clientWindowMs: 60 * 1000,
+  nonceTtlMs: 600 * 1000,
+  maxTrackedClients: 10000,
+  maxTrackedNonces: 100000
+};
+
+/**
+ * Drop timestamps older than the window from the front of a sorted list
+ */
+function pruneWindow(times, cutoff) {
+  let index = 0;
+  while (index < times.length && times[index] <= cutoff) index++;
+  if (index > 0) times.splice(0, index);
+  return times;
+}
+
+export function createAbuseGuard(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const clients = new Map();
+  const usedNonces = new Map();
+  const load = [];
+  let difficulty = config.baseDifficulty;
+  let previousDifficulty = config.baseDifficulty;
+  let difficultyChangedAt = 0;
+
+  function addLoad(now, cost) {
+    pruneWindow(load, now - config.loadWindowMs);
+    for (let i = 0; i < cost; i++) load.push(now);
+  }
+
+  function updateDifficulty(now) {
+    pruneWindow(load, now - config.loadWindowMs);
+    const ratio = load.length / config.loadThreshold;
+    const extra = ratio > 1 ? Math.min(config.maxExtraDifficulty, Math.ceil(Math.log2(ratio))) : 0;
+    const next = config.baseDifficulty + extra;
+
+    if (next !== difficulty) {
+      previousDifficulty = difficulty;
+      difficulty = next;
+      difficultyChangedAt = now;
+    }
+    return difficulty;
+  }
+
+  function pruneClients(now) {
+    const cutoff = now - config.clientWindowMs;
+    for (const [clientId, times] of clients) {
+      if (pruneWindow(times, cutoff).length === 0) clients.delete(clientId);
+    }
+  }
+
+  function pruneNonces(now) {
+    for (const [hash, expiry] of usedNonces) {
+      if (expiry <= now) usedNonces.delete(hash);
+    }
+  }
+
+  return {
+    /**
+     * Difficulty advertised to clients, raised while the proxy is under load
+     */
+    getDifficulty(now = Date.now()) {
+      return updateDifficulty(now);
+    },
+
+    /**
+     * Difficulty a proof-of-work must meet; clients that solved against the
+     * previous level just before it was raised are still accepted
+     */
+    getRequiredDifficulty(now = Date.now()) {
+      const current = updateDifficulty(now);
+      return now - difficultyChangedAt < config.difficultyGraceMs ? Math.min(current, previousDifficulty) : current;
+    },
+
+    /**
+     * Charge a client for a request, returning { allowed, retryAfterSeconds }
+     */
+    consumeBudget(clientId, cost = 1, now = Date.now()) {
+      if (!clients.has(clientId) && clients.size >= config.maxTrackedClients) {
+        pruneClients(now);
+      }
+
+      const times = pruneWindow(clients.get(clientId) || [], now - config.clientWindowMs);
+      clients.set(clientId, times);
+
+      if (times.length + cost > config.clientBudget) {
+        // wait until enough of the oldest requests have left the window
+        const freedBy = times[Math.min(times.length - 1, times.length + cost - config.clientBudget - 1)];
+        const waitMs = freedBy === undefined ? config.clientWindowMs : freedBy + config.clientWindowMs - now;
+        return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(waitMs / 1000)) };
+      }
+
+      for (let i = 0; i < cost; i++) times.push(now);
+      return { allowed: true, retryAfterSeconds: 0 };
+    },
+
+    /**
+     * Count verified requests towards the load that sets the difficulty
+     */
+    recordLoad(cost = 1, now = Date.now()) {
+      addLoad(now, cost);
+    },
+
+    /**
+     * Record a proof-of-work as used, returning false if it was seen before
+     */
+    claimNonce(hash, now = Date.now()) {
+      const expiry = usedNonces.get(hash);
+      if (expiry && expiry > now) return false;
+
+      if (usedNonces.size >= config.maxTrackedNonces) {
+        pruneNonces(now);
+      }
+
+      usedNonces.set(hash, now + config.nonceTtlMs);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,429 @@
+/*
+    EVE Target Intel - zKillboard Proxy Request Handler
+
+    Copyright (C) 2025 moregh (https://github.com/moregh/)
+    Licensed under AGPL License.
+*/
+
+export const UPSTREAM_BASE_URL = "https://zkillboard.com/api/";
+
+const ENTITY_TYPES = ["character", "corporation", "alliance"];
+const KILL_LIST_TYPES = ["kills", "losses"];
+const MAX_PAGE = 20;
+const POW_MAX_AGE_SECONDS = 300;
+const MAX_BATCH_IDS = 25;
+const BATCH_UPSTREAM_INTERVAL_MS = 250;
+
+const CACHE_TTL_SECONDS = {
+  stats: 1800,
+  kills: 10800,
+  notFound: 300
+};
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept",
+  "Access-Control-Expose-Headers": "X-PoW-Difficulty, Retry-After"
+};
+
+const isInteger = (value) => /^\d+$/.test(value);
+
+function capitalise(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Create JSON error response. Errors are never cached.
+ */
+export function jsonError(message, status) {
+  return new Response(JSON.stringify({
+    error: message,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      "Expires": "0",
+      "X-Cache": "ERROR-NO-CACHE",
+      ...CORS_HEADERS
+    }
+  });
+}
+
+/**
+ * Resolve the query string to an upstream URL and cache key, or an error message
+ */
+export function parseTarget(searchParams, upstreamBaseUrl = UPSTREAM_BASE_URL) {
+  const killList = KILL_LIST_TYPES.find(type => searchParams.has(type));
+
+  if (killList) {
+    const entityType = searchParams.get(killList);
+    const idValue = searchParams.get("id");
+    const pageParam = searchParams.get("page");
+
+    if (!idValue || !isInteger(idValue)) {
+      return { error: "ID must be provided and be an integer" };
+    }
+
+    if (pageParam && !isInteger(pageParam)) {
+      return { error: "Page parameter must be an integer" };
+    }
+
+    const page = pageParam ? parseInt(pageParam, 10) : 1;
+    if (page < 1 || page > MAX_PAGE) {
+      return { error: `Page parameter must be between 1 and ${MAX_PAGE}` };
+    }
+
+    if (!ENTITY_TYPES.includes(entityType)) {
+      return { error: `${killList} parameter must be 'character', 'corporation', or 'alliance'` };
+    }
+
+    return {
+      kind: "kills",
+      idValue,
+      url: `${upstreamBaseUrl}${killList}/${entityType}ID/${idValue}/page/${page}/`,
+      cacheKey: `${killList}:${entityType}:${idValue}:page:${page}`
+    };
+  }
+
+  const entityType = ENTITY_TYPES.find(type => searchParams.has(type));
+  if (!entityType) {
+    return { error: "Invalid request. Use ?character=ID, ?corporation=ID, ?alliance=ID, ?kills=TYPE&id=ID, ?losses=TYPE&id=ID, or ?batch=TYPE&ids=ID,ID" };
+  }
+
+  const idValue = searchParams.get(entityType);
+  if (!isInteger(idValue)) {
+    return { error: `${capitalise(entityType)} ID must be an integer` };
+  }
+
+  return {
+    kind: "stats",
+    idValue,
+    url: `${upstreamBaseUrl}stats/${entityType}ID/${idValue}/`,
+    cacheKey: `stats:${entityType}:${idValue}`
+  };
+}
+
+/**
+ * Resolve a ?batch=TYPE&ids=ID,ID,... request to one stats target per unique ID
+ */
+export function parseBatchTarget(searchParams, upstreamBaseUrl = UPSTREAM_BASE_URL) {
+  const entityType = searchParams.get("batch");
+  const idValue = searchParams.get("ids");
+
+  if (!ENTITY_TYPES.includes(entityType)) {
+    return { error: "batch parameter must be 'character', 'corporation', or 'alliance'" };
+  }
+
+  if (!idValue || !/^\d+(,\d+)*$/.test(idValue)) {
+    return { error: "ids must be a comma separated list of integers" };
+  }
+
+  const ids = [...new Set(idValue.split(","))];
+  if (ids.length > MAX_BATCH_IDS) {
+    return { error: `ids must contain at most ${MAX_BATCH_IDS} entries` };
+  }
+
+  const params = new URLSearchParams();
+  return {
+    idValue,
+    extraDifficulty: getBatchExtraDifficulty(ids.length),
+    targets: ids.map(id => {
+      params.set(entityType, id);
+      return { id, ...parseTarget(params, upstreamBaseUrl) };
+    })
+  };
+}
+
+/**
+ * Batches cost roughly as much work as the single requests they replace
+ */
+export function getBatchExtraDifficulty(size) {
+  return Math.ceil(Math.log2(Math.max(1, size)));
+}
+
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte !== 0) {
+      return bits + Math.clz32(byte) - 24;
+    }
+    bits += 8;
+  }
+  return bits;
+}
+
+/**
+ * Check the client's proof-of-work, returning { message, status } on failure
+ */
+export async function verifyPoW(idValue, searchParams, nowSeconds, difficultyBits, claimNonce = () => true) {
+  const nonce = searchParams.get("nonce");
+  const hash = searchParams.get("hash");
+  const ts = searchParams.get("ts");
+
+  if (!nonce || !hash || !ts) {
+    return { message: "Missing PoW parameters (nonce, hash, ts)", status: 400 };
+  }
+
+  if (!isInteger(ts) || Math.abs(nowSeconds - parseInt(ts, 10)) > POW_MAX_AGE_SECONDS) {
+    return { message: "Stale PoW timestamp", status: 403 };
+  }
+
+  const digestBuffer = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${idValue}|${nonce}|${ts}`));
+  const digestBytes = new Uint8Array(digestBuffer);
+  const digestHex = [...digestBytes]
+    .map((x) => x.toString(16).padStart(2, "0"))
+    .join("");
+
+  if (digestHex !== hash) {
+    return { message: "Invalid PoW hash", status: 403 };
+  }
+
+  if (countLeadingZeroBits(digestBytes) < difficultyBits) {
+    return { message: "Insufficient PoW difficulty", status: 403 };
+  }
+
+  if (!claimNonce(digestHex)) {
+    return { message: "PoW already used", status: 403 };
+  }
+
+  return null;
+}
+
+/**
+ * Seconds to cache an upstream response for, or 0 when it must not be cached
+ */
+export function getCacheTtl(status, kind) {
+  if (status >= 200 && status < 300) {
+    return CACHE_TTL_SECONDS[kind];
+  }
+  if (status === 404) {
+    return CACHE_TTL_SECONDS.notFound;
+  }
+  return 0;
+}
+
+function withHeaders(response, headers) {
+  const merged = new Headers(response.headers);
+  Object.entries({ ...headers, ...CORS_HEADERS }).forEach(([key, value]) => merged.set(key, value));
+
+  return new Response(response.body, {
+    status: response.status,
+    headers: merged
+  });
+}
+
+/**
+ * Handle a proxy request. Adapters supply the platform pieces:
+ *   cache        - { get(key) -> { response, stale } | null, put(key, response, ttlSeconds),
+ *                   revalidate?(key, refresh), getStats?() }; see zkill-cache.js
+ *   guard        - per-client budgets, replay cache and difficulty (zkill-guard.js)
+ *   getClientId  - identifies the caller for rate limiting, usually by IP
+ *   proxyName    - appended to the forwarded User-Agent
+ *   waitUntil    - lets the platform finish cache writes after responding
+ *   fetchUpstream, upstreamBaseUrl, now - overridable for local testing
+ *
+ * Stats for several entities can be fetched in one request with
+ * ?batch=TYPE&ids=ID,ID,...; its proof-of-work covers the raw ids value and
+ * needs extra difficulty bits for the batch size. ?difficulty reports the
+ * current difficulty, which is also sent on every response as X-PoW-Difficulty.
+ */
+export async function handleZkillRequest(request, {
+  cache,
+  guard,
+  getClientId = () => "unknown",
+  proxyName,
+  waitUntil = (promise) => promise,
+  fetchUpstream = fetch,
+  upstreamBaseUrl = UPSTREAM_BASE_URL,
+  now = Date.now
+}) {
+  const context = { cache, guard, getClientId, proxyName, waitUntil, fetchUpstream, upstreamBaseUrl, now };
+  const response = await routeRequest(request, context);
+
+  return withHeaders(response, { "X-PoW-Difficulty": String(guard.getDifficulty(now())) });
+}
+
+async function routeRequest(request, context) {
+  const { cache, guard, upstreamBaseUrl, now } = context;
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      headers: {
+        ...CORS_HEADERS,
+        "Access-Control-Max-Age": "86400"
+      }
+    });
+  }
+
+  if (request.method !== "GET") {
+    return jsonError("Method not allowed", 405);
+  }
+
+  const url = new URL(request.url);
+
+  if (url.pathname.endsWith("/stats")) {
+    return new Response(JSON.stringify({
+      cache: cache.getStats ? await cache.getStats() : null,
+      timestamp: new Date().toISOString()
+    }), {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-cache",
+        ...CORS_HEADERS
+      }
+    });
+  }
+
+  if (url.searchParams.has("difficulty")) {
+    return new Response(JSON.stringify({
+      difficulty: guard.getDifficulty(now()),
+      timestamp: new Date().toISOString()
+    }), {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-cache",
+        ...CORS_HEADERS
+      }
+    });
+  }
+
+  const isBatch = url.searchParams.has("batch");
+  const target = isBatch
+    ? parseBatchTarget(url.searchParams, upstreamBaseUrl)
+    : parseTarget(url.searchParams, upstreamBaseUrl);
+  if (target.error) {
+    return jsonError(target.error, 400);
+  }
+
+  const cost = isBatch ? target.targets.length : 1;
+  const budget = guard.consumeBudget(context.getClientId(request), cost, now());
+  if (!budget.allowed) {
+    const response = jsonError("Too many requests. Please slow down.", 429);
+    response.headers.set("Retry-After", String(budget.retryAfterSeconds));
+    return response;
+  }
+
+  const difficulty = guard.getRequiredDifficulty(now()) + (isBatch ? target.extraDifficulty : 0);
+  const powError = await verifyPoW(target.idValue, url.searchParams, Math.floor(now() / 1000), difficulty,
+    (hash) => guard.claimNonce(hash, now()));
+  if (powError) {
+    return jsonError(powError.message, powError.status);
+  }
+
+  // only verified work counts, so bad requests cannot raise the difficulty
+  guard.recordLoad(cost, now());
+
+  if (isBatch) {
+    return handleBatchRequest(target, request, context);
+  }
+
+  try {
+    return await loadTarget(target, request, context);
+  } catch (error) {
+    console.error(`Error fetching ${target.url}:`, error);
+    return jsonError(`Failed to fetch from zKillboard: ${error.message}`, 502);
+  }
+}
+
+/**
+ * Serve a target from the cache, or fetch it upstream and cache the result.
+ * Stale entries are served while a background request refreshes them.
+ */
+async function loadTarget(target, request, context, beforeUpstream = null) {
+  const { cache, waitUntil } = context;
+  const cached = await cache.get(target.cacheKey);
+
+  if (cached && !cached.stale) {
+    return withHeaders(cached.response, { "X-Cache": "HIT", "X-Cache-Key": target.cacheKey });
+  }
+
+  if (cached) {
+    waitUntil(cache.revalidate(target.cacheKey, () => fetchTarget(target, request, context)));
+    return withHeaders(cached.response, { "X-Cache": "STALE", "X-Cache-Key": target.cacheKey });
+  }
+
+  if (beforeUpstream) {
+    await beforeUpstream();
+  }
+
+  return fetchTarget(target, request, context);
+}
+
+async function fetchTarget(target, request, { cache, proxyName, waitUntil, fetchUpstream }) {
+  const userAgent = request.headers.get("User-Agent") || "UnknownClient";
+  const upstream = await fetchUpstream(target.url, {
+    headers: {
+      "User-Agent": `${userAgent} +${proxyName}`,
+      "Accept": "application/json"
+    }
+  });
+  const body = await upstream.arrayBuffer();
+
+  const response = new Response(body, {
+    status: upstream.status,
+    headers: {
+      "Content-Type": upstream.headers.get("Content-Type") || "application/json",
+      "X-Cache": "MISS",
+      "X-Cache-Key": target.cacheKey,
+      ...CORS_HEADERS
+    }
+  });
+
+  const ttl = getCacheTtl(upstream.status, target.kind);
+  if (ttl > 0) {
+    const cacheable = withHeaders(response.clone(), { "Cache-Control": `public, max-age=${ttl}` });
+    await waitUntil(cache.put(target.cacheKey, cacheable, ttl));
+  }
+
+  return response;
+}
+
+/**
+ * Fetch stats for every ID in a batch, pacing upstream requests, and return
+ * { results: { id: stats | null }, errors: { id: { status, error } } }
+ */
+async function handleBatchRequest(batch, request, context) {
+  const results = {};
+  const errors = {};
+  let lastUpstreamAt = 0;
+
+  const paceUpstream = async () => {
+    const wait = lastUpstreamAt + BATCH_UPSTREAM_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastUpstreamAt = Date.now();
+  };
+
+  for (const target of batch.targets) {
+    try {
+      const response = await loadTarget(target, request, context, paceUpstream);
+
+      if (response.status === 404) {
+        results[target.id] = null;
+      } else if (response.ok) {
+        results[target.id] = await response.json();
+      } else {
+        errors[target.id] = { status: response.status, error: "Upstream zKillboard error" };
+      }
+    } catch (error) {
+      console.error(`Error fetching ${target.url}:`, error);
+      errors[target.id] = { status: 502, error: `Failed to fetch from zKillboard: ${error.message}` };
+    }
+  }
+
+  return new Response(JSON.stringify({
+    results,
+    errors,
+    timestamp: new Date().toISOString()
+  }), {
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache",
+      ...CORS_HEADERS
+    }
+  });
+}